@@ -1,7 +1,44 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const { can } = require('../utils/permissions');
 
-const auth = async (req, res, next) => {
+// Only write last-seen timestamps this often to avoid a DB write per request
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+// Check that the session an access token was issued for is still live
+const isSessionActive = async (sessionId) => {
+  if (!sessionId) return false;
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isValid) return false;
+
+  if (!session.lastSeenAt || Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+    await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() });
+  }
+
+  return true;
+};
+
+// Methods an impersonated (read-only) token may use
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Check whether the user's role requires 2FA that they have not set up yet
+const mustSetUpTwoFactor = async (user) => {
+  if (user.twoFactor && user.twoFactor.enabled) return false;
+
+  const settings = await Setting.getSettings();
+  return settings.twoFactorRequiredRoles.includes(user.role);
+};
+
+// Build the authentication middleware
+// allowPendingTwoFactorSetup lets users who still have to enroll in 2FA reach the enrollment routes
+// allowImpersonatedWrites lets an impersonation token reach routes that end the impersonation
+const authenticate = ({
+  allowPendingTwoFactorSetup = false,
+  allowImpersonatedWrites = false
+} = {}) => async (req, res, next) => {
   try {
     let token;
 
@@ -20,6 +57,14 @@ const auth = async (req, res, next) => {
     try {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Reject tokens whose session was revoked (logout, rotation reuse, etc.)
+      if (!(await isSessionActive(decoded.sid))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has expired or been revoked'
+        });
+      }
       
       // Get user from token
       const user = await User.findById(decoded.id).select('-password');
@@ -38,7 +83,27 @@ const auth = async (req, res, next) => {
         });
       }
 
+      // Admins viewing the app as this user may look but not change anything
+      if (decoded.imp && !allowImpersonatedWrites && !READ_ONLY_METHODS.includes(req.method)) {
+        return res.status(403).json({
+          success: false,
+          code: 'IMPERSONATION_READ_ONLY',
+          message: 'This action is not allowed while viewing as another user'
+        });
+      }
+
+      // 2FA enrollment is the user's own obligation and doesn't apply to an admin viewing as them
+      if (!allowPendingTwoFactorSetup && !decoded.imp && await mustSetUpTwoFactor(user)) {
+        return res.status(403).json({
+          success: false,
+          code: 'TWO_FACTOR_SETUP_REQUIRED',
+          message: 'Two-factor authentication must be set up before continuing'
+        });
+      }
+
       req.user = user;
+      req.sessionId = decoded.sid;
+      req.impersonatedBy = decoded.imp;
       next();
     } catch (error) {
       return res.status(401).json({
@@ -55,9 +120,21 @@ const auth = async (req, res, next) => {
   }
 };
 
-// Role-based authorization middleware
-const authorize = (...roles) => {
-  return (req, res, next) => {
+const auth = authenticate();
+
+// Auth for the routes a user needs while completing enforced 2FA enrollment
+const authAllowTwoFactorSetup = authenticate({ allowPendingTwoFactorSetup: true });
+
+// Auth for the routes that end a session, which must work while impersonating
+const authAllowSessionEnd = authenticate({
+  allowPendingTwoFactorSetup: true,
+  allowImpersonatedWrites: true
+});
+
+// Permission-based authorization middleware
+// For ":own"-scoped grants this only checks the role could act; handlers re-check against the loaded resource
+const requirePermission = (permission) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -65,14 +142,22 @@ const authorize = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
+    try {
+      if (!(await can(req.user, permission))) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. Missing permission: ${permission}`
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({
         success: false,
-        message: `Access denied. Required roles: ${roles.join(', ')}`
+        message: 'Server error while checking permissions'
       });
     }
-
-    next();
   };
 };
 
@@ -101,8 +186,10 @@ const optionalAuth = async (req, res, next) => {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         const user = await User.findById(decoded.id).select('-password');
         
-        if (user && user.isActive) {
+        if (user && user.isActive && await isSessionActive(decoded.sid)) {
           req.user = user;
+          req.sessionId = decoded.sid;
+          req.impersonatedBy = decoded.imp;
         }
       } catch (error) {
         // Token invalid, but continue without user
@@ -119,7 +206,9 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   auth,
-  authorize,
+  authAllowTwoFactorSetup,
+  authAllowSessionEnd,
+  requirePermission,
   requireEmailVerification,
   optionalAuth
 };
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { parseRecurrenceRule, getSeriesEnd } = require('../utils/recurrence');
 
 const eventSchema = new mongoose.Schema({
   title: {
@@ -48,11 +49,43 @@ const eventSchema = new mongoose.Schema({
       return this.eventType !== 'holiday' && this.eventType !== 'announcement';
     }
   },
+  // Room booked for the event; its occurrences may not overlap other bookings of the room
+  bookedVenue: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Venue'
+  },
+  // RRULE (e.g. FREQ=WEEKLY;BYDAY=MO,WE;COUNT=12); startDate/endDate are the first occurrence
+  recurrenceRule: {
+    type: String,
+    validate: {
+      validator: function(value) {
+        if (!value) return true;
+        parseRecurrenceRule(value);
+        return true;
+      },
+      message: props => `Invalid recurrence rule: ${props.reason ? props.reason.message : props.value}`
+    }
+  },
+  // Start dates of occurrences removed from the series (EXDATE), including detached ones
+  recurrenceExceptions: [Date],
+  // End of the last occurrence (null while the series repeats forever), kept for range queries
+  recurrenceEnd: Date,
+  // Set on an occurrence detached from a series: the series and the start date it replaces
+  recurringEventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  originalStartDate: Date,
   organizer: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Owning department; department-scoped roles manage events within it
+  department: {
+    type: String,
+    trim: true
+  },
   targetAudience: {
     courses: [{
       type: mongoose.Schema.Types.ObjectId,
@@ -65,7 +98,7 @@ const eventSchema = new mongoose.Schema({
     }],
     roles: [{
       type: String,
-      enum: ['student', 'teacher', 'admin']
+      enum: ['student', 'teacher', 'hod', 'department_coordinator', 'admin', 'alumni']
     }],
     isPublic: {
       type: Boolean,
@@ -106,8 +139,35 @@ const eventSchema = new mongoose.Schema({
     registeredAt: {
       type: Date,
       default: Date.now
+    },
+    // Attendance, recorded by scanning the registration's ticket or by hand
+    checkedInAt: Date,
+    checkedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    checkInMethod: {
+      type: String,
+      enum: ['qr', 'manual']
     }
   }],
+  // People waiting for a place once the event is full, first come first served. A freed place is
+  // offered to the first in line and held for them until offerExpiresAt
+  waitlist: {
+    type: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      joinedAt: {
+        type: Date,
+        default: Date.now
+      },
+      offeredAt: Date,
+      offerExpiresAt: Date
+    }],
+    select: false
+  },
   priority: {
     type: String,
     enum: ['low', 'medium', 'high', 'urgent'],
@@ -126,6 +186,11 @@ const eventSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // iCalendar SEQUENCE, bumped on changes calendar apps must pick up (time, place, cancellation)
+  sequence: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
@@ -138,6 +203,45 @@ eventSchema.index({ status: 1 });
 eventSchema.index({ 'targetAudience.courses': 1 });
 eventSchema.index({ tags: 1 });
 eventSchema.index({ organizer: 1 });
+eventSchema.index({ department: 1 });
+eventSchema.index({ recurrenceEnd: 1 });
+eventSchema.index({ recurringEventId: 1 });
+eventSchema.index({ bookedVenue: 1, startDate: 1 });
+eventSchema.index({ 'waitlist.user': 1 });
+eventSchema.index({ 'waitlist.offerExpiresAt': 1 });
+
+// Keep recurrenceEnd in step with the rule and first occurrence
+eventSchema.pre('validate', function(next) {
+  if (this.recurrenceRule && this.recurringEventId) {
+    this.invalidate('recurrenceRule', 'A detached occurrence cannot have its own recurrence rule');
+  }
+
+  if (!this.recurrenceRule) {
+    // Store a removed rule as missing, so { recurrenceRule: null } queries match it
+    this.recurrenceRule = undefined;
+    this.recurrenceEnd = undefined;
+    this.recurrenceExceptions = [];
+  } else if (this.isModified('recurrenceRule') || this.isModified('startDate') || this.isModified('endDate')) {
+    try {
+      this.recurrenceEnd = getSeriesEnd(this);
+    } catch (error) {
+      // The recurrenceRule validator reports the error
+    }
+  }
+  next();
+});
+
+const SEQUENCE_FIELDS = [
+  'title', 'description', 'startDate', 'endDate', 'startTime', 'endTime', 'venue', 'bookedVenue', 'status',
+  'recurrenceRule', 'recurrenceExceptions'
+];
+
+eventSchema.pre('save', function(next) {
+  if (!this.isNew && SEQUENCE_FIELDS.some(field => this.isModified(field))) {
+    this.sequence += 1;
+  }
+  next();
+});
 
 // Virtual for event duration
 eventSchema.virtual('duration').get(function() {
@@ -149,10 +253,12 @@ eventSchema.virtual('registrationCount').get(function() {
   return this.registeredUsers.length;
 });
 
-// Virtual for availability
+// Virtual for availability; places held for waitlist offers only count when the waitlist is loaded
 eventSchema.virtual('spotsAvailable').get(function() {
   if (!this.maxParticipants) return null;
-  return this.maxParticipants - this.registeredUsers.length;
+  const now = new Date();
+  const held = (this.waitlist || []).filter(entry => entry.offerExpiresAt && entry.offerExpiresAt > now).length;
+  return this.maxParticipants - this.registeredUsers.length - held;
 });
 
 // Ensure virtual fields are serialized
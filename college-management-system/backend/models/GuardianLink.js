@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// A parent/guardian's read-only access to one student, created when the student invites them
+const guardianLinkSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  // Unset until the invitation is accepted
+  guardian: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Address the invitation was sent to
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  relationship: {
+    type: String,
+    trim: true,
+    maxlength: [30, 'Relationship cannot exceed 30 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'revoked'],
+    default: 'pending'
+  },
+  // Only a SHA-256 digest of the invitation token is stored
+  invitationToken: {
+    type: String,
+    select: false
+  },
+  invitationExpires: Date,
+  acceptedAt: Date,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Periodic email summary of the student's upcoming events, chosen by the guardian
+  digestEnabled: {
+    type: Boolean,
+    default: false
+  },
+  lastDigestSentAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+guardianLinkSchema.index({ student: 1, status: 1 });
+guardianLinkSchema.index({ guardian: 1, status: 1 });
+guardianLinkSchema.index({ invitationToken: 1 });
+
+module.exports = mongoose.model('GuardianLink', guardianLinkSchema);
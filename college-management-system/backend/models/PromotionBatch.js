@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// One semester rollover for the students of a course: previewed first, then applied, and
+// reversible through the per-student changes it recorded
+const promotionBatchSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  academicYear: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['preview', 'applied', 'rolled_back'],
+    default: 'preview'
+  },
+  // Students held back (e.g. detained) who keep their semester
+  excludedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  changes: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    fromSemester: {
+      type: Number,
+      required: true
+    },
+    // Unset for students finishing the final semester, who graduate instead
+    toSemester: Number,
+    graduates: {
+      type: Boolean,
+      default: false
+    },
+    // Whether applying actually changed the student (they may have been edited since the preview)
+    applied: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  appliedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  appliedAt: Date,
+  rolledBackBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rolledBackAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+promotionBatchSchema.index({ course: 1, status: 1, appliedAt: -1 });
+
+// Summary counts for listings
+promotionBatchSchema.virtual('summary').get(function() {
+  return {
+    promoted: this.changes.filter(change => !change.graduates).length,
+    graduated: this.changes.filter(change => change.graduates).length,
+    excluded: this.excludedUsers.length,
+    applied: this.changes.filter(change => change.applied).length
+  };
+});
+
+// Ensure virtual fields are serialized
+promotionBatchSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('PromotionBatch', promotionBatchSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Permission set granted to one role; edited by admins at runtime
+const rolePermissionSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    required: [true, 'Role is required'],
+    unique: true,
+    trim: true
+  },
+  permissions: [{
+    type: String,
+    trim: true
+  }],
+  // Last default-permission migration applied to this set (see utils/permissions)
+  defaultsVersion: {
+    type: Number,
+    default: 0
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('RolePermission', rolePermissionSchema);
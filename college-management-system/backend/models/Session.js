@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hash of the refresh token that was rotated out last; presenting it again means the token was stolen
+  previousRefreshTokenHash: {
+    type: String,
+    select: false
+  },
+  // Admin viewing the app as `user`; such sessions are short-lived and read-only
+  impersonatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ipAddress: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: String
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousRefreshTokenHash: 1 });
+// Let MongoDB purge sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for session validity
+sessionSchema.virtual('isValid').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Revoke session method
+sessionSchema.methods.revoke = async function(reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return await this.save();
+};
+
+// Ensure virtual fields are serialized
+sessionSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Session', sessionSchema);
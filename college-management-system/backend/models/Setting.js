@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// How long a loaded settings document is reused before hitting the DB again
+const CACHE_TTL_MS = 60 * 1000;
+
+let cachedSettings = null;
+let cachedAt = 0;
+
+const settingSchema = new mongoose.Schema({
+  // Singleton key - there is exactly one system settings document
+  key: {
+    type: String,
+    default: 'system',
+    unique: true
+  },
+  twoFactorRequiredRoles: [{
+    type: String,
+    enum: ['student', 'teacher', 'hod', 'department_coordinator', 'admin', 'alumni', 'guardian']
+  }],
+  // Allow passwordless sign-in via emailed links
+  magicLinkEnabled: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Get system settings, creating the document with defaults on first use
+settingSchema.statics.getSettings = async function() {
+  if (cachedSettings && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedSettings;
+  }
+
+  let settings = await this.findOne({ key: 'system' });
+  if (!settings) {
+    settings = await this.create({ key: 'system' });
+  }
+
+  cachedSettings = settings;
+  cachedAt = Date.now();
+  return settings;
+};
+
+// Drop the cached copy so the next read sees fresh values
+settingSchema.post('save', function() {
+  cachedSettings = null;
+  cachedAt = 0;
+});
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -1,5 +1,15 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { PASSWORD_HISTORY_SIZE } = require('../utils/passwordPolicy');
+
+// Brute-force protection settings
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+const LOCKOUT_BASE_MINUTES = parseInt(process.env.LOCKOUT_BASE_MINUTES) || 15;
+const LOCKOUT_MAX_MINUTES = 24 * 60;
+const MAX_OTP_ATTEMPTS = parseInt(process.env.MAX_OTP_ATTEMPTS) || 5;
+
+// Passwordless login link settings
+const MAGIC_LINK_MAX_PER_HOUR = parseInt(process.env.MAGIC_LINK_MAX_PER_HOUR) || 3;
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -23,13 +33,21 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    // Accounts provisioned through SSO may never set a local password, and invited
+    // accounts only get one when the invitation is accepted
+    required: [function() {
+      return (!this.ssoIdentities || this.ssoIdentities.length === 0) && !this.invitedAt;
+    }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
   role: {
     type: String,
-    enum: ['student', 'teacher', 'admin'],
+    enum: ['student', 'teacher', 'hod', 'department_coordinator', 'admin', 'alumni', 'guardian'],
     default: 'student'
   },
   studentId: {
@@ -40,30 +58,235 @@ const userSchema = new mongoose.Schema({
   course: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Course',
-    required: function() { return this.role === 'student'; }
+    required: [function() { return this.role === 'student'; }, 'Course is required for students']
   },
   semester: {
     type: Number,
     min: 1,
     max: 8,
-    required: function() { return this.role === 'student'; }
+    required: [function() { return this.role === 'student'; }, 'Semester is required for students']
+  },
+  // Students who finished their final semester become alumni (set by semester rollover, which
+  // also moves them to the read-only alumni role)
+  academicStatus: {
+    type: String,
+    enum: ['enrolled', 'alumni'],
+    default: 'enrolled'
+  },
+  graduatedAt: Date,
+  // Alumni choose whether they are listed in the alumni directory
+  alumniDirectoryOptIn: {
+    type: Boolean,
+    default: false
   },
   department: {
     type: String,
-    required: function() { return this.role === 'teacher'; }
+    // Department-scoped roles (head of department, department coordinator) act within this department
+    required: [function() {
+      return ['teacher', 'hod', 'department_coordinator'].includes(this.role);
+    }, 'Department is required for staff']
   },
   avatar: {
     type: String,
     default: ''
   },
+  // Cloudinary public ID of the avatar, needed to delete the file
+  avatarPublicId: String,
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Bio cannot exceed 500 characters']
+  },
+  // Weekly slots when staff can be found, shown on their public profile
+  officeHours: [{
+    day: {
+      type: String,
+      enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
+      required: true
+    },
+    startTime: {
+      type: String,
+      required: true
+    },
+    endTime: {
+      type: String,
+      required: true
+    },
+    location: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Location cannot exceed 100 characters']
+    }
+  }],
+  // What other signed-in users see on the public profile; name, avatar and role are always shown
+  privacySettings: {
+    // 'private' hides the whole profile (and staff from the teacher directory)
+    profileVisibility: {
+      type: String,
+      enum: ['members', 'private'],
+      default: 'members'
+    },
+    showEmail: {
+      type: Boolean,
+      default: false
+    },
+    showCourse: {
+      type: Boolean,
+      default: true
+    },
+    showNotes: {
+      type: Boolean,
+      default: true
+    },
+    showEvents: {
+      type: Boolean,
+      default: true
+    }
+  },
   isEmailVerified: {
     type: Boolean,
     default: false
   },
-  emailVerificationToken: String,
+  // Only SHA-256 digests of OTPs and reset tokens are stored
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
   emailVerificationExpires: Date,
-  passwordResetToken: String,
+  emailVerificationAttempts: {
+    type: Number,
+    default: 0
+  },
+  // Email change awaiting confirmation with the OTP sent to the new address
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  emailChangeToken: {
+    type: String,
+    select: false
+  },
+  emailChangeExpires: Date,
+  emailChangeAttempts: {
+    type: Number,
+    default: 0
+  },
+  // After a change the old address gets a one-click link to switch back
+  previousEmail: String,
+  emailRevertToken: {
+    type: String,
+    select: false
+  },
+  emailRevertExpires: Date,
+  // Secret in the user's calendar feed URL (SHA-256 digest)
+  calendarFeedToken: {
+    type: String,
+    select: false
+  },
+  calendarFeedCreatedAt: Date,
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
   passwordResetExpires: Date,
+  passwordChangedAt: Date,
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation with a first valid code
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Last accepted TOTP time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    enabledAt: Date
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  // Number of lockouts since the last successful login; each one doubles the lock duration
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+  unlockToken: {
+    type: String,
+    select: false
+  },
+  unlockExpires: Date,
+  // Identity provider accounts linked to this user
+  ssoIdentities: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // One-time code handing a finished SSO login back to the frontend
+  ssoLoginToken: {
+    type: String,
+    select: false
+  },
+  ssoLoginExpires: Date,
+  // Passwordless login link (SHA-256 digest) and recent send times for throttling
+  magicLinkToken: {
+    type: String,
+    select: false
+  },
+  magicLinkExpires: Date,
+  magicLinkRequestedAt: {
+    type: [Date],
+    select: false
+  },
+  // Accounts created by bulk import: invitation link digest, and who invited them when
+  invitationToken: {
+    type: String,
+    select: false
+  },
+  invitationExpires: Date,
+  invitedAt: Date,
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  invitationAcceptedAt: Date,
+  // Self-service deletion: the account is anonymized once an admin has approved the request
+  // and the grace period has passed
+  deletionRequestedAt: Date,
+  deletionScheduledFor: Date,
+  deletionApprovedAt: Date,
+  deletionApprovedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  anonymizedAt: Date,
   lastLogin: Date,
   isActive: {
     type: Boolean,
@@ -77,20 +300,157 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ studentId: 1 });
 userSchema.index({ course: 1, semester: 1 });
+userSchema.index({ 'ssoIdentities.provider': 1, 'ssoIdentities.subject': 1 });
+userSchema.index({ deletionApprovedAt: 1, deletionScheduledFor: 1 });
+userSchema.index({ role: 1, alumniDirectoryOptIn: 1 });
+userSchema.index({ calendarFeedToken: 1 }, { sparse: true });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   
   this.password = await bcrypt.hash(this.password, 12);
+
+  // A password change invalidates every outstanding reset link
+  if (!this.isNew) {
+    this.passwordResetToken = undefined;
+    this.passwordResetExpires = undefined;
+    this.passwordChangedAt = new Date();
+  }
   next();
 });
 
+// Set a new password, remembering the current hash for reuse checks
+// Load the user with +password +passwordHistory before calling
+userSchema.methods.setPassword = function(newPassword) {
+  if (this.password) {
+    this.passwordHistory = [this.password, ...(this.passwordHistory || [])].slice(0, PASSWORD_HISTORY_SIZE);
+  }
+  this.password = newPassword;
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  // SSO-only accounts have no local password
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Account lock virtual
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// Copy values an atomic update stored onto this document without marking them modified, so a
+// later save() of the document doesn't write its stale copy back
+const syncStoredFields = (doc, stored, fields) => {
+  fields.forEach(field => {
+    doc.set(field, stored ? stored.get(field) : undefined);
+    doc.unmarkModified(field);
+  });
+};
+
+// Record a failed login or second-factor attempt; locks the account once the limit is reached.
+// The counter is changed in the database rather than on this copy, so parallel guesses can't
+// all read the same count. Returns true when this attempt triggered a new lockout
+userSchema.methods.registerFailedLogin = async function() {
+  const User = this.constructor;
+  const now = new Date();
+
+  // Previous lock has run out - start counting afresh (only the first request to see it does)
+  await User.updateOne(
+    { _id: this._id, lockUntil: { $lte: now } },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } }
+  );
+
+  let stored = await User.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  let locked = false;
+  if (stored && stored.failedLoginAttempts >= MAX_LOGIN_ATTEMPTS) {
+    const minutes = Math.min(LOCKOUT_BASE_MINUTES * 2 ** stored.lockoutCount, LOCKOUT_MAX_MINUTES);
+
+    // Only one of several requests reaching the limit together starts the lock
+    const lockedUser = await User.findOneAndUpdate(
+      { _id: this._id, lockUntil: { $not: { $gt: now } } },
+      { $set: { lockUntil: new Date(now.getTime() + minutes * 60 * 1000) }, $inc: { lockoutCount: 1 } },
+      { new: true }
+    );
+    if (lockedUser) {
+      stored = lockedUser;
+      locked = true;
+    }
+  }
+
+  syncStoredFields(this, stored, ['failedLoginAttempts', 'lockUntil', 'lockoutCount']);
+  return locked;
+};
+
+// Clear failed-attempt counters and any lock (after a successful login or an unlock)
+userSchema.methods.resetLoginAttempts = function() {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  this.lockoutCount = 0;
+  this.unlockToken = undefined;
+  this.unlockExpires = undefined;
+};
+
+// Count a wrong OTP in the database and drop the fields named by `invalidate` once the limit
+// is reached. Returns true when the code is no longer usable
+const registerFailedCode = async (doc, counter, invalidate) => {
+  const User = doc.constructor;
+  const stored = await User.findOneAndUpdate(
+    { _id: doc._id },
+    { $inc: { [counter]: 1 } },
+    { new: true }
+  );
+
+  const invalidated = !stored || stored[counter] >= MAX_OTP_ATTEMPTS;
+  if (invalidated) {
+    // A code reissued meanwhile has its counter reset, so it is left alone
+    await User.updateOne(
+      { _id: doc._id, [counter]: { $gte: MAX_OTP_ATTEMPTS } },
+      { $unset: Object.fromEntries(invalidate.map(field => [field, 1])) }
+    );
+  }
+
+  syncStoredFields(doc, stored, [counter]);
+  if (invalidated) {
+    syncStoredFields(doc, null, invalidate);
+  }
+  return invalidated;
+};
+
+// Record a wrong email OTP; the code is invalidated once the limit is reached
+// Returns true when the code can no longer be used
+userSchema.methods.registerFailedOTP = function() {
+  return registerFailedCode(this, 'emailVerificationAttempts', ['emailVerificationToken', 'emailVerificationExpires']);
+};
+
+// Record a wrong email change OTP; the pending change is dropped once the limit is reached
+// Returns true when the change has been cancelled
+userSchema.methods.registerFailedEmailChangeOTP = function() {
+  return registerFailedCode(this, 'emailChangeAttempts', ['pendingEmail', 'emailChangeToken', 'emailChangeExpires']);
+};
+
+// Record a magic link request; returns false when the hourly per-account limit is reached
+// Load the user with +magicLinkRequestedAt before calling; the caller must save it
+userSchema.methods.registerMagicLinkRequest = function() {
+  const windowStart = Date.now() - 60 * 60 * 1000;
+  const recent = (this.magicLinkRequestedAt || []).filter(sentAt => sentAt.getTime() > windowStart);
+
+  if (recent.length >= MAGIC_LINK_MAX_PER_HOUR) {
+    this.magicLinkRequestedAt = recent;
+    return false;
+  }
+
+  this.magicLinkRequestedAt = [...recent, new Date()];
+  return true;
+};
+
 // Get full name virtual
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const venueSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Venue name is required'],
+    trim: true
+  },
+  code: {
+    type: String,
+    required: [true, 'Venue code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  building: {
+    type: String,
+    required: [true, 'Building is required'],
+    trim: true
+  },
+  floor: {
+    type: String,
+    trim: true
+  },
+  capacity: {
+    type: Number,
+    required: [true, 'Capacity is required'],
+    min: 1
+  },
+  // e.g. projector, whiteboard, lab-computers, wheelchair-access
+  facilities: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  description: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+venueSchema.index({ building: 1, name: 1 });
+venueSchema.index({ capacity: 1 });
+venueSchema.index({ facilities: 1 });
+
+// Label used as the event's venue text
+venueSchema.virtual('label').get(function() {
+  return `${this.name}, ${this.building}`;
+});
+
+venueSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Venue', venueSchema);
@@ -1,13 +1,234 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const { body } = require('express-validator');
+const QRCode = require('qrcode');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const { auth, authAllowTwoFactorSetup, authAllowSessionEnd } = require('../middleware/auth');
 const validate = require('../middleware/validate');
-const { generateOTP, sendVerificationOTP, sendPasswordResetEmail, generateToken } = require('../utils/email');
+const {
+  generateOTP,
+  sendVerificationOTP,
+  sendPasswordResetEmail,
+  sendAccountLockedEmail,
+  sendMagicLinkEmail,
+  generateToken
+} = require('../utils/email');
+const { recordAudit } = require('../utils/audit');
+const { validatePassword, getPasswordPolicy } = require('../utils/passwordPolicy');
+const {
+  hashToken,
+  hashOTP,
+  matchesOTP,
+  createSession,
+  rotateSession,
+  revokeUserSessions,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} = require('../utils/tokens');
+const {
+  generateSecret,
+  verifyTOTP,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} = require('../utils/totp');
+const oidc = require('../utils/oidc');
+const { resolveSsoUser } = require('../utils/sso');
+const { endImpersonation } = require('../utils/impersonation');
+const { findInvitation: findGuardianInvitation } = require('../utils/guardians');
 
 const router = express.Router();
 
+// Stricter per-IP limit for endpoints that accept secrets (passwords, OTPs, tokens);
+// per-account counters on the User model cover attackers spread across many IPs
+const credentialLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX_REQUESTS) || 20,
+  message: 'Too many attempts from this IP, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Count a failed password/2FA attempt; on lockout email an unlock link and audit it
+// Returns true when this attempt locked the account
+const handleFailedLogin = async (user, req, stage) => {
+  const locked = await user.registerFailedLogin();
+  if (!locked) return false;
+
+  const unlockToken = generateToken();
+  user.unlockToken = hashToken(unlockToken);
+  user.unlockExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+  await user.save();
+
+  const unlockUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/unlock-account/${unlockToken}`;
+  const emailResult = await sendAccountLockedEmail(user.email, user.firstName, unlockUrl, user.lockUntil);
+  if (!emailResult.success) {
+    console.error('Failed to send account locked email to', user.email);
+  }
+
+  await recordAudit({
+    action: 'account.locked',
+    targetUser: user._id,
+    req,
+    metadata: {
+      stage,
+      lockUntil: user.lockUntil,
+      lockoutCount: user.lockoutCount
+    }
+  });
+
+  return true;
+};
+
+const sendLockedResponse = (res, user) => {
+  return res.status(423).json({
+    success: false,
+    message: 'Account is temporarily locked due to too many failed attempts. Check your email to unlock it.',
+    data: {
+      lockUntil: user.lockUntil
+    }
+  });
+};
+
+// First factor passed but the account has 2FA: issue a challenge instead of tokens
+const sendTwoFactorChallenge = (res, user) => {
+  return res.json({
+    success: true,
+    message: 'Two-factor authentication required',
+    data: {
+      twoFactorRequired: true,
+      challengeToken: generateTwoFactorChallenge(user)
+    }
+  });
+};
+
+// Finish a login once every factor has been checked: record it, start a session and send tokens
+const completeLogin = async (user, req, res) => {
+  user.resetLoginAttempts();
+  user.lastLogin = new Date();
+  await user.save();
+
+  const { accessToken, refreshToken } = await createSession(user, req);
+
+  // Tell the client when the user's role requires 2FA they haven't set up yet
+  const settings = await Setting.getSettings();
+  const twoFactorSetupRequired = !user.twoFactor.enabled &&
+    settings.twoFactorRequiredRoles.includes(user.role);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      token: accessToken,
+      refreshToken,
+      twoFactorSetupRequired,
+      user: {
+        id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        role: user.role,
+        course: user.course,
+        semester: user.semester,
+        department: user.department,
+        avatar: user.avatar,
+        isEmailVerified: user.isEmailVerified,
+        twoFactorEnabled: user.twoFactor.enabled,
+        lastLogin: user.lastLogin
+      }
+    }
+  });
+};
+
+// Check a TOTP code or an unused recovery code against a user loaded with their 2FA secrets
+// Marks the code as used on the document; the caller must save it
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTOTP(user.twoFactor.secret, code, user.twoFactor.lastUsedStep ?? -1);
+    if (step === null) return false;
+
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const entry = (user.twoFactor.recoveryCodes || []).find(
+      rc => !rc.usedAt && rc.codeHash === codeHash
+    );
+    if (!entry) return false;
+
+    entry.usedAt = new Date();
+    return true;
+  }
+
+  return false;
+};
+
+// Issue a fresh set of recovery codes, storing only their hashes
+const resetRecoveryCodes = (user) => {
+  const codes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = codes.map(code => ({
+    codeHash: hashToken(normalizeRecoveryCode(code))
+  }));
+  return codes;
+};
+
+// Build a frontend URL for the end of an SSO login; `params` become query parameters
+const ssoRedirectUrl = (params) => {
+  const query = new URLSearchParams(params).toString();
+  return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/sso/callback?${query}`;
+};
+
+// The OIDC nonce is kept in a cookie scoped to the SSO routes, tying the callback and the code
+// exchange to the browser that started the login
+const SSO_NONCE_COOKIE = 'sso_nonce';
+
+const ssoCookieOptions = (req) => ({
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: `${req.baseUrl}/sso`
+});
+
+const readCookie = (req, name) => {
+  const pair = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim().split('='))
+    .find(([key]) => key === name);
+
+  if (!pair) return undefined;
+  try {
+    return decodeURIComponent(pair.slice(1).join('='));
+  } catch (error) {
+    return undefined;
+  }
+};
+
+// The login code stored for the frontend to exchange only matches together with the nonce cookie
+const ssoLoginDigest = (code, nonce) => hashToken(`${code}.${nonce}`);
+
+// Only allow returning to paths inside the frontend
+const safeReturnPath = (path) => {
+  return typeof path === 'string' && path.startsWith('/') && !path.startsWith('//') ? path : '/dashboard';
+};
+
+const MAGIC_LINK_EXPIRE_MINUTES = parseInt(process.env.MAGIC_LINK_EXPIRE_MINUTES) || 15;
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+// @route   GET /api/auth/password-policy
+// @desc    Get password policy rules
+// @access  Public
+router.get('/password-policy', (req, res) => {
+  res.json({
+    success: true,
+    data: getPasswordPolicy()
+  });
+});
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -15,7 +236,7 @@ router.post('/register', [
   body('firstName').trim().isLength({ min: 2, max: 50 }).withMessage('First name must be between 2-50 characters'),
   body('lastName').trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be between 2-50 characters'),
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('password').isString().notEmpty().withMessage('Password is required'),
   body('role').isIn(['student', 'teacher']).withMessage('Role must be either student or teacher'),
   body('studentId').optional().trim(),
   body('course').optional().isMongoId().withMessage('Invalid course ID'),
@@ -25,6 +246,16 @@ router.post('/register', [
   try {
     const { firstName, lastName, email, password, role, studentId, course, semester, department } = req.body;
 
+    // Enforce the password policy
+    const passwordErrors = await validatePassword(password, { firstName, lastName, email });
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the password policy',
+        errors: passwordErrors.map(message => ({ field: 'password', message }))
+      });
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -56,7 +287,7 @@ router.post('/register', [
       email,
       password,
       role,
-      emailVerificationToken: otp,
+      emailVerificationToken: hashOTP(otp),
       emailVerificationExpires: otpExpires
     };
 
@@ -106,20 +337,43 @@ router.post('/register', [
 // @desc    Verify email with OTP
 // @access  Public
 router.post('/verify-email', [
+  credentialLimiter,
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
   body('otp').isLength({ min: 6, max: 6 }).withMessage('OTP must be 6 digits')
 ], validate, async (req, res) => {
   try {
     const { email, otp } = req.body;
 
-    // Find user with matching email and OTP
+    // Find user with a live OTP
     const user = await User.findOne({
       email,
-      emailVerificationToken: otp,
       emailVerificationExpires: { $gt: Date.now() }
-    });
+    }).select('+emailVerificationToken');
+
+    if (!user || !user.emailVerificationToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired OTP'
+      });
+    }
+
+    if (!matchesOTP(otp, user.emailVerificationToken)) {
+      // Burn the code after too many wrong guesses
+      const invalidated = await user.registerFailedOTP();
+      if (invalidated) {
+        await recordAudit({
+          action: 'otp.invalidated',
+          targetUser: user._id,
+          req,
+          metadata: { purpose: 'email-verification' }
+        });
+
+        return res.status(400).json({
+          success: false,
+          message: 'Too many incorrect attempts. Please request a new verification code.'
+        });
+      }
 
-    if (!user) {
       return res.status(400).json({
         success: false,
         message: 'Invalid or expired OTP'
@@ -130,20 +384,18 @@ router.post('/verify-email', [
     user.isEmailVerified = true;
     user.emailVerificationToken = undefined;
     user.emailVerificationExpires = undefined;
+    user.emailVerificationAttempts = 0;
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE }
-    );
+    // Start a session and issue tokens
+    const { accessToken, refreshToken } = await createSession(user, req);
 
     res.json({
       success: true,
       message: 'Email verified successfully',
       data: {
-        token,
+        token: accessToken,
+        refreshToken,
         user: {
           id: user._id,
           firstName: user.firstName,
@@ -167,6 +419,7 @@ router.post('/verify-email', [
 // @desc    Login user
 // @access  Public
 router.post('/login', [
+  credentialLimiter,
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
   body('password').exists().withMessage('Password is required')
 ], validate, async (req, res) => {
@@ -191,229 +444,1049 @@ router.post('/login', [
       });
     }
 
+    // Refuse attempts while the account is locked
+    if (user.isLocked) {
+      return sendLockedResponse(res, user);
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      if (await handleFailedLogin(user, req, 'password')) {
+        return sendLockedResponse(res, user);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    // Hand off to the second factor before issuing any tokens
+    if (user.twoFactor.enabled) {
+      return sendTwoFactorChallenge(res, user);
+    }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE }
-    );
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   GET /api/auth/magic-link
+// @desc    Check whether passwordless email login is enabled
+// @access  Public
+router.get('/magic-link', async (req, res) => {
+  try {
+    const settings = await Setting.getSettings();
 
     res.json({
       success: true,
-      message: 'Login successful',
       data: {
-        token,
-        user: {
-          id: user._id,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          email: user.email,
-          role: user.role,
-          course: user.course,
-          semester: user.semester,
-          department: user.department,
-          avatar: user.avatar,
-          isEmailVerified: user.isEmailVerified,
-          lastLogin: user.lastLogin
-        }
+        enabled: settings.magicLinkEnabled
       }
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Get magic link status error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during login'
+      message: 'Server error while fetching magic link status'
     });
   }
 });
 
-// @route   POST /api/auth/resend-otp
-// @desc    Resend email verification OTP
+// @route   POST /api/auth/magic-link
+// @desc    Email a single-use passwordless login link
 // @access  Public
-router.post('/resend-otp', [
+router.post('/magic-link', [
+  credentialLimiter,
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
 ], validate, async (req, res) => {
   try {
-    const { email } = req.body;
+    const settings = await Setting.getSettings();
+    if (!settings.magicLinkEnabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Passwordless login is disabled'
+      });
+    }
 
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({
+    // Same answer whether or not the account exists, so the endpoint can't be used to probe emails
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this email, a sign-in link has been sent'
+    };
+
+    const user = await User.findOne({ email: req.body.email }).select('+magicLinkRequestedAt');
+    if (!user || !user.isActive) {
+      return res.json(genericResponse);
+    }
+
+    // Throttled and failed sends get the generic answer too; only the log tells them apart
+    if (!user.registerMagicLinkRequest()) {
+      await user.save();
+      console.warn(`Magic link request throttled for user ${user._id}`);
+      return res.json(genericResponse);
+    }
+
+    // A new link replaces any earlier one
+    const magicToken = generateToken();
+    user.magicLinkToken = hashToken(magicToken);
+    user.magicLinkExpires = new Date(Date.now() + MAGIC_LINK_EXPIRE_MINUTES * 60 * 1000);
+    await user.save();
+
+    const loginUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/magic-link/${magicToken}`;
+    const emailResult = await sendMagicLinkEmail(user.email, user.firstName, loginUrl, MAGIC_LINK_EXPIRE_MINUTES);
+    if (!emailResult.success) {
+      console.error(`Magic link email failed for user ${user._id}:`, emailResult.error);
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Magic link request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending sign-in link'
+    });
+  }
+});
+
+// @route   GET /api/auth/magic-link/:token
+// @desc    Log in with a passwordless login link
+// @access  Public
+router.get('/magic-link/:token', credentialLimiter, async (req, res) => {
+  try {
+    const settings = await Setting.getSettings();
+    if (!settings.magicLinkEnabled) {
+      return res.status(403).json({
         success: false,
-        message: 'User not found'
+        message: 'Passwordless login is disabled'
       });
     }
 
-    if (user.isEmailVerified) {
+    const user = await User.findOne({
+      magicLinkToken: hashToken(req.params.token),
+      magicLinkExpires: { $gt: Date.now() }
+    }).populate('course', 'name code');
+
+    if (!user || !user.isActive) {
       return res.status(400).json({
         success: false,
-        message: 'Email is already verified'
+        message: 'Sign-in link is invalid or has expired'
       });
     }
 
-    // Generate new OTP
-    const otp = generateOTP();
-    const otpExpires = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+    // Single use
+    user.magicLinkToken = undefined;
+    user.magicLinkExpires = undefined;
 
-    user.emailVerificationToken = otp;
-    user.emailVerificationExpires = otpExpires;
+    // Opening the link proves the user controls the address
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      user.emailVerificationToken = undefined;
+      user.emailVerificationExpires = undefined;
+    }
     await user.save();
 
-    // Send verification email
-    const emailResult = await sendVerificationOTP(email, user.firstName, otp);
-    if (!emailResult.success) {
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to send verification email'
-      });
+    if (user.isLocked) {
+      return sendLockedResponse(res, user);
     }
 
-    res.json({
-      success: true,
-      message: 'Verification code sent successfully'
-    });
+    if (user.twoFactor.enabled) {
+      return sendTwoFactorChallenge(res, user);
+    }
+
+    await completeLogin(user, req, res);
   } catch (error) {
-    console.error('Resend OTP error:', error);
+    console.error('Magic link login error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while resending OTP'
+      message: 'Server error during sign-in'
     });
   }
 });
 
-// @route   POST /api/auth/forgot-password
-// @desc    Send password reset email
-// @access  Public
-router.post('/forgot-password', [
-  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+// @route   POST /api/auth/2fa/verify
+// @desc    Complete a login with a TOTP code or recovery code
+// @access  Public (requires challenge token from login)
+router.post('/2fa/verify', [
+  credentialLimiter,
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body('code').optional().trim(),
+  body('recoveryCode').optional().trim(),
+  body().custom(value => value.code || value.recoveryCode).withMessage('Verification code or recovery code is required')
 ], validate, async (req, res) => {
   try {
-    const { email } = req.body;
-
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({
+    const userId = verifyTwoFactorChallenge(req.body.challengeToken);
+    if (!userId) {
+      return res.status(401).json({
         success: false,
-        message: 'User not found'
+        message: 'Two-factor challenge is invalid or has expired. Please login again.'
       });
     }
 
-    // Generate reset token
-    const resetToken = generateToken();
-    const resetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+    const user = await User.findById(userId)
+      .select(TWO_FACTOR_FIELDS)
+      .populate('course', 'name code');
 
-    user.passwordResetToken = resetToken;
-    user.passwordResetExpires = resetExpires;
-    await user.save();
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
 
-    // Create reset URL
-    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password/${resetToken}`;
+    if (user.isLocked) {
+      return sendLockedResponse(res, user);
+    }
 
-    // Send reset email
-    const emailResult = await sendPasswordResetEmail(email, user.firstName, resetUrl);
-    if (!emailResult.success) {
-      return res.status(500).json({
+    if (!verifySecondFactor(user, req.body)) {
+      if (await handleFailedLogin(user, req, 'two-factor')) {
+        return sendLockedResponse(res, user);
+      }
+
+      return res.status(401).json({
         success: false,
-        message: 'Failed to send password reset email'
+        message: 'Invalid verification code'
       });
     }
 
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Two-factor verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor verification'
+    });
+  }
+});
+
+// @route   GET /api/auth/2fa/status
+// @desc    Get two-factor authentication status of the current user
+// @access  Private
+router.get('/2fa/status', authAllowTwoFactorSetup, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.recoveryCodes');
+    const settings = await Setting.getSettings();
+
     res.json({
       success: true,
-      message: 'Password reset email sent successfully'
+      data: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        required: settings.twoFactorRequiredRoles.includes(user.role),
+        recoveryCodesRemaining: (user.twoFactor.recoveryCodes || []).filter(rc => !rc.usedAt).length
+      }
     });
   } catch (error) {
-    console.error('Forgot password error:', error);
+    console.error('Get 2FA status error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while processing password reset'
+      message: 'Server error while fetching two-factor status'
     });
   }
 });
 
-// @route   POST /api/auth/reset-password
-// @desc    Reset password with token
-// @access  Public
-router.post('/reset-password', [
-  body('token').exists().withMessage('Reset token is required'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
-], validate, async (req, res) => {
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment and get the otpauth URI for an authenticator app
+// @access  Private
+router.post('/2fa/setup', authAllowTwoFactorSetup, async (req, res) => {
   try {
-    const { token, password } = req.body;
-
-    // Find user with valid reset token
-    const user = await User.findOne({
-      passwordResetToken: token,
-      passwordResetExpires: { $gt: Date.now() }
-    });
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
 
-    if (!user) {
+    if (user.twoFactor.enabled) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid or expired reset token'
+        message: 'Two-factor authentication is already enabled'
       });
     }
 
-    // Update password
-    user.password = password;
-    user.passwordResetToken = undefined;
-    user.passwordResetExpires = undefined;
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
     await user.save();
 
+    const otpauthUri = buildOtpauthUri(secret, user.email);
+
     res.json({
       success: true,
-      message: 'Password reset successful'
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri,
+        qrCode: await QRCode.toDataURL(otpauthUri, { errorCorrectionLevel: 'M', margin: 1, width: 240 })
+      }
     });
   } catch (error) {
-    console.error('Reset password error:', error);
+    console.error('2FA setup error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while resetting password'
+      message: 'Server error while setting up two-factor authentication'
     });
   }
 });
 
-// @route   GET /api/auth/me
-// @desc    Get current user
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a first code and receive recovery codes
 // @access  Private
-router.get('/me', auth, async (req, res) => {
+router.post('/2fa/enable', [
+  authAllowTwoFactorSetup,
+  body('code').trim().isLength({ min: 6, max: 6 }).withMessage('Code must be 6 digits')
+], validate, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).populate('course', 'name code department');
-    
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = verifyTOTP(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = resetRecoveryCodes(user);
+    await user.save();
+
     res.json({
       success: true,
-      data: user
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: {
+        recoveryCodes
+      }
     });
   } catch (error) {
-    console.error('Get current user error:', error);
+    console.error('2FA enable error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching user data'
+      message: 'Server error while enabling two-factor authentication'
     });
   }
 });
 
-// @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication
 // @access  Private
-router.post('/logout', auth, (req, res) => {
+router.post('/2fa/disable', [
+  auth,
+  body('password').exists().withMessage('Password is required'),
+  body('code').optional().trim(),
+  body('recoveryCode').optional().trim()
+], validate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const settings = await Setting.getSettings();
+    if (settings.twoFactorRequiredRoles.includes(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role and cannot be disabled'
+      });
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch || !verifySecondFactor(user, req.body)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or verification code'
+      });
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.lastUsedStep = undefined;
+    user.twoFactor.recoveryCodes = [];
+    user.twoFactor.enabledAt = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while disabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Regenerate recovery codes (invalidates the old ones)
+// @access  Private
+router.post('/2fa/recovery-codes', [
+  auth,
+  body('code').trim().isLength({ min: 6, max: 6 }).withMessage('Code must be 6 digits')
+], validate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!verifySecondFactor(user, { code: req.body.code })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const recoveryCodes = resetRecoveryCodes(user);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while regenerating recovery codes'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-otp
+// @desc    Resend email verification OTP
+// @access  Public
+router.post('/resend-otp', [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], validate, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    // Generate new OTP
+    const otp = generateOTP();
+    const otpExpires = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+
+    user.emailVerificationToken = hashOTP(otp);
+    user.emailVerificationExpires = otpExpires;
+    user.emailVerificationAttempts = 0;
+    await user.save();
+
+    // Send verification email
+    const emailResult = await sendVerificationOTP(email, user.firstName, otp);
+    if (!emailResult.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send verification email'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification code sent successfully'
+    });
+  } catch (error) {
+    console.error('Resend OTP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resending OTP'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send password reset email
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], validate, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Generate reset token
+    const resetToken = generateToken();
+    const resetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+
+    user.passwordResetToken = hashToken(resetToken);
+    user.passwordResetExpires = resetExpires;
+    await user.save();
+
+    // Create reset URL
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password/${resetToken}`;
+
+    // Send reset email
+    const emailResult = await sendPasswordResetEmail(email, user.firstName, resetUrl);
+    if (!emailResult.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send password reset email'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Password reset email sent successfully'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password with token
+// @access  Public
+router.post('/reset-password', [
+  credentialLimiter,
+  body('token').exists().withMessage('Reset token is required'),
+  body('password').isString().notEmpty().withMessage('Password is required')
+], validate, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // Find user with valid reset token (only its digest is stored)
+    const user = await User.findOne({
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: Date.now() }
+    }).select('+passwordResetToken +password +passwordHistory');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // Enforce the password policy, including reuse of recent passwords
+    const passwordErrors = await validatePassword(password, user);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the password policy',
+        errors: passwordErrors.map(message => ({ field: 'password', message }))
+      });
+    }
+
+    // Update password (the save hook also clears the now-used reset token)
+    user.setPassword(password);
+    await user.save();
+
+    // Whoever held the old password must not stay signed in
+    await revokeUserSessions(user._id, 'password-reset');
+
+    res.json({
+      success: true,
+      message: 'Password reset successful'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password'
+    });
+  }
+});
+
+// @route   POST /api/auth/accept-invitation
+// @desc    Set a password for an imported account and sign in
+// @access  Public
+router.post('/accept-invitation', [
+  credentialLimiter,
+  body('token').isString().notEmpty().withMessage('Invitation token is required'),
+  body('password').isString().notEmpty().withMessage('Password is required')
+], validate, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      invitationToken: hashToken(token),
+      invitationExpires: { $gt: Date.now() },
+      isActive: true
+    }).select('+invitationToken +password +passwordHistory');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation. Please ask an administrator to send a new one.'
+      });
+    }
+
+    // Like the other sign-in paths, refuse while the account is locked; the invitation stays usable
+    if (user.isLocked) {
+      return sendLockedResponse(res, user);
+    }
+
+    const passwordErrors = await validatePassword(password, user);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the password policy',
+        errors: passwordErrors.map(message => ({ field: 'password', message }))
+      });
+    }
+
+    // The invitation reached this inbox, so the address is verified too
+    user.setPassword(password);
+    user.isEmailVerified = true;
+    user.invitationToken = undefined;
+    user.invitationExpires = undefined;
+    user.invitationAcceptedAt = new Date();
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while accepting invitation'
+    });
+  }
+});
+
+// @route   POST /api/auth/accept-guardian-invitation
+// @desc    Accept a student's guardian invitation; creates a guardian account and signs in when
+//          the invited email has none yet
+// @access  Public
+router.post('/accept-guardian-invitation', [
+  credentialLimiter,
+  body('token').isString().notEmpty().withMessage('Invitation token is required'),
+  body('firstName').optional().trim().isLength({ min: 2, max: 50 }).withMessage('First name must be between 2-50 characters'),
+  body('lastName').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be between 2-50 characters'),
+  body('password').optional().isString()
+], validate, async (req, res) => {
+  try {
+    const link = await findGuardianInvitation(req.body.token);
+
+    if (!link) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation. Please ask the student to send a new one.'
+      });
+    }
+
+    let guardian = await User.findOne({ email: link.email });
+    if (guardian && guardian.role !== 'guardian') {
+      return res.status(400).json({
+        success: false,
+        message: 'This email belongs to an account that cannot be a guardian'
+      });
+    }
+
+    const isNewAccount = !guardian;
+    if (isNewAccount) {
+      const { firstName, lastName, password } = req.body;
+
+      if (!firstName || !lastName) {
+        return res.status(400).json({
+          success: false,
+          message: 'First and last name are required to create your account'
+        });
+      }
+
+      const passwordErrors = await validatePassword(password, { firstName, lastName, email: link.email });
+      if (passwordErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password does not meet the password policy',
+          errors: passwordErrors.map(message => ({ field: 'password', message }))
+        });
+      }
+
+      // The invitation reached this inbox, so the address is verified too
+      guardian = new User({
+        firstName,
+        lastName,
+        email: link.email,
+        password,
+        role: 'guardian',
+        isEmailVerified: true
+      });
+      await guardian.save();
+    }
+
+    link.guardian = guardian._id;
+    link.status = 'active';
+    link.acceptedAt = new Date();
+    link.invitationToken = undefined;
+    link.invitationExpires = undefined;
+    await link.save();
+
+    await recordAudit({
+      action: 'guardians.linked',
+      actor: guardian._id,
+      targetUser: link.student._id,
+      req,
+      metadata: { link: link._id, newAccount: isNewAccount }
+    });
+
+    // Existing guardians sign in as usual to see the new student
+    if (!isNewAccount) {
+      return res.json({
+        success: true,
+        message: `You are now linked to ${link.student.firstName} ${link.student.lastName}. Please sign in to continue.`,
+        data: { linked: true }
+      });
+    }
+
+    await completeLogin(guardian, req, res);
+  } catch (error) {
+    console.error('Accept guardian invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while accepting invitation'
+    });
+  }
+});
+
+// @route   POST /api/auth/unlock
+// @desc    Unlock account with the token emailed on lockout
+// @access  Public
+router.post('/unlock', [
+  credentialLimiter,
+  body('token').isString().notEmpty().withMessage('Unlock token is required')
+], validate, async (req, res) => {
+  try {
+    const user = await User.findOne({
+      unlockToken: hashToken(req.body.token),
+      unlockExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired unlock link'
+      });
+    }
+
+    user.resetLoginAttempts();
+    await user.save();
+
+    await recordAudit({
+      action: 'account.unlocked',
+      targetUser: user._id,
+      req,
+      metadata: { method: 'email-link' }
+    });
+
+    res.json({
+      success: true,
+      message: 'Account unlocked successfully. You can now sign in.'
+    });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unlocking account'
+    });
+  }
+});
+
+// @route   POST /api/auth/revert-email-change
+// @desc    Switch an account back to its previous email from the link sent there
+// @access  Public
+router.post('/revert-email-change', [
+  credentialLimiter,
+  body('token').isString().notEmpty().withMessage('Revert token is required')
+], validate, async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailRevertToken: hashToken(req.body.token),
+      emailRevertExpires: { $gt: Date.now() }
+    });
+
+    if (!user || !user.previousEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired link'
+      });
+    }
+
+    if (await User.exists({ _id: { $ne: user._id }, email: user.previousEmail })) {
+      return res.status(409).json({
+        success: false,
+        message: 'The previous address now belongs to another account. Please contact an administrator.'
+      });
+    }
+
+    const changedTo = user.email;
+    user.email = user.previousEmail;
+    user.isEmailVerified = true;
+    user.previousEmail = undefined;
+    user.emailRevertToken = undefined;
+    user.emailRevertExpires = undefined;
+    user.pendingEmail = undefined;
+    user.emailChangeToken = undefined;
+    user.emailChangeExpires = undefined;
+    await user.save();
+
+    // Whoever made the change must not stay signed in
+    await revokeUserSessions(user._id, 'email-reverted');
+
+    await recordAudit({
+      action: 'users.email_reverted',
+      targetUser: user._id,
+      req,
+      metadata: { from: changedTo, to: user.email }
+    });
+
+    res.json({
+      success: true,
+      message: 'Your email address has been restored and every device signed out. Please reset your password.'
+    });
+  } catch (error) {
+    console.error('Revert email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reverting email change'
+    });
+  }
+});
+
+// @route   GET /api/auth/sso/providers
+// @desc    List the enabled single sign-on providers
+// @access  Public
+router.get('/sso/providers', (req, res) => {
   res.json({
     success: true,
-    message: 'Logout successful'
+    data: oidc.isEnabled()
+      ? [{ id: 'oidc', name: oidc.providerName }]
+      : []
   });
 });
 
+// @route   GET /api/auth/sso/oidc
+// @desc    Start an OpenID Connect login by redirecting to the identity provider
+// @access  Public
+router.get('/sso/oidc', async (req, res) => {
+  if (!oidc.isEnabled()) {
+    return res.status(404).json({
+      success: false,
+      message: 'Single sign-on is not configured'
+    });
+  }
+
+  try {
+    const { url, nonce } = await oidc.createAuthorizationRequest(safeReturnPath(req.query.returnTo));
+    res.cookie(SSO_NONCE_COOKIE, nonce, { ...ssoCookieOptions(req), maxAge: oidc.STATE_TTL_MS });
+    res.redirect(url);
+  } catch (error) {
+    console.error('SSO start error:', error);
+    res.redirect(ssoRedirectUrl({ error: 'Unable to reach the identity provider' }));
+  }
+});
+
+// @route   GET /api/auth/sso/oidc/callback
+// @desc    Handle the identity provider's redirect and hand the login to the frontend
+// @access  Public
+router.get('/sso/oidc/callback', async (req, res) => {
+  if (!oidc.isEnabled()) {
+    return res.status(404).json({
+      success: false,
+      message: 'Single sign-on is not configured'
+    });
+  }
+
+  if (req.query.error || !req.query.code || !req.query.state) {
+    return res.redirect(ssoRedirectUrl({ error: req.query.error_description || 'Sign-in was cancelled' }));
+  }
+
+  try {
+    const nonce = readCookie(req, SSO_NONCE_COOKIE);
+    const { claims, returnTo } = await oidc.handleCallback(req.query, nonce);
+    const { user, error } = await resolveSsoUser('oidc', oidc.mapClaimsToProfile(claims), req);
+
+    if (error) {
+      return res.redirect(ssoRedirectUrl({ error }));
+    }
+
+    // Tokens never travel in the URL - the frontend swaps this short-lived code for them, from
+    // the browser holding the nonce cookie
+    const loginCode = generateToken();
+    user.ssoLoginToken = ssoLoginDigest(loginCode, nonce);
+    user.ssoLoginExpires = new Date(Date.now() + 60 * 1000); // 1 minute
+    await user.save();
+
+    res.redirect(ssoRedirectUrl({ code: loginCode, returnTo }));
+  } catch (error) {
+    console.error('SSO callback error:', error);
+    res.redirect(ssoRedirectUrl({ error: 'Single sign-on failed. Please try again.' }));
+  }
+});
+
+// @route   POST /api/auth/sso/exchange
+// @desc    Exchange a one-time SSO login code for tokens
+// @access  Public
+router.post('/sso/exchange', [
+  credentialLimiter,
+  body('code').isString().notEmpty().withMessage('Login code is required')
+], validate, async (req, res) => {
+  try {
+    const user = await User.findOne({
+      ssoLoginToken: ssoLoginDigest(req.body.code, readCookie(req, SSO_NONCE_COOKIE)),
+      ssoLoginExpires: { $gt: Date.now() }
+    }).populate('course', 'name code');
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sign-in link is invalid or has expired. Please try again.'
+      });
+    }
+
+    user.ssoLoginToken = undefined;
+    user.ssoLoginExpires = undefined;
+    await user.save();
+    res.clearCookie(SSO_NONCE_COOKIE, ssoCookieOptions(req));
+
+    if (user.isLocked) {
+      return sendLockedResponse(res, user);
+    }
+
+    // Accounts with local 2FA still need their second factor
+    if (user.twoFactor.enabled) {
+      return sendTwoFactorChallenge(res, user);
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('SSO exchange error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during single sign-on'
+    });
+  }
+});
+
+// @route   GET /api/auth/me
+// @desc    Get current user
+// @access  Private
+router.get('/me', authAllowTwoFactorSetup, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).populate('course', 'name code department');
+    
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    console.error('Get current user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching user data'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new token pair
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], validate, async (req, res) => {
+  try {
+    const result = await rotateSession(req.body.refreshToken, req);
+
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token: result.accessToken,
+        refreshToken: result.refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while refreshing token'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Logout user and revoke the current session
+// @access  Private
+router.post('/logout', authAllowSessionEnd, async (req, res) => {
+  try {
+    const session = await Session.findById(req.sessionId);
+    if (session && session.impersonatedBy) {
+      await endImpersonation(session, req, 'logout');
+    } else if (session && !session.revokedAt) {
+      await session.revoke('logout');
+    }
+
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
 module.exports = router;
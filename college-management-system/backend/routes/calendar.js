@@ -0,0 +1,162 @@
+const express = require('express');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const { auth, requireEmailVerification } = require('../middleware/auth');
+const { generateToken } = require('../utils/email');
+const { hashToken } = require('../utils/tokens');
+const { buildCalendar } = require('../utils/ical');
+const { can } = require('../utils/permissions');
+
+const router = express.Router();
+
+// How far back the feed keeps past events, so recent changes and cancellations still reach calendars
+const CALENDAR_FEED_PAST_DAYS = parseInt(process.env.CALENDAR_FEED_PAST_DAYS) || 90;
+const MAX_FEED_EVENTS = 1000;
+
+const feedUrl = (req, token) => {
+  const base = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base}/api/calendar/${token}.ics`;
+};
+
+// Events in a user's feed: those they registered for, plus published events aimed at their
+// course (and semester) or role. Cancelled ones stay in so calendar apps drop them
+const findFeedEvents = async (user) => {
+  const since = new Date(Date.now() - CALENDAR_FEED_PAST_DAYS * 24 * 60 * 60 * 1000);
+
+  const audience = [{ 'targetAudience.roles': user.role }];
+  // Graduates keep their course, but without events:view_any_audience only follow events aimed at alumni
+  if (user.course && await can(user, 'events:view_any_audience')) {
+    audience.push({
+      'targetAudience.courses': user.course,
+      $or: [{ 'targetAudience.semesters': { $size: 0 } }, { 'targetAudience.semesters': user.semester }]
+    });
+  }
+
+  return Event.find({
+    isActive: true,
+    status: { $in: ['published', 'cancelled'] },
+    $and: [
+      { $or: [{ 'registeredUsers.user': user._id }, ...audience] },
+      {
+        $or: [
+          { recurrenceRule: null, endDate: { $gte: since } },
+          { recurrenceRule: { $ne: null }, $or: [{ recurrenceEnd: null }, { recurrenceEnd: { $gte: since } }] }
+        ]
+      }
+    ]
+  })
+    .populate('organizer', 'firstName lastName email')
+    .sort({ startDate: 1 })
+    .limit(MAX_FEED_EVENTS);
+};
+
+// @route   GET /api/calendar/feed
+// @desc    Check whether the current user has a calendar feed URL
+// @access  Private
+router.get('/feed', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+calendarFeedToken');
+
+    res.json({
+      success: true,
+      data: {
+        enabled: !!user.calendarFeedToken,
+        createdAt: user.calendarFeedCreatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching calendar feed'
+    });
+  }
+});
+
+// @route   POST /api/calendar/feed
+// @desc    Create a calendar feed URL, replacing (and invalidating) any previous one
+// @access  Private
+router.post('/feed', [auth, requireEmailVerification], async (req, res) => {
+  try {
+    const token = generateToken();
+    await User.updateOne(
+      { _id: req.user.id },
+      { calendarFeedToken: hashToken(token), calendarFeedCreatedAt: new Date() }
+    );
+
+    const url = feedUrl(req, token);
+
+    // Only the digest is stored, so this is the only time the URL can be shown
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed created',
+      data: {
+        url,
+        webcalUrl: url.replace(/^https?:/, 'webcal:')
+      }
+    });
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating calendar feed'
+    });
+  }
+});
+
+// @route   DELETE /api/calendar/feed
+// @desc    Turn off the calendar feed; its URL stops working
+// @access  Private
+router.delete('/feed', auth, async (req, res) => {
+  try {
+    await User.updateOne(
+      { _id: req.user.id },
+      { $unset: { calendarFeedToken: 1, calendarFeedCreatedAt: 1 } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Calendar feed turned off'
+    });
+  } catch (error) {
+    console.error('Delete calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while turning off calendar feed'
+    });
+  }
+});
+
+// @route   GET /api/calendar/:token.ics
+// @desc    Subscribable iCalendar feed of a user's events
+// @access  Public (the token in the URL identifies the user)
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({
+      calendarFeedToken: hashToken(req.params.token),
+      isActive: true
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const events = await findFeedEvents(user);
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="events.ics"');
+    res.setHeader('Cache-Control', 'private, max-age=900');
+    res.send(buildCalendar(events, { name: `College events - ${user.firstName} ${user.lastName}` }));
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building calendar feed'
+    });
+  }
+});
+
+module.exports = router;
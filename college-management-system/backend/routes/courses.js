@@ -1,8 +1,9 @@
 const express = require('express');
 const { body, query } = require('express-validator');
 const Course = require('../models/Course');
-const { auth, authorize, requireEmailVerification } = require('../middleware/auth');
+const { auth, requirePermission, requireEmailVerification } = require('../middleware/auth');
 const validate = require('../middleware/validate');
+const { can } = require('../utils/permissions');
 
 const router = express.Router();
 
@@ -154,11 +155,11 @@ router.get('/:id/subjects', [
 
 // @route   POST /api/courses
 // @desc    Create new course
-// @access  Private (Admin only)
+// @access  Private (courses:manage)
 router.post('/', [
   auth,
   requireEmailVerification,
-  authorize('admin'),
+  requirePermission('courses:manage'),
   body('name').trim().isLength({ min: 3, max: 100 }).withMessage('Course name must be between 3-100 characters'),
   body('code').trim().isLength({ min: 2, max: 10 }).withMessage('Course code must be between 2-10 characters'),
   body('description').trim().isLength({ min: 10 }).withMessage('Description must be at least 10 characters'),
@@ -175,6 +176,13 @@ router.post('/', [
   try {
     const { name, code, description, duration, totalSemesters, department, subjects } = req.body;
 
+    if (!(await can(req.user, 'courses:manage', { department }))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage courses in this department'
+      });
+    }
+
     // Check if course code already exists
     const existingCourse = await Course.findOne({ code: code.toUpperCase() });
     if (existingCourse) {
@@ -234,11 +242,11 @@ router.post('/', [
 
 // @route   PUT /api/courses/:id
 // @desc    Update course
-// @access  Private (Admin only)
+// @access  Private (courses:manage)
 router.put('/:id', [
   auth,
   requireEmailVerification,
-  authorize('admin'),
+  requirePermission('courses:manage'),
   body('name').optional().trim().isLength({ min: 3, max: 100 }),
   body('code').optional().trim().isLength({ min: 2, max: 10 }),
   body('description').optional().trim().isLength({ min: 10 }),
@@ -260,6 +268,13 @@ router.put('/:id', [
       });
     }
 
+    if (!(await can(req.user, 'courses:manage', course))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage courses in this department'
+      });
+    }
+
     // Check if course code is being changed and if it already exists
     if (req.body.code && req.body.code.toUpperCase() !== course.code) {
       const existingCourse = await Course.findOne({ code: req.body.code.toUpperCase() });
@@ -287,6 +302,14 @@ router.put('/:id', [
       }
     });
 
+    // Moving the course to another department needs the permission there too
+    if (req.body.department !== undefined && !(await can(req.user, 'courses:manage', course))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage courses in this department'
+      });
+    }
+
     await course.save();
 
     res.json({
@@ -305,11 +328,11 @@ router.put('/:id', [
 
 // @route   DELETE /api/courses/:id
 // @desc    Delete course (soft delete)
-// @access  Private (Admin only)
+// @access  Private (courses:manage)
 router.delete('/:id', [
   auth,
   requireEmailVerification,
-  authorize('admin')
+  requirePermission('courses:manage')
 ], async (req, res) => {
   try {
     const course = await Course.findOne({ 
@@ -324,6 +347,13 @@ router.delete('/:id', [
       });
     }
 
+    if (!(await can(req.user, 'courses:manage', course))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage courses in this department'
+      });
+    }
+
     course.isActive = false;
     await course.save();
 
@@ -362,11 +392,11 @@ router.get('/departments/list', async (req, res) => {
 
 // @route   POST /api/courses/:id/subjects
 // @desc    Add subject to course
-// @access  Private (Admin only)
+// @access  Private (courses:manage)
 router.post('/:id/subjects', [
   auth,
   requireEmailVerification,
-  authorize('admin'),
+  requirePermission('courses:manage'),
   body('semester').isInt({ min: 1 }).withMessage('Subject semester is required'),
   body('subjectName').trim().isLength({ min: 2 }).withMessage('Subject name is required'),
   body('subjectCode').trim().isLength({ min: 2 }).withMessage('Subject code is required'),
@@ -386,6 +416,13 @@ router.post('/:id/subjects', [
       });
     }
 
+    if (!(await can(req.user, 'courses:manage', course))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage courses in this department'
+      });
+    }
+
     const { semester, subjectName, subjectCode, credits, isElective } = req.body;
 
     // Check if subject code already exists in this course
@@ -435,11 +472,11 @@ router.post('/:id/subjects', [
 
 // @route   DELETE /api/courses/:courseId/subjects/:subjectId
 // @desc    Remove subject from course
-// @access  Private (Admin only)
+// @access  Private (courses:manage)
 router.delete('/:courseId/subjects/:subjectId', [
   auth,
   requireEmailVerification,
-  authorize('admin')
+  requirePermission('courses:manage')
 ], async (req, res) => {
   try {
     const course = await Course.findOne({ 
@@ -454,6 +491,13 @@ router.delete('/:courseId/subjects/:subjectId', [
       });
     }
 
+    if (!(await can(req.user, 'courses:manage', course))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage courses in this department'
+      });
+    }
+
     const subject = course.subjects.id(req.params.subjectId);
     if (!subject) {
       return res.status(404).json({
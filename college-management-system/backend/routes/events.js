@@ -2,16 +2,168 @@ const express = require('express');
 const { body, query } = require('express-validator');
 const Event = require('../models/Event');
 const User = require('../models/User');
-const { auth, authorize, requireEmailVerification } = require('../middleware/auth');
+const Venue = require('../models/Venue');
+const { auth, requirePermission, requireEmailVerification, optionalAuth } = require('../middleware/auth');
 const validate = require('../middleware/validate');
 const { sendEventNotification } = require('../utils/email');
+const { can, getPermissionScope, departmentQuery } = require('../utils/permissions');
+const { GUARDIAN_EVENT_FIELDS, getActiveLink } = require('../utils/guardians');
+const { audienceFilter, canSeeAudience } = require('../utils/visibility');
+const { buildCalendar } = require('../utils/ical');
+const { toCsv } = require('../utils/csv');
+const { recordAudit } = require('../utils/audit');
+const { signTicket, verifyTicket, buildTicketQr } = require('../utils/tickets');
+const { findBookingConflicts, describeBooking } = require('../utils/venues');
+const {
+  hasActiveOffer,
+  findEntry,
+  heldPlaces,
+  getWaitlistPosition,
+  canStillOffer,
+  offerFreePlaces,
+  notifyOffers,
+  promoteFromWaitlist
+} = require('../utils/waitlist');
+const {
+  normalizeRecurrenceRule,
+  expandOccurrences,
+  isOccurrence,
+  nextOccurrenceStart,
+  startsOnOccurrence,
+  hasOccurrencesBefore,
+  detachOccurrence,
+  splitSeries
+} = require('../utils/recurrence');
 
 const router = express.Router();
 
+// Validate an RRULE and store it in normalized form; null or '' removes the recurrence
+const recurrenceRuleValidator = () => body('recurrenceRule')
+  .optional({ values: 'falsy' })
+  .isString().withMessage('Recurrence rule must be an RRULE string')
+  .custom(value => normalizeRecurrenceRule(value))
+  .customSanitizer(value => normalizeRecurrenceRule(value));
+
+// startDate/endDate of a series are its first occurrence, so the rule must produce that date
+const SERIES_START_MESSAGE = 'The start date must be the first occurrence of the recurrence rule';
+
+// Maintained by the server when series are split or occurrences detached
+const SERIES_MANAGED_FIELDS = ['recurrenceEnd', 'recurringEventId', 'originalStartDate'];
+
+const withoutManagedFields = (data) => {
+  const copy = { ...data };
+  SERIES_MANAGED_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+};
+
+// Download file name from an event title
+const fileSlug = (title) => title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'event';
+
+// After the last day of the event, anyone not checked in counts as a no-show
+const hasEnded = (event) => new Date(event.endDate).getTime() + 24 * 60 * 60 * 1000 <= Date.now();
+
+// Registrations cover every occurrence of a series, so attendance is taken on an occurrence
+// detached from it (edited with scope "this"), which gets its own registrations. Responds and
+// returns true for a series
+const refuseSeriesAttendance = (event, res) => {
+  if (!event.recurrenceRule) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Attendance is taken per occurrence of a recurring event. Edit the occurrence on its own to check people in there'
+  });
+  return true;
+};
+
+const describeAttendee = (registration) => ({
+  id: registration.user._id,
+  name: `${registration.user.firstName} ${registration.user.lastName}`,
+  email: registration.user.email,
+  studentId: registration.user.studentId,
+  registeredAt: registration.registeredAt,
+  checkedInAt: registration.checkedInAt,
+  checkInMethod: registration.checkInMethod
+});
+
+// Load an event with its attendees for someone allowed to manage it; sends the error response
+// and resolves to null otherwise
+const findManagedEvent = async (req, res) => {
+  const event = await Event.findOne({
+    _id: req.params.id,
+    isActive: true
+  })
+    .populate('registeredUsers.user', 'firstName lastName email studentId')
+    .populate('registeredUsers.checkedInBy', 'firstName lastName');
+
+  if (!event) {
+    res.status(404).json({
+      success: false,
+      message: 'Event not found'
+    });
+    return null;
+  }
+
+  if (!(await can(req.user, 'events:update', event))) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return event;
+};
+
+// Changes that can make an event clash with other bookings of its venue
+const BOOKING_FIELDS = ['bookedVenue', 'startDate', 'endDate', 'startTime', 'endTime', 'recurrenceRule', 'recurrenceExceptions'];
+
+// Check an event's venue before saving it: the venue must exist and hold maxParticipants, and
+// (when checkConflicts) no other booking of it may overlap the event. Users with venues:manage
+// may book over a clash with ignoreConflicts. Resolves to { error } to send back, or to the
+// { conflicts } that were overridden
+const checkVenueBooking = async (user, event, { ignoreConflicts, checkConflicts = true, syncLabel = false, others = [] }) => {
+  if (!event.bookedVenue) return { conflicts: [] };
+
+  const venue = await Venue.findById(event.bookedVenue);
+  if (!venue || (!venue.isActive && event.isModified('bookedVenue'))) {
+    return { error: { status: 400, message: 'Venue not found' } };
+  }
+
+  // The venue's name stands in for the free-text venue unless one was given
+  if (syncLabel && event.isModified('bookedVenue')) {
+    event.venue = venue.label;
+  }
+
+  if (event.maxParticipants && event.maxParticipants > venue.capacity) {
+    return {
+      error: { status: 400, message: `Maximum participants cannot exceed the venue capacity of ${venue.capacity}` }
+    };
+  }
+
+  if (!checkConflicts || event.status === 'cancelled') return { conflicts: [] };
+
+  const clashes = await findBookingConflicts(event, { others });
+  if (clashes.length === 0) return { conflicts: [] };
+
+  const conflicts = await Promise.all(clashes.map(async booking => describeBooking(
+    booking,
+    booking.event.status === 'published' || await can(user, 'events:view_unpublished', booking.event)
+  )));
+
+  if (ignoreConflicts && await can(user, 'venues:manage')) {
+    return { conflicts };
+  }
+
+  return {
+    error: { status: 409, message: `${venue.name} is already booked at that time`, data: { conflicts } }
+  };
+};
+
 // @route   GET /api/events
 // @desc    Get all events with filtering and pagination
-// @access  Public
+// @access  Public (with optional auth for unpublished events)
 router.get('/', [
+  optionalAuth,
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1-50'),
   query('eventType').optional().isIn(['academic', 'cultural', 'sports', 'workshop', 'seminar', 'exam', 'holiday', 'announcement']),
@@ -29,21 +181,48 @@ router.get('/', [
     // Build filter object
     const filter = { isActive: true };
     
-    // Only show published events for non-authenticated users
-    if (!req.user || req.user.role === 'student') {
+    // Unpublished events are listed only for users who may see them, and
+    // department-scoped viewers only get those of their own department
+    const unpublishedScope = await getPermissionScope(req.user, 'events:view_unpublished');
+    if (unpublishedScope === 'any') {
+      if (req.query.status) filter.status = req.query.status;
+    } else if (unpublishedScope === 'department') {
+      if (req.query.status) {
+        filter.status = req.query.status;
+        if (req.query.status !== 'published') filter.department = departmentQuery(req.user.department);
+      } else {
+        filter.$and = [{ $or: [{ status: 'published' }, { department: departmentQuery(req.user.department) }] }];
+      }
+    } else {
       filter.status = 'published';
     }
 
-    if (req.query.eventType) filter.eventType = req.query.eventType;
-    if (req.query.status && req.user && (req.user.role === 'teacher' || req.user.role === 'admin')) {
-      filter.status = req.query.status;
+    if (req.user && !(await can(req.user, 'events:view_any_audience'))) {
+      filter.$and = [...(filter.$and || []), audienceFilter(req.user)];
     }
 
-    // Date filtering
-    if (req.query.startDate || req.query.endDate) {
+    if (req.query.eventType) filter.eventType = req.query.eventType;
+
+    // Date filtering; with both bounds recurring events are expanded into their occurrences
+    const rangeStart = req.query.startDate ? new Date(req.query.startDate) : null;
+    const rangeEnd = req.query.endDate ? new Date(req.query.endDate) : null;
+    const expandRecurring = !!(rangeStart && rangeEnd);
+
+    if (expandRecurring) {
+      filter.$and = [...(filter.$and || []), {
+        $or: [
+          { recurrenceRule: null, startDate: { $gte: rangeStart, $lte: rangeEnd } },
+          {
+            recurrenceRule: { $ne: null },
+            startDate: { $lte: rangeEnd },
+            $or: [{ recurrenceEnd: null }, { recurrenceEnd: { $gte: rangeStart } }]
+          }
+        ]
+      }];
+    } else if (rangeStart || rangeEnd) {
       filter.startDate = {};
-      if (req.query.startDate) filter.startDate.$gte = new Date(req.query.startDate);
-      if (req.query.endDate) filter.startDate.$lte = new Date(req.query.endDate);
+      if (rangeStart) filter.startDate.$gte = rangeStart;
+      if (rangeEnd) filter.startDate.$lte = rangeEnd;
     }
 
     // Course and semester filtering
@@ -63,15 +242,28 @@ router.get('/', [
       ];
     }
 
-    const events = await Event.find(filter)
+    const eventQuery = Event.find(filter)
       .populate('organizer', 'firstName lastName email role')
+      .populate('bookedVenue', 'name code building floor capacity')
       .populate('targetAudience.courses', 'name code')
       .populate('registeredUsers.user', 'firstName lastName email')
-      .sort({ startDate: 1 })
-      .skip(skip)
-      .limit(limit);
+      .sort({ startDate: 1 });
+
+    let events;
+    let total;
 
-    const total = await Event.countDocuments(filter);
+    if (expandRecurring) {
+      // Occurrences only exist after expansion, so the window is paginated in memory
+      const occurrences = (await eventQuery)
+        .flatMap(event => (event.recurrenceRule ? expandOccurrences(event, rangeStart, rangeEnd) : [event.toJSON()]))
+        .sort((a, b) => a.startDate - b.startDate);
+
+      total = occurrences.length;
+      events = occurrences.slice(skip, skip + limit);
+    } else {
+      events = await eventQuery.skip(skip).limit(limit);
+      total = await Event.countDocuments(filter);
+    }
 
     res.json({
       success: true,
@@ -97,14 +289,15 @@ router.get('/', [
 
 // @route   GET /api/events/:id
 // @desc    Get single event
-// @access  Public
-router.get('/:id', async (req, res) => {
+// @access  Public (with optional auth for unpublished events)
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const event = await Event.findOne({ 
       _id: req.params.id, 
       isActive: true 
     })
       .populate('organizer', 'firstName lastName email role department')
+      .populate('bookedVenue', 'name code building floor capacity facilities')
       .populate('targetAudience.courses', 'name code department')
       .populate('registeredUsers.user', 'firstName lastName email studentId course');
 
@@ -116,7 +309,14 @@ router.get('/:id', async (req, res) => {
     }
 
     // Check if user can view this event
-    if (event.status !== 'published' && (!req.user || req.user.role === 'student')) {
+    if (event.status !== 'published' && !(await can(req.user, 'events:view_unpublished', event))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (req.user && !(await canSeeAudience(req.user, event))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -136,13 +336,60 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// @route   GET /api/events/:id/ics
+// @desc    Download an event (a series with its detached occurrences) as an iCalendar file
+// @access  Public (with optional auth for unpublished events)
+router.get('/:id/ics', optionalAuth, async (req, res) => {
+  try {
+    const event = await Event.findOne({
+      _id: req.params.id,
+      isActive: true
+    }).populate('organizer', 'firstName lastName email');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (event.status !== 'published' && !(await can(req.user, 'events:view_unpublished', event))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (req.user && !(await canSeeAudience(req.user, event))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const detached = event.recurrenceRule
+      ? await Event.find({ recurringEventId: event._id, isActive: true }).populate('organizer', 'firstName lastName email')
+      : [];
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileSlug(event.title)}.ics"`);
+    res.send(buildCalendar([event, ...detached]));
+  } catch (error) {
+    console.error('Export event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting event'
+    });
+  }
+});
+
 // @route   POST /api/events
 // @desc    Create new event
-// @access  Private (Teacher/Admin)
+// @access  Private (events:create)
 router.post('/', [
   auth,
   requireEmailVerification,
-  authorize('teacher', 'admin'),
+  requirePermission('events:create'),
   body('title').trim().isLength({ min: 5, max: 200 }).withMessage('Title must be between 5-200 characters'),
   body('description').trim().isLength({ min: 10 }).withMessage('Description must be at least 10 characters'),
   body('eventType').isIn(['academic', 'cultural', 'sports', 'workshop', 'seminar', 'exam', 'holiday', 'announcement']),
@@ -151,20 +398,38 @@ router.post('/', [
   body('startTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Invalid time format (HH:MM)'),
   body('endTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Invalid time format (HH:MM)'),
   body('venue').optional().trim(),
+  body('bookedVenue').optional().isMongoId().withMessage('Invalid venue ID'),
+  body('ignoreConflicts').optional().isBoolean(),
   body('targetAudience.courses').optional().isArray(),
   body('targetAudience.semesters').optional().isArray(),
   body('targetAudience.roles').optional().isArray(),
   body('registrationRequired').optional().isBoolean(),
   body('maxParticipants').optional().isInt({ min: 1 }),
   body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
-  body('tags').optional().isArray()
+  body('tags').optional().isArray(),
+  body('status').optional().isIn(['draft', 'published', 'cancelled', 'completed']),
+  body('department').optional().trim(),
+  recurrenceRuleValidator(),
+  body('recurrenceExceptions').optional().isArray().withMessage('Recurrence exceptions must be a list of dates'),
+  body('recurrenceExceptions.*').isISO8601().withMessage('Invalid recurrence exception date')
 ], validate, async (req, res) => {
   try {
+    const { ignoreConflicts, ...fields } = req.body;
     const eventData = {
-      ...req.body,
-      organizer: req.user.id
+      ...withoutManagedFields(fields),
+      organizer: req.user.id,
+      // Events belong to the organizer's department unless another one is given
+      department: req.body.department || req.user.department
     };
 
+    // Creating an event straight into the published state needs publish rights
+    if (req.body.status === 'published' && !(await can(req.user, 'events:publish', eventData))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Missing permission: events:publish'
+      });
+    }
+
     // Validate end date is after start date
     if (new Date(req.body.endDate) < new Date(req.body.startDate)) {
       return res.status(400).json({
@@ -174,6 +439,28 @@ router.post('/', [
     }
 
     const event = new Event(eventData);
+
+    if (event.recurrenceRule && !startsOnOccurrence(event)) {
+      return res.status(400).json({
+        success: false,
+        message: SERIES_START_MESSAGE
+      });
+    }
+
+    // As on update, scoped users can only put events where they could manage them
+    if (!(await can(req.user, 'events:update', event))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const booking = await checkVenueBooking(req.user, event, { ignoreConflicts, syncLabel: !fields.venue });
+    if (booking.error) {
+      const { status, ...error } = booking.error;
+      return res.status(status).json({ success: false, ...error });
+    }
+
     await event.save();
 
     await event.populate('organizer', 'firstName lastName email role');
@@ -181,7 +468,8 @@ router.post('/', [
     res.status(201).json({
       success: true,
       message: 'Event created successfully',
-      data: event
+      data: event,
+      ...(booking.conflicts.length > 0 && { conflicts: booking.conflicts })
     });
   } catch (error) {
     console.error('Create event error:', error);
@@ -194,19 +482,35 @@ router.post('/', [
 
 // @route   PUT /api/events/:id
 // @desc    Update event
-// @access  Private (Owner/Admin)
+// @access  Private (events:update)
 router.put('/:id', [
   auth,
   requireEmailVerification,
-  authorize('teacher', 'admin'),
+  requirePermission('events:update'),
   body('title').optional().trim().isLength({ min: 5, max: 200 }),
   body('description').optional().trim().isLength({ min: 10 }),
   body('eventType').optional().isIn(['academic', 'cultural', 'sports', 'workshop', 'seminar', 'exam', 'holiday', 'announcement']),
   body('startDate').optional().isISO8601(),
   body('endDate').optional().isISO8601(),
-  body('status').optional().isIn(['draft', 'published', 'cancelled', 'completed'])
+  body('status').optional().isIn(['draft', 'published', 'cancelled', 'completed']),
+  body('department').optional().trim(),
+  body('bookedVenue').optional({ values: 'null' }).isMongoId().withMessage('Invalid venue ID'),
+  body('maxParticipants').optional().isInt({ min: 1 }),
+  body('ignoreConflicts').optional().isBoolean(),
+  recurrenceRuleValidator(),
+  body('recurrenceExceptions').optional().isArray().withMessage('Recurrence exceptions must be a list of dates'),
+  body('recurrenceExceptions.*').isISO8601().withMessage('Invalid recurrence exception date'),
+  body('scope').optional().isIn(['this', 'following', 'all']).withMessage('Scope must be this, following or all'),
+  body('occurrenceDate').optional().isISO8601().withMessage('Invalid occurrence date')
 ], validate, async (req, res) => {
   try {
+    const {
+      scope = 'all',
+      occurrenceDate: rawOccurrenceDate,
+      ignoreConflicts,
+      ...updates
+    } = withoutManagedFields(req.body);
+
     const event = await Event.findOne({ 
       _id: req.params.id, 
       isActive: true 
@@ -219,46 +523,151 @@ router.put('/:id', [
       });
     }
 
-    // Check ownership (admin can edit any event)
-    if (req.user.role !== 'admin' && event.organizer.toString() !== req.user.id) {
+    if (!(await can(req.user, 'events:update', event))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
+    const isPublishing = updates.status === 'published' && event.status !== 'published';
+
+    // For a recurring event, "this" edits one occurrence (detached as its own event) and
+    // "following" splits the series at the occurrence; "all" edits the series itself
+    let target = event;
+    if (event.recurrenceRule && scope !== 'all') {
+      const occurrenceDate = rawOccurrenceDate ? new Date(rawOccurrenceDate) : null;
+      if (!occurrenceDate || !isOccurrence(event, occurrenceDate)) {
+        return res.status(400).json({
+          success: false,
+          message: 'occurrenceDate must be the start of an occurrence of this event'
+        });
+      }
+
+      if (scope === 'this') {
+        if (updates.recurrenceRule) {
+          return res.status(400).json({
+            success: false,
+            message: 'A single occurrence cannot repeat; edit the following occurrences instead'
+          });
+        }
+        delete updates.recurrenceRule;
+        delete updates.recurrenceExceptions;
+        target = detachOccurrence(event, occurrenceDate);
+      } else if (hasOccurrencesBefore(event, occurrenceDate)) {
+        // From the first occurrence on, "following" is the whole series
+        target = splitSeries(event, occurrenceDate);
+      }
+    }
+
+    const previousStart = target.startDate;
+    const wasCancelled = target.status === 'cancelled';
+    const previousCapacity = target.maxParticipants;
+
     // Update event
-    Object.keys(req.body).forEach(key => {
-      if (req.body[key] !== undefined) {
-        event[key] = req.body[key];
+    Object.keys(updates).forEach(key => {
+      if (updates[key] !== undefined) {
+        target[key] = updates[key];
       }
     });
 
+    // Moving a whole series moves its exceptions with it
+    const shift = target === event && event.recurrenceRule && !updates.recurrenceExceptions
+      ? event.startDate - previousStart
+      : 0;
+    if (shift) {
+      event.recurrenceExceptions = event.recurrenceExceptions.map(date => new Date(date.getTime() + shift));
+    }
+
+    if (target.recurrenceRule && (target.isModified('recurrenceRule') || target.isModified('startDate')) &&
+      !startsOnOccurrence(target)) {
+      return res.status(400).json({
+        success: false,
+        message: SERIES_START_MESSAGE
+      });
+    }
+
+    // Re-check against the updated event so scoped users can't move it out of their reach
+    if (target.isModified('department') && !(await can(req.user, 'events:update', target))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (isPublishing && !(await can(req.user, 'events:publish', target))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Missing permission: events:publish'
+      });
+    }
+
+    // A cancelled event gave its venue up, so bringing it back needs the venue to be free again
+    const booking = await checkVenueBooking(req.user, target, {
+      ignoreConflicts,
+      checkConflicts: target.isNew || BOOKING_FIELDS.some(field => target.isModified(field)) || wasCancelled,
+      syncLabel: updates.venue === undefined,
+      // The series as changed here replaces its stored version when checking a split or detached part
+      others: target === event ? [] : [event]
+    });
+    if (booking.error) {
+      const { status, ...error } = booking.error;
+      return res.status(status).json({ success: false, ...error });
+    }
+
+    // Check the new document before changing the series it was taken from
+    if (target !== event) {
+      await target.validate();
+    }
     await event.save();
-    await event.populate('organizer', 'firstName lastName email role');
+    if (target !== event) {
+      await target.save();
+    }
+
+    if (shift) {
+      await Event.updateMany(
+        { recurringEventId: event._id },
+        [{ $set: { originalStartDate: { $add: ['$originalStartDate', shift] } } }]
+      );
+    } else if (scope === 'following' && target !== event) {
+      // Detached occurrences from the split-off part now belong to the new series
+      await Event.updateMany(
+        { recurringEventId: event._id, originalStartDate: { $gte: target.startDate } },
+        { recurringEventId: target._id }
+      );
+    }
+
+    // Extra places go to the waitlist
+    if (target === event && previousCapacity && (!event.maxParticipants || event.maxParticipants > previousCapacity)) {
+      await promoteFromWaitlist(event._id);
+    }
+
+    await target.populate('organizer', 'firstName lastName email role');
 
     // Send notification if event is published
-    if (req.body.status === 'published' && event.status !== 'published') {
-      // Get target audience emails
+    if (isPublishing) {
+      // Get target audience emails; graduates keep their course but only hear about
+      // events aimed at alumni
       const users = await User.find({
         isActive: true,
         isEmailVerified: true,
         $or: [
-          { course: { $in: event.targetAudience.courses } },
-          { role: { $in: event.targetAudience.roles } }
+          { course: { $in: target.targetAudience.courses }, role: { $ne: 'alumni' } },
+          { role: { $in: target.targetAudience.roles } }
         ]
       });
 
       const emails = users.map(user => user.email);
       if (emails.length > 0) {
-        await sendEventNotification(emails, event);
+        await sendEventNotification(emails, target);
       }
     }
 
     res.json({
       success: true,
       message: 'Event updated successfully',
-      data: event
+      data: target,
+      ...(booking.conflicts.length > 0 && { conflicts: booking.conflicts })
     });
   } catch (error) {
     console.error('Update event error:', error);
@@ -271,11 +680,11 @@ router.put('/:id', [
 
 // @route   DELETE /api/events/:id
 // @desc    Delete event (soft delete)
-// @access  Private (Owner/Admin)
+// @access  Private (events:delete)
 router.delete('/:id', [
   auth,
   requireEmailVerification,
-  authorize('teacher', 'admin')
+  requirePermission('events:delete')
 ], async (req, res) => {
   try {
     const event = await Event.findOne({ 
@@ -290,8 +699,7 @@ router.delete('/:id', [
       });
     }
 
-    // Check ownership (admin can delete any event)
-    if (req.user.role !== 'admin' && event.organizer.toString() !== req.user.id) {
+    if (!(await can(req.user, 'events:delete', event))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -301,6 +709,11 @@ router.delete('/:id', [
     event.isActive = false;
     await event.save();
 
+    // Deleting a series also removes its detached occurrences
+    if (event.recurrenceRule) {
+      await Event.updateMany({ recurringEventId: event._id }, { isActive: false });
+    }
+
     res.json({
       success: true,
       message: 'Event deleted successfully'
@@ -315,21 +728,22 @@ router.delete('/:id', [
 });
 
 // @route   POST /api/events/:id/register
-// @desc    Register for an event
-// @access  Private (Student)
+// @desc    Register for an event, or join its waitlist when it is full. Someone offered a
+//          place from the waitlist confirms it by registering
+// @access  Private (events:register)
 router.post('/:id/register', [
   auth,
   requireEmailVerification,
-  authorize('student')
+  requirePermission('events:register')
 ], async (req, res) => {
   try {
     const event = await Event.findOne({ 
       _id: req.params.id, 
       isActive: true,
       status: 'published'
-    });
+    }).select('+waitlist');
 
-    if (!event) {
+    if (!event || !(await canSeeAudience(req.user, event))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found or not available for registration'
@@ -344,14 +758,6 @@ router.post('/:id/register', [
       });
     }
 
-    // Check registration deadline
-    if (event.registrationDeadline && new Date() > event.registrationDeadline) {
-      return res.status(400).json({
-        success: false,
-        message: 'Registration deadline has passed'
-      });
-    }
-
     // Check if already registered
     const alreadyRegistered = event.registeredUsers.some(
       reg => reg.user.toString() === req.user.id
@@ -364,28 +770,74 @@ router.post('/:id/register', [
       });
     }
 
-    // Check capacity
-    if (event.maxParticipants && event.registeredUsers.length >= event.maxParticipants) {
+    // Lapsed offers move down the line before this request is weighed up
+    const offered = offerFreePlaces(event);
+    const entry = findEntry(event, req.user.id);
+    const holdsOffer = !!entry && hasActiveOffer(entry);
+
+    if (entry && !holdsOffer) {
       return res.status(400).json({
         success: false,
-        message: 'Event is full. No more registrations allowed'
+        message: `You are already on the waitlist (position ${getWaitlistPosition(event, req.user.id)})`
+      });
+    }
+
+    // Check registration deadline; a place offered from the waitlist can be taken after it
+    if (!holdsOffer && event.registrationDeadline && new Date() > event.registrationDeadline) {
+      return res.status(400).json({
+        success: false,
+        message: 'Registration deadline has passed'
+      });
+    }
+
+    // Check capacity; a full event puts the user at the back of the waitlist
+    if (!holdsOffer && event.maxParticipants && heldPlaces(event) >= event.maxParticipants) {
+      // A place freed now could never be offered, so there is nothing to wait for
+      if (!canStillOffer(event)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Event is full and no more places will be offered, so it has no waitlist to join'
+        });
+      }
+
+      event.waitlist.push({
+        user: req.user.id,
+        joinedAt: new Date()
+      });
+
+      await event.save();
+      await notifyOffers(event, offered);
+
+      return res.json({
+        success: true,
+        message: 'Event is full. You have been added to the waitlist',
+        data: {
+          eventId: event._id,
+          waitlisted: true,
+          position: getWaitlistPosition(event, req.user.id)
+        }
       });
     }
 
     // Register user
+    if (entry) {
+      event.waitlist.pull(entry._id);
+    }
     event.registeredUsers.push({
       user: req.user.id,
       registeredAt: new Date()
     });
 
     await event.save();
+    // No offer email for a place the user has just taken
+    await notifyOffers(event, offered.filter(offer => offer !== entry));
 
     res.json({
       success: true,
       message: 'Registration successful',
       data: {
         eventId: event._id,
-        registrationCount: event.registredUsers.length
+        registrationCount: event.registeredUsers.length
       }
     });
   } catch (error) {
@@ -398,18 +850,19 @@ router.post('/:id/register', [
 });
 
 // @route   DELETE /api/events/:id/register
-// @desc    Unregister from an event
-// @access  Private (Student)
+// @desc    Unregister from an event (or leave its waitlist); the freed place is offered to the
+//          next person on the waitlist
+// @access  Private (events:register)
 router.delete('/:id/register', [
   auth,
   requireEmailVerification,
-  authorize('student')
+  requirePermission('events:register')
 ], async (req, res) => {
   try {
     const event = await Event.findOne({ 
       _id: req.params.id, 
       isActive: true 
-    });
+    }).select('+waitlist');
 
     if (!event) {
       return res.status(404).json({
@@ -422,21 +875,44 @@ router.delete('/:id/register', [
     const registrationIndex = event.registeredUsers.findIndex(
       reg => reg.user.toString() === req.user.id
     );
+    const entry = findEntry(event, req.user.id);
 
-    if (registrationIndex === -1) {
+    if (registrationIndex === -1 && !entry) {
       return res.status(400).json({
         success: false,
         message: 'You are not registered for this event'
       });
     }
 
-    // Remove registration
-    event.registeredUsers.splice(registrationIndex, 1);
+    // Remove registration. Once the event is under way it is part of the attendance record
+    // (check-ins and no-shows), so it stays; a series can be left until its last occurrence begins
+    if (registrationIndex !== -1) {
+      const registration = event.registeredUsers[registrationIndex];
+      const started = event.recurrenceRule
+        ? nextOccurrenceStart(event, new Date()) === null
+        : event.startDate <= new Date();
+
+      if (started || registration.checkedInAt) {
+        return res.status(400).json({
+          success: false,
+          message: registration.checkedInAt
+            ? 'You have already been checked in to this event'
+            : 'This event has already started, so you can no longer unregister'
+        });
+      }
+
+      event.registeredUsers.splice(registrationIndex, 1);
+    } else {
+      event.waitlist.pull(entry._id);
+    }
+
+    const offered = offerFreePlaces(event);
     await event.save();
+    await notifyOffers(event, offered);
 
     res.json({
       success: true,
-      message: 'Unregistration successful'
+      message: registrationIndex !== -1 ? 'Unregistration successful' : 'Removed from the waitlist'
     });
   } catch (error) {
     console.error('Event unregistration error:', error);
@@ -447,15 +923,471 @@ router.delete('/:id/register', [
   }
 });
 
+// @route   GET /api/events/:id/waitlist/position
+// @desc    Your place on an event's waitlist, or the offer you hold
+// @access  Private (events:register)
+router.get('/:id/waitlist/position', [
+  auth,
+  requireEmailVerification,
+  requirePermission('events:register')
+], async (req, res) => {
+  try {
+    const event = await Event.findOne({
+      _id: req.params.id,
+      isActive: true
+    }).select('+waitlist');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const entry = findEntry(event, req.user.id);
+    const holdsOffer = !!entry && hasActiveOffer(entry);
+
+    res.json({
+      success: true,
+      data: {
+        onWaitlist: !!entry,
+        position: getWaitlistPosition(event, req.user.id),
+        waiting: event.waitlist.filter(other => !other.offerExpiresAt).length,
+        offerExpiresAt: holdsOffer ? entry.offerExpiresAt : null
+      }
+    });
+  } catch (error) {
+    console.error('Get waitlist position error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching waitlist position'
+    });
+  }
+});
+
+// @route   GET /api/events/:id/waitlist
+// @desc    An event's waitlist in order, with open offers
+// @access  Private (events:update)
+router.get('/:id/waitlist', [
+  auth,
+  requireEmailVerification,
+  requirePermission('events:update')
+], async (req, res) => {
+  try {
+    const event = await Event.findOne({
+      _id: req.params.id,
+      isActive: true
+    })
+      .select('+waitlist')
+      .populate('waitlist.user', 'firstName lastName email studentId course');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!(await can(req.user, 'events:update', event))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        maxParticipants: event.maxParticipants,
+        registrationCount: event.registeredUsers.length,
+        waitlist: event.waitlist
+      }
+    });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching waitlist'
+    });
+  }
+});
+
+// @route   GET /api/events/:id/ticket
+// @desc    Your ticket for an event: a signed QR code the organizer scans at the door
+// @access  Private (events:register)
+router.get('/:id/ticket', [
+  auth,
+  requireEmailVerification,
+  requirePermission('events:register')
+], async (req, res) => {
+  try {
+    // Like an ID card, a ticket gets its holder in; don't hand one out to someone viewing as them
+    if (req.impersonatedBy) {
+      return res.status(403).json({
+        success: false,
+        message: 'Tickets cannot be viewed while viewing as another user'
+      });
+    }
+
+    const event = await Event.findOne({
+      _id: req.params.id,
+      isActive: true
+    });
+
+    const registration = event && event.registeredUsers.find(reg => reg.user.toString() === req.user.id);
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not registered for this event'
+      });
+    }
+
+    // Check-in happens on single occurrences, which issue their own tickets
+    if (event.recurrenceRule) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tickets are issued for single occurrences of a recurring event, not for the series'
+      });
+    }
+
+    const token = signTicket(event, registration);
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        qrCode: await buildTicketQr(token),
+        event: {
+          id: event._id,
+          title: event.title,
+          startDate: event.startDate,
+          endDate: event.endDate,
+          startTime: event.startTime,
+          endTime: event.endTime,
+          venue: event.venue,
+          status: event.status
+        },
+        registeredAt: registration.registeredAt,
+        checkedInAt: registration.checkedInAt
+      }
+    });
+  } catch (error) {
+    console.error('Get ticket error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching ticket'
+    });
+  }
+});
+
+// @route   POST /api/events/:id/check-in
+// @desc    Check an attendee in by scanned ticket (token) or by hand (userId)
+// @access  Private (events:update)
+router.post('/:id/check-in', [
+  auth,
+  requireEmailVerification,
+  requirePermission('events:update'),
+  body('token').optional().isString().trim(),
+  body('userId').optional().isMongoId().withMessage('Invalid user ID')
+], validate, async (req, res) => {
+  try {
+    const { token, userId } = req.body;
+
+    if (!token && !userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scan a ticket or choose a registered attendee'
+      });
+    }
+
+    const event = await findManagedEvent(req, res);
+    if (!event || refuseSeriesAttendance(event, res)) return;
+
+    if (!['published', 'completed'].includes(event.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-in is only open for published events'
+      });
+    }
+
+    let registration;
+    if (token) {
+      const result = verifyTicket(token);
+      if (!result.valid) {
+        return res.status(400).json({
+          success: false,
+          message: 'This is not a valid ticket'
+        });
+      }
+
+      if (result.claims.eid !== event._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'This ticket is for a different event'
+        });
+      }
+
+      // Unregistering removes the registration, and with it the ticket
+      registration = event.registeredUsers.id(result.claims.rid);
+      if (!registration || !registration.user) {
+        return res.status(400).json({
+          success: false,
+          message: 'This ticket is no longer valid; the registration was cancelled'
+        });
+      }
+    } else {
+      registration = event.registeredUsers.find(reg => reg.user && reg.user._id.toString() === userId);
+      if (!registration) {
+        return res.status(404).json({
+          success: false,
+          message: 'This person is not registered for the event'
+        });
+      }
+    }
+
+    // A second scan is reported rather than moving the original check-in time
+    const alreadyCheckedIn = !!registration.checkedInAt;
+    if (!alreadyCheckedIn) {
+      registration.checkedInAt = new Date();
+      registration.checkedInBy = req.user._id;
+      registration.checkInMethod = token ? 'qr' : 'manual';
+      await event.save();
+    }
+
+    res.json({
+      success: true,
+      message: alreadyCheckedIn ? 'Already checked in' : 'Checked in',
+      data: {
+        alreadyCheckedIn,
+        attendee: describeAttendee(registration)
+      }
+    });
+  } catch (error) {
+    console.error('Event check-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking in'
+    });
+  }
+});
+
+// @route   DELETE /api/events/:id/check-in/:userId
+// @desc    Undo a check-in made by mistake
+// @access  Private (events:update)
+router.delete('/:id/check-in/:userId', [
+  auth,
+  requireEmailVerification,
+  requirePermission('events:update')
+], async (req, res) => {
+  try {
+    const event = await findManagedEvent(req, res);
+    if (!event || refuseSeriesAttendance(event, res)) return;
+
+    const registration = event.registeredUsers.find(
+      reg => reg.user && reg.user._id.toString() === req.params.userId
+    );
+
+    if (!registration || !registration.checkedInAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This person has not been checked in'
+      });
+    }
+
+    registration.checkedInAt = undefined;
+    registration.checkedInBy = undefined;
+    registration.checkInMethod = undefined;
+    await event.save();
+
+    res.json({
+      success: true,
+      message: 'Check-in undone'
+    });
+  } catch (error) {
+    console.error('Undo check-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while undoing check-in'
+    });
+  }
+});
+
+// @route   GET /api/events/:id/attendance
+// @desc    Attendance figures and the attendee list of an event
+// @access  Private (events:update)
+router.get('/:id/attendance', [
+  auth,
+  requireEmailVerification,
+  requirePermission('events:update')
+], async (req, res) => {
+  try {
+    const event = await findManagedEvent(req, res);
+    if (!event || refuseSeriesAttendance(event, res)) return;
+
+    const registrations = event.registeredUsers.filter(reg => reg.user);
+    const checkedIn = registrations.filter(reg => reg.checkedInAt);
+    const ended = hasEnded(event);
+
+    res.json({
+      success: true,
+      data: {
+        eventEnded: ended,
+        registered: registrations.length,
+        checkedIn: checkedIn.length,
+        notCheckedIn: registrations.length - checkedIn.length,
+        // Only meaningful once the event is over
+        noShows: ended ? registrations.length - checkedIn.length : null,
+        attendanceRate: registrations.length > 0
+          ? Math.round((checkedIn.length / registrations.length) * 1000) / 10
+          : null,
+        byMethod: {
+          qr: checkedIn.filter(reg => reg.checkInMethod === 'qr').length,
+          manual: checkedIn.filter(reg => reg.checkInMethod === 'manual').length
+        },
+        attendees: registrations.map(describeAttendee)
+      }
+    });
+  } catch (error) {
+    console.error('Get attendance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching attendance'
+    });
+  }
+});
+
+// @route   GET /api/events/:id/attendance/export
+// @desc    Export an event's attendance as CSV
+// @access  Private (events:update)
+router.get('/:id/attendance/export', [
+  auth,
+  requireEmailVerification,
+  requirePermission('events:update')
+], async (req, res) => {
+  try {
+    const event = await findManagedEvent(req, res);
+    if (!event || refuseSeriesAttendance(event, res)) return;
+
+    const ended = hasEnded(event);
+    const registrations = event.registeredUsers.filter(reg => reg.user);
+
+    const headers = ['First Name', 'Last Name', 'Email', 'Student ID', 'Registered At', 'Status', 'Checked In At', 'Check-in Method', 'Checked In By'];
+    const rows = registrations.map(reg => [
+      reg.user.firstName,
+      reg.user.lastName,
+      reg.user.email,
+      reg.user.studentId,
+      reg.registeredAt,
+      reg.checkedInAt ? 'Attended' : (ended ? 'No-show' : 'Not checked in'),
+      reg.checkedInAt,
+      reg.checkInMethod,
+      reg.checkedInBy ? `${reg.checkedInBy.firstName} ${reg.checkedInBy.lastName}` : ''
+    ]);
+
+    await recordAudit({
+      action: 'events.attendance_exported',
+      actor: req.user._id,
+      req,
+      metadata: { event: event._id, count: rows.length }
+    });
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="attendance-${fileSlug(event.title)}.csv"`);
+    res.send(toCsv(headers, rows));
+  } catch (error) {
+    console.error('Export attendance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting attendance'
+    });
+  }
+});
+
+// @route   GET /api/events/user/waitlisted
+// @desc    Upcoming events you are waiting for, with your position or open offer
+// @access  Private (events:register)
+router.get('/user/waitlisted', [
+  auth,
+  requireEmailVerification,
+  requirePermission('events:register')
+], async (req, res) => {
+  try {
+    const events = await Event.find({
+      'waitlist.user': req.user._id,
+      isActive: true,
+      status: 'published',
+      startDate: { $gt: new Date() }
+    })
+      .select('+waitlist')
+      .populate('organizer', 'firstName lastName email role')
+      .sort({ startDate: 1 });
+
+    res.json({
+      success: true,
+      data: events.map(event => {
+        const entry = findEntry(event, req.user.id);
+        const { waitlist, ...details } = event.toJSON();
+        return {
+          ...details,
+          waitlistPosition: getWaitlistPosition(event, req.user.id),
+          offerExpiresAt: hasActiveOffer(entry) ? entry.offerExpiresAt : null
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get waitlisted events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching waitlisted events'
+    });
+  }
+});
+
 // @route   GET /api/events/user/registered
-// @desc    Get user's registered events
-// @access  Private (Student)
+// @desc    Get user's registered events; guardians pass ?student= for a linked student's
+// @access  Private (events:register, or a guardian linked to the student)
 router.get('/user/registered', [
   auth,
   requireEmailVerification,
-  authorize('student')
-], async (req, res) => {
+  query('student').optional().isMongoId().withMessage('Invalid student ID')
+], validate, async (req, res) => {
   try {
+    // A guardian gets a linked student's events, limited to what the key dates list shows
+    if (req.query.student) {
+      if (req.user.role !== 'guardian' || !(await getActiveLink(req.user._id, req.query.student))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      if (!(await User.exists({ _id: req.query.student, isActive: true }))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Linked student not found'
+        });
+      }
+
+      const events = await Event.find({
+        'registeredUsers.user': req.query.student,
+        isActive: true
+      })
+        .select(GUARDIAN_EVENT_FIELDS)
+        .sort({ startDate: 1 });
+
+      return res.json({
+        success: true,
+        data: events
+      });
+    }
+
+    if (!(await can(req.user, 'events:register'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Missing permission: events:register'
+      });
+    }
+
     const events = await Event.find({
       'registeredUsers.user': req.user.id,
       isActive: true
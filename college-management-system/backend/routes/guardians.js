@@ -0,0 +1,272 @@
+const express = require('express');
+const { body } = require('express-validator');
+const User = require('../models/User');
+const GuardianLink = require('../models/GuardianLink');
+const { auth, requireEmailVerification } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { recordAudit } = require('../utils/audit');
+const {
+  sendGuardianInvitation,
+  findInvitation,
+  getActiveLink,
+  findCourseKeyDates
+} = require('../utils/guardians');
+
+const router = express.Router();
+
+// How many guardians a student can have linked or invited at once
+const MAX_GUARDIANS_PER_STUDENT = 4;
+
+// @route   GET /api/guardians
+// @desc    Get the current user's guardian links - a student's guardians, or a guardian's students
+// @access  Private
+router.get('/', [auth, requireEmailVerification], async (req, res) => {
+  try {
+    const filter = req.user.role === 'guardian'
+      ? { guardian: req.user._id, status: 'active' }
+      : { student: req.user._id, status: { $in: ['pending', 'active'] } };
+
+    const links = await GuardianLink.find(filter)
+      .populate('student', 'firstName lastName studentId course semester avatar')
+      .populate('guardian', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: links
+    });
+  } catch (error) {
+    console.error('Get guardian links error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching guardian links'
+    });
+  }
+});
+
+// @route   POST /api/guardians/invitations
+// @desc    Invite a parent or guardian by email
+// @access  Private (students)
+router.post('/invitations', [
+  auth,
+  requireEmailVerification,
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('relationship').optional().trim().isLength({ max: 30 }).withMessage('Relationship cannot exceed 30 characters')
+], validate, async (req, res) => {
+  try {
+    if (req.user.role !== 'student') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only students can invite guardians'
+      });
+    }
+
+    const { email, relationship } = req.body;
+
+    if (email === req.user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot invite yourself'
+      });
+    }
+
+    // Whether the address can become a guardian is only decided when the invitation is accepted,
+    // so inviting can't be used to find out which emails have accounts
+    // Invitations that ran out don't count, so the student can simply invite again
+    const openLinks = (await GuardianLink.find({ student: req.user._id, status: { $in: ['pending', 'active'] } }))
+      .filter(link => link.status === 'active' || link.invitationExpires > new Date());
+    if (openLinks.some(link => link.email === email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This guardian is already linked or invited'
+      });
+    }
+    if (openLinks.length >= MAX_GUARDIANS_PER_STUDENT) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_GUARDIANS_PER_STUDENT} guardians`
+      });
+    }
+
+    const link = new GuardianLink({
+      student: req.user._id,
+      email,
+      relationship
+    });
+    const emailSent = await sendGuardianInvitation(link, req.user);
+
+    await recordAudit({
+      action: 'guardians.invited',
+      actor: req.user._id,
+      targetUser: req.user._id,
+      req,
+      metadata: { link: link._id, email }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: emailSent ? 'Invitation sent' : 'Invitation created, but the email could not be sent',
+      data: link
+    });
+  } catch (error) {
+    console.error('Invite guardian error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while inviting guardian'
+    });
+  }
+});
+
+// @route   GET /api/guardians/invitations/:token
+// @desc    Look up an invitation before accepting it
+// @access  Public
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const link = await findInvitation(req.params.token);
+
+    if (!link) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation. Please ask the student to send a new one.'
+      });
+    }
+
+    // Existing guardians only confirm; everyone else creates an account when accepting
+    const hasAccount = !!(await User.exists({ email: link.email }));
+
+    res.json({
+      success: true,
+      data: {
+        studentName: `${link.student.firstName} ${link.student.lastName}`,
+        email: link.email,
+        relationship: link.relationship,
+        hasAccount
+      }
+    });
+  } catch (error) {
+    console.error('Get guardian invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invitation'
+    });
+  }
+});
+
+// @route   PUT /api/guardians/:id
+// @desc    Turn the digest email for a linked student on or off
+// @access  Private (the link's guardian)
+router.put('/:id', [
+  auth,
+  requireEmailVerification,
+  body('digestEnabled').isBoolean().withMessage('Digest setting must be true or false').toBoolean()
+], validate, async (req, res) => {
+  try {
+    const link = await GuardianLink.findOne({ _id: req.params.id, guardian: req.user._id, status: 'active' });
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guardian link not found'
+      });
+    }
+
+    link.digestEnabled = req.body.digestEnabled;
+    await link.save();
+
+    res.json({
+      success: true,
+      message: link.digestEnabled ? 'Digest emails turned on' : 'Digest emails turned off',
+      data: link
+    });
+  } catch (error) {
+    console.error('Update guardian link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating guardian link'
+    });
+  }
+});
+
+// @route   DELETE /api/guardians/:id
+// @desc    Revoke a guardian link or cancel an invitation
+// @access  Private (the link's student or guardian)
+router.delete('/:id', [
+  auth,
+  requireEmailVerification
+], async (req, res) => {
+  try {
+    const link = await GuardianLink.findOne({
+      _id: req.params.id,
+      status: { $in: ['pending', 'active'] },
+      $or: [{ student: req.user._id }, { guardian: req.user._id }]
+    });
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guardian link not found'
+      });
+    }
+
+    link.status = 'revoked';
+    link.revokedAt = new Date();
+    link.revokedBy = req.user._id;
+    link.invitationToken = undefined;
+    link.invitationExpires = undefined;
+    await link.save();
+
+    await recordAudit({
+      action: 'guardians.revoked',
+      actor: req.user._id,
+      targetUser: link.student,
+      req,
+      metadata: { link: link._id, guardian: link.guardian }
+    });
+
+    res.json({
+      success: true,
+      message: 'Guardian access removed'
+    });
+  } catch (error) {
+    console.error('Revoke guardian link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing guardian access'
+    });
+  }
+});
+
+// @route   GET /api/guardians/students/:studentId/key-dates
+// @desc    Upcoming exam and holiday events for a linked student's course
+// @access  Private (linked guardians)
+router.get('/students/:studentId/key-dates', [
+  auth,
+  requireEmailVerification
+], async (req, res) => {
+  try {
+    const link = await getActiveLink(req.user._id, req.params.studentId);
+    const student = link && await User.findOne({ _id: link.student, isActive: true }).select('course');
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Linked student not found'
+      });
+    }
+
+    const events = await findCourseKeyDates(student, new Date());
+
+    res.json({
+      success: true,
+      data: events
+    });
+  } catch (error) {
+    console.error('Get student key dates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching key dates'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require('express');
+const { body } = require('express-validator');
+const User = require('../models/User');
+const { auth, requireEmailVerification, requirePermission } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { isIdCardKeyConfigured, getPublicKeyInfo, verifyIdCard } = require('../utils/idCard');
+
+const router = express.Router();
+
+// Without a signing key no card can be issued or checked
+const requireIdCardKey = (req, res, next) => {
+  if (!isIdCardKeyConfigured()) {
+    return res.status(503).json({
+      success: false,
+      message: 'ID cards are not set up on this server'
+    });
+  }
+  next();
+};
+
+// @route   GET /api/id-cards/public-key
+// @desc    Get the key ID card QR codes are signed with, for offline verification
+// @access  Public
+router.get('/public-key', requireIdCardKey, (req, res) => {
+  res.json({
+    success: true,
+    data: getPublicKeyInfo()
+  });
+});
+
+// @route   POST /api/id-cards/verify
+// @desc    Verify a scanned ID card QR code and the current state of the student's account
+// @access  Private (idcards:verify)
+router.post('/verify', [
+  auth,
+  requireEmailVerification,
+  requirePermission('idcards:verify'),
+  requireIdCardKey,
+  body('token').isString().notEmpty().withMessage('Scanned QR code is required')
+], validate, async (req, res) => {
+  try {
+    const result = verifyIdCard(req.body.token);
+
+    if (!result.valid && result.reason !== 'expired') {
+      return res.json({
+        success: true,
+        data: { valid: false, reason: result.reason }
+      });
+    }
+
+    const { claims } = result;
+    const card = {
+      name: claims.name,
+      studentId: claims.sid,
+      course: claims.course,
+      semester: claims.sem,
+      issuedAt: new Date(claims.iat * 1000),
+      validUntil: new Date(claims.exp * 1000)
+    };
+
+    if (!result.valid) {
+      return res.json({
+        success: true,
+        data: { valid: false, reason: result.reason, card }
+      });
+    }
+
+    // A genuine card can still belong to an account that has since changed
+    const student = await User.findById(claims.uid).select('avatar role studentId academicStatus isActive');
+
+    let reason;
+    if (!student || !student.isActive) {
+      reason = 'account-inactive';
+    } else if (student.role !== 'student' || student.academicStatus !== 'enrolled') {
+      reason = 'not-enrolled';
+    } else if (student.studentId !== claims.sid) {
+      reason = 'student-id-changed';
+    }
+
+    res.json({
+      success: true,
+      data: {
+        valid: !reason,
+        reason,
+        card,
+        // Let the scanner compare the photo with the person holding the card
+        avatar: student ? student.avatar : undefined
+      }
+    });
+  } catch (error) {
+    console.error('Verify ID card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying ID card'
+    });
+  }
+});
+
+module.exports = router;
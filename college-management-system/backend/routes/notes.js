@@ -3,8 +3,10 @@ const { body, query } = require('express-validator');
 const Note = require('../models/Note');
 const User = require('../models/User');
 const Course = require('../models/Course');
-const { auth, authorize, requireEmailVerification, optionalAuth } = require('../middleware/auth');
+const { auth, requirePermission, requireEmailVerification, optionalAuth } = require('../middleware/auth');
 const validate = require('../middleware/validate');
+const { can, getPermissionScope, departmentQuery } = require('../utils/permissions');
+const { noteVisibilityFilter } = require('../utils/visibility');
 
 const router = express.Router();
 
@@ -31,8 +33,14 @@ router.get('/', [
     // Build filter object
     const filter = { isActive: true };
     
-    // Only show approved notes for students and non-authenticated users
-    if (!req.user || req.user.role === 'student') {
+    // Unapproved notes are listed only for users who may see them, and department-scoped
+    // viewers only get those of their department's courses; uploaders find their own
+    // pending notes via /user/uploaded
+    const unapprovedScope = await getPermissionScope(req.user, 'notes:view_unapproved');
+    if (unapprovedScope === 'department') {
+      const departmentCourses = await Course.find({ department: departmentQuery(req.user.department) }).distinct('_id');
+      filter.$and = [{ $or: [{ status: 'approved' }, { course: { $in: departmentCourses } }] }];
+    } else if (unapprovedScope !== 'any') {
       filter.status = 'approved';
     }
 
@@ -40,7 +48,7 @@ router.get('/', [
     if (req.query.semester) filter.semester = parseInt(req.query.semester);
     if (req.query.subject) filter['subject.name'] = { $regex: req.query.subject, $options: 'i' };
     if (req.query.noteType) filter.noteType = req.query.noteType;
-    if (req.query.status && req.user && (req.user.role === 'teacher' || req.user.role === 'admin')) {
+    if (req.query.status && ['any', 'department'].includes(unapprovedScope)) {
       filter.status = req.query.status;
     }
 
@@ -57,12 +65,8 @@ router.get('/', [
     }
 
     // User-specific filtering
-    if (req.user && req.user.role === 'student') {
-      // Show notes for user's course and semester, or public notes
-      filter.$or = [
-        { course: req.user.course, semester: req.user.semester },
-        { visibility: 'public' }
-      ];
+    if (req.user) {
+      Object.assign(filter, await noteVisibilityFilter(req.user));
     }
 
     // Sorting
@@ -144,15 +148,22 @@ router.get('/:id', optionalAuth, async (req, res) => {
     }
 
     // Check if user can view this note
-    if (note.status !== 'approved' && (!req.user || (req.user.role === 'student' && note.uploadedBy._id.toString() !== req.user.id))) {
+    if (note.status !== 'approved' && !(await can(req.user, 'notes:view_unapproved', note))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
-    // Track view if user is authenticated
-    if (req.user) {
+    if (req.user && note.visibility !== 'public' && !(await can(req.user, 'notes:view_non_public'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // Track view if user is authenticated; an impersonating admin's look is not the user's view
+    if (req.user && !req.impersonatedBy) {
       const existingView = note.views.find(view => view.user.toString() === req.user.id);
       if (!existingView) {
         note.views.push({
@@ -184,11 +195,11 @@ router.get('/:id', optionalAuth, async (req, res) => {
 
 // @route   POST /api/notes
 // @desc    Create new note
-// @access  Private (Student/Teacher)
+// @access  Private (notes:create)
 router.post('/', [
   auth,
   requireEmailVerification,
-  authorize('student', 'teacher', 'admin'),
+  requirePermission('notes:create'),
   body('title').trim().isLength({ min: 5, max: 200 }).withMessage('Title must be between 5-200 characters'),
   body('description').trim().isLength({ min: 10 }).withMessage('Description must be at least 10 characters'),
   body('subject.name').trim().isLength({ min: 2 }).withMessage('Subject name is required'),
@@ -214,7 +225,8 @@ router.post('/', [
     const noteData = {
       ...req.body,
       uploadedBy: req.user.id,
-      status: req.user.role === 'teacher' || req.user.role === 'admin' ? 'approved' : 'pending'
+      // Uploads by moderators skip the approval queue
+      status: await can(req.user, 'notes:moderate', { uploadedBy: req.user.id, course }) ? 'approved' : 'pending'
     };
 
     const note = new Note(noteData);
@@ -239,20 +251,21 @@ router.post('/', [
 
 // @route   PUT /api/notes/:id
 // @desc    Update note
-// @access  Private (Owner/Admin)
+// @access  Private (notes:update; notes:moderate to change status)
 router.put('/:id', [
   auth,
   requireEmailVerification,
-  authorize('student', 'teacher', 'admin'),
+  requirePermission('notes:update'),
   body('title').optional().trim().isLength({ min: 5, max: 200 }),
   body('description').optional().trim().isLength({ min: 10 }),
   body('status').optional().isIn(['pending', 'approved', 'rejected'])
 ], validate, async (req, res) => {
   try {
+    // Course department is needed for department-scoped permissions
     const note = await Note.findOne({ 
       _id: req.params.id, 
       isActive: true 
-    });
+    }).populate('course', 'department');
 
     if (!note) {
       return res.status(404).json({
@@ -261,25 +274,13 @@ router.put('/:id', [
       });
     }
 
-    // Check ownership or admin privileges
-    const isOwner = note.uploadedBy.toString() === req.user.id;
-    const canModerate = req.user.role === 'teacher' || req.user.role === 'admin';
-    
-    if (!isOwner && !canModerate) {
+    if (!(await can(req.user, 'notes:update', note))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
-    // Only moderators can change status
-    if (req.body.status && !canModerate) {
-      return res.status(403).json({
-        success: false,
-        message: 'Only teachers and admins can change note status'
-      });
-    }
-
     // Update note
     Object.keys(req.body).forEach(key => {
       if (req.body[key] !== undefined) {
@@ -287,6 +288,26 @@ router.put('/:id', [
       }
     });
 
+    // Re-check against the new course so scoped users can't move a note out of their reach
+    if (note.isModified('course')) {
+      await note.populate('course', 'department');
+      if (!(await can(req.user, 'notes:update', note))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+    }
+
+    // Only moderators can change status (checked against the note's final course)
+    const canModerate = await can(req.user, 'notes:moderate', note);
+    if (req.body.status && !canModerate) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Missing permission: notes:moderate'
+      });
+    }
+
     // Set approver if status is being changed to approved
     if (req.body.status === 'approved' && canModerate) {
       note.approvedBy = req.user.id;
@@ -312,17 +333,18 @@ router.put('/:id', [
 
 // @route   DELETE /api/notes/:id
 // @desc    Delete note (soft delete)
-// @access  Private (Owner/Admin)
+// @access  Private (notes:delete)
 router.delete('/:id', [
   auth,
   requireEmailVerification,
-  authorize('student', 'teacher', 'admin')
+  requirePermission('notes:delete')
 ], async (req, res) => {
   try {
+    // Course department is needed for department-scoped permissions
     const note = await Note.findOne({ 
       _id: req.params.id, 
       isActive: true 
-    });
+    }).populate('course', 'department');
 
     if (!note) {
       return res.status(404).json({
@@ -331,8 +353,7 @@ router.delete('/:id', [
       });
     }
 
-    // Check ownership (admin can delete any note)
-    if (req.user.role !== 'admin' && note.uploadedBy.toString() !== req.user.id) {
+    if (!(await can(req.user, 'notes:delete', note))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -357,10 +378,11 @@ router.delete('/:id', [
 
 // @route   POST /api/notes/:id/like
 // @desc    Like/Unlike a note
-// @access  Private
+// @access  Private (notes:like)
 router.post('/:id/like', [
   auth,
-  requireEmailVerification
+  requireEmailVerification,
+  requirePermission('notes:like')
 ], async (req, res) => {
   try {
     const note = await Note.findOne({ 
@@ -410,10 +432,11 @@ router.post('/:id/like', [
 
 // @route   POST /api/notes/:id/comment
 // @desc    Add comment to note
-// @access  Private
+// @access  Private (comments:create)
 router.post('/:id/comment', [
   auth,
   requireEmailVerification,
+  requirePermission('comments:create'),
   body('text').trim().isLength({ min: 1, max: 500 }).withMessage('Comment must be between 1-500 characters')
 ], validate, async (req, res) => {
   try {
@@ -457,10 +480,11 @@ router.post('/:id/comment', [
 
 // @route   DELETE /api/notes/:noteId/comment/:commentId
 // @desc    Delete comment
-// @access  Private (Comment owner/Admin)
+// @access  Private (comments:delete)
 router.delete('/:noteId/comment/:commentId', [
   auth,
-  requireEmailVerification
+  requireEmailVerification,
+  requirePermission('comments:delete')
 ], async (req, res) => {
   try {
     const note = await Note.findOne({ 
@@ -483,8 +507,7 @@ router.delete('/:noteId/comment/:commentId', [
       });
     }
 
-    // Check ownership (admin can delete any comment)
-    if (req.user.role !== 'admin' && comment.user.toString() !== req.user.id) {
+    if (!(await can(req.user, 'comments:delete', comment))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
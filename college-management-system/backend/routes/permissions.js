@@ -0,0 +1,134 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const User = require('../models/User');
+const RolePermission = require('../models/RolePermission');
+const { auth, requirePermission, requireEmailVerification } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { recordAudit } = require('../utils/audit');
+const {
+  PERMISSIONS,
+  SCOPED_PERMISSIONS,
+  isKnownPermission,
+  getRolePermissions,
+  getUserPermissions,
+  clearPermissionCache
+} = require('../utils/permissions');
+
+const router = express.Router();
+
+const ROLES = User.schema.path('role').enumValues;
+
+// @route   GET /api/permissions/me
+// @desc    Get the current user's permissions
+// @access  Private
+router.get('/me', auth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        role: req.user.role,
+        permissions: await getUserPermissions(req.user)
+      }
+    });
+  } catch (error) {
+    console.error('Get my permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching permissions'
+    });
+  }
+});
+
+// @route   GET /api/permissions
+// @desc    Get the permission catalog and every role's permissions
+// @access  Private (permissions:manage)
+router.get('/', [
+  auth,
+  requireEmailVerification,
+  requirePermission('permissions:manage')
+], async (req, res) => {
+  try {
+    const permissionMap = await getRolePermissions();
+
+    res.json({
+      success: true,
+      data: {
+        permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({
+          name,
+          description,
+          // Scopes the permission can be limited to, besides granting it outright
+          scopes: Object.keys(SCOPED_PERMISSIONS).filter(scope => SCOPED_PERMISSIONS[scope].includes(name))
+        })),
+        roles: ROLES.map(role => ({
+          role,
+          permissions: permissionMap[role] || []
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching permissions'
+    });
+  }
+});
+
+// @route   PUT /api/permissions/roles/:role
+// @desc    Replace the permission set of a role
+// @access  Private (permissions:manage)
+router.put('/roles/:role', [
+  auth,
+  requireEmailVerification,
+  requirePermission('permissions:manage'),
+  param('role').isIn(ROLES).withMessage('Invalid role'),
+  body('permissions').isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').custom(isKnownPermission).withMessage('Unknown permission')
+], validate, async (req, res) => {
+  try {
+    const { role } = req.params;
+    const permissions = [...new Set(req.body.permissions)];
+
+    // Don't let admins lock themselves out of this screen
+    if (role === req.user.role && !permissions.includes('permissions:manage')) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove permissions:manage from your own role'
+      });
+    }
+
+    const previous = (await getRolePermissions())[role] || [];
+
+    const rolePermission = await RolePermission.findOneAndUpdate(
+      { role },
+      { permissions, updatedBy: req.user.id },
+      { new: true, upsert: true, runValidators: true }
+    );
+    clearPermissionCache();
+
+    await recordAudit({
+      action: 'permissions.updated',
+      actor: req.user._id,
+      req,
+      metadata: {
+        role,
+        added: permissions.filter(permission => !previous.includes(permission)),
+        removed: previous.filter(permission => !permissions.includes(permission))
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Role permissions updated successfully',
+      data: rolePermission
+    });
+  } catch (error) {
+    console.error('Update role permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating role permissions'
+    });
+  }
+});
+
+module.exports = router;
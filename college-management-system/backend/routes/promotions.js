@@ -0,0 +1,281 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const Course = require('../models/Course');
+const PromotionBatch = require('../models/PromotionBatch');
+const { auth, requirePermission, requireEmailVerification } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { can } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const {
+  buildPromotionChanges,
+  applyPromotionBatch,
+  rollbackPromotionBatch
+} = require('../utils/promotions');
+
+const router = express.Router();
+
+// Load a batch with its course, answering 404/403 itself; returns null when it has responded
+const loadBatch = async (req, res) => {
+  const batch = await PromotionBatch.findById(req.params.id).populate('course', 'name code department totalSemesters');
+
+  if (!batch) {
+    res.status(404).json({
+      success: false,
+      message: 'Promotion batch not found'
+    });
+    return null;
+  }
+
+  if (!(await can(req.user, 'students:promote', batch.course))) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to promote students of this course'
+    });
+    return null;
+  }
+
+  return batch;
+};
+
+// @route   GET /api/promotions
+// @desc    List promotion batches, newest first
+// @access  Private (students:promote)
+router.get('/', [
+  auth,
+  requireEmailVerification,
+  requirePermission('students:promote'),
+  query('course').optional().isMongoId().withMessage('Invalid course')
+], validate, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.course) {
+      filter.course = req.query.course;
+    }
+
+    const batches = await PromotionBatch.find(filter)
+      .populate('course', 'name code department')
+      .populate('createdBy appliedBy rolledBackBy', 'firstName lastName')
+      .select('-changes.user')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    // Department-scoped roles only see their own department's batches
+    const visible = [];
+    for (const batch of batches) {
+      if (batch.course && await can(req.user, 'students:promote', batch.course)) {
+        visible.push(batch);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: visible
+    });
+  } catch (error) {
+    console.error('Get promotion batches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching promotion batches'
+    });
+  }
+});
+
+// @route   GET /api/promotions/:id
+// @desc    Get a promotion batch with its per-student changes
+// @access  Private (students:promote)
+router.get('/:id', [
+  auth,
+  requireEmailVerification,
+  requirePermission('students:promote')
+], async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+
+    await batch.populate('changes.user excludedUsers', 'firstName lastName email studentId');
+
+    res.json({
+      success: true,
+      data: batch
+    });
+  } catch (error) {
+    console.error('Get promotion batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching promotion batch'
+    });
+  }
+});
+
+// @route   POST /api/promotions/preview
+// @desc    Preview promoting every enrolled student of a course to the next semester
+// @access  Private (students:promote)
+router.post('/preview', [
+  auth,
+  requireEmailVerification,
+  requirePermission('students:promote'),
+  body('course').isMongoId().withMessage('Course is required'),
+  body('academicYear').optional().trim().isLength({ max: 20 }),
+  body('excludedUsers').optional().isArray().withMessage('Excluded users must be an array'),
+  body('excludedUsers.*').isMongoId().withMessage('Invalid excluded user')
+], validate, async (req, res) => {
+  try {
+    const course = await Course.findOne({ _id: req.body.course, isActive: true });
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    if (!(await can(req.user, 'students:promote', course))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to promote students of this course'
+      });
+    }
+
+    const excludedUsers = req.body.excludedUsers || [];
+    const changes = await buildPromotionChanges(course, excludedUsers);
+
+    const batch = await PromotionBatch.create({
+      course: course._id,
+      academicYear: req.body.academicYear,
+      excludedUsers,
+      changes,
+      createdBy: req.user._id
+    });
+
+    await batch.populate('changes.user excludedUsers', 'firstName lastName email studentId');
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion preview created',
+      data: batch
+    });
+  } catch (error) {
+    console.error('Preview promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while previewing promotion'
+    });
+  }
+});
+
+// @route   POST /api/promotions/:id/apply
+// @desc    Apply a previewed promotion batch
+// @access  Private (students:promote)
+router.post('/:id/apply', [
+  auth,
+  requireEmailVerification,
+  requirePermission('students:promote')
+], async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+
+    if (batch.status !== 'preview') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only previewed batches can be applied'
+      });
+    }
+
+    // Claim the batch first so two admins can't apply it at the same time
+    const claimed = await PromotionBatch.updateOne(
+      { _id: batch._id, status: 'preview' },
+      { status: 'applied', appliedBy: req.user._id, appliedAt: new Date() }
+    );
+    if (claimed.modifiedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This batch is already being applied'
+      });
+    }
+
+    await applyPromotionBatch(batch);
+    batch.status = 'applied';
+    batch.appliedBy = req.user._id;
+    batch.appliedAt = new Date();
+    await batch.save();
+
+    await recordAudit({
+      action: 'promotions.applied',
+      actor: req.user._id,
+      req,
+      metadata: { batch: batch._id, course: batch.course._id, ...batch.summary }
+    });
+
+    res.json({
+      success: true,
+      message: `Promotion applied to ${batch.summary.applied} of ${batch.changes.length} students`,
+      data: batch
+    });
+  } catch (error) {
+    console.error('Apply promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while applying promotion'
+    });
+  }
+});
+
+// @route   POST /api/promotions/:id/rollback
+// @desc    Roll back the most recently applied batch of a course
+// @access  Private (students:promote)
+router.post('/:id/rollback', [
+  auth,
+  requireEmailVerification,
+  requirePermission('students:promote')
+], async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+
+    if (batch.status !== 'applied') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only applied batches can be rolled back'
+      });
+    }
+
+    // Rolling back out of order would put students in the wrong semester
+    const latest = await PromotionBatch.findOne({ course: batch.course._id, status: 'applied' })
+      .sort({ appliedAt: -1 })
+      .select('_id');
+    if (!latest._id.equals(batch._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Roll back later batches for this course first'
+      });
+    }
+
+    const reverted = await rollbackPromotionBatch(batch);
+    batch.status = 'rolled_back';
+    batch.rolledBackBy = req.user._id;
+    batch.rolledBackAt = new Date();
+    await batch.save();
+
+    await recordAudit({
+      action: 'promotions.rolled_back',
+      actor: req.user._id,
+      req,
+      metadata: { batch: batch._id, course: batch.course._id, reverted }
+    });
+
+    res.json({
+      success: true,
+      message: `Promotion rolled back for ${reverted} students`,
+      data: batch
+    });
+  } catch (error) {
+    console.error('Rollback promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rolling back promotion'
+    });
+  }
+});
+
+module.exports = router;
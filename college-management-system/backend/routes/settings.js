@@ -0,0 +1,71 @@
+const express = require('express');
+const { body } = require('express-validator');
+const Setting = require('../models/Setting');
+const { auth, requirePermission, requireEmailVerification } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+// @route   GET /api/settings
+// @desc    Get system settings
+// @access  Private (settings:manage)
+router.get('/', [
+  auth,
+  requireEmailVerification,
+  requirePermission('settings:manage')
+], async (req, res) => {
+  try {
+    const settings = await Setting.getSettings();
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching settings'
+    });
+  }
+});
+
+// @route   PUT /api/settings
+// @desc    Update system settings
+// @access  Private (settings:manage)
+router.put('/', [
+  auth,
+  requireEmailVerification,
+  requirePermission('settings:manage'),
+  body('twoFactorRequiredRoles').optional().isArray().withMessage('Two-factor roles must be an array'),
+  body('twoFactorRequiredRoles.*').isIn(['student', 'teacher', 'hod', 'department_coordinator', 'admin', 'alumni', 'guardian']).withMessage('Invalid role'),
+  body('magicLinkEnabled').optional().isBoolean().withMessage('Magic link setting must be true or false')
+], validate, async (req, res) => {
+  try {
+    const settings = await Setting.getSettings();
+
+    const allowedUpdates = ['twoFactorRequiredRoles', 'magicLinkEnabled'];
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        settings[field] = req.body[field];
+      }
+    });
+
+    settings.updatedBy = req.user.id;
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Settings updated successfully',
+      data: settings
+    });
+  } catch (error) {
+    console.error('Update settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating settings'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,83 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const User = require('../models/User');
-const { auth, authorize, requireEmailVerification } = require('../middleware/auth');
+const Session = require('../models/Session');
+const { auth, authAllowSessionEnd, requirePermission, requireEmailVerification } = require('../middleware/auth');
 const validate = require('../middleware/validate');
-const { uploadProfile } = require('../utils/upload');
+const { uploadProfile, uploadCsv, deleteFile } = require('../utils/upload');
+const { hashToken, hashOTP, matchesOTP, revokeUserSessions } = require('../utils/tokens');
+const { generateOTP, generateToken, sendVerificationOTP, sendEmailChangedNotice } = require('../utils/email');
+const { validatePassword } = require('../utils/passwordPolicy');
+const { can } = require('../utils/permissions');
+const { startImpersonation, endImpersonation } = require('../utils/impersonation');
+const ExcelJS = require('exceljs');
+const { parseCsvRecords, toCsv } = require('../utils/csv');
+const { importUsers, MAX_IMPORT_ROWS, REQUIRED_COLUMNS } = require('../utils/userImport');
+const { buildPersonalDataExport } = require('../utils/personalData');
+const { recordAudit } = require('../utils/audit');
+const { DELETION_GRACE_DAYS } = require('../utils/accountDeletion');
+const { STAFF_ROLES, buildPublicProfile } = require('../utils/publicProfile');
+const { isIdCardKeyConfigured, buildIdCard, renderIdCardPdf, renderIdCardPng } = require('../utils/idCard');
 
 const router = express.Router();
 
+// How long the old address can undo an email change
+const EMAIL_REVERT_EXPIRE_DAYS = parseInt(process.env.EMAIL_REVERT_EXPIRE_DAYS) || 7;
+
+// Filter for the admin user list and its export (role, course, semester, academic status, search)
+const buildUserFilter = (query) => {
+  const filter = { isActive: true };
+
+  if (query.role) {
+    filter.role = query.role;
+  }
+
+  if (query.course) {
+    filter.course = query.course;
+  }
+
+  if (query.semester) {
+    filter.semester = parseInt(query.semester);
+  }
+
+  if (query.academicStatus) {
+    filter.academicStatus = query.academicStatus;
+  }
+
+  if (query.search) {
+    filter.$or = [
+      { firstName: { $regex: query.search, $options: 'i' } },
+      { lastName: { $regex: query.search, $options: 'i' } },
+      { email: { $regex: query.search, $options: 'i' } },
+      { studentId: { $regex: query.search, $options: 'i' } }
+    ];
+  }
+
+  return filter;
+};
+
+// 24-hour "HH:MM", as used for office hours
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Privacy switches a user can flip from their profile
+const PRIVACY_FIELDS = ['profileVisibility', 'showEmail', 'showCourse', 'showNotes', 'showEvents'];
+
+// Columns of the user export; the first eight match the CSV import format
+const EXPORT_COLUMNS = [
+  { header: 'firstName', value: user => user.firstName },
+  { header: 'lastName', value: user => user.lastName },
+  { header: 'email', value: user => user.email },
+  { header: 'role', value: user => user.role },
+  { header: 'studentId', value: user => user.studentId },
+  { header: 'course code', value: user => user.course && user.course.code },
+  { header: 'semester', value: user => user.semester },
+  { header: 'department', value: user => user.department },
+  { header: 'academicStatus', value: user => user.academicStatus },
+  { header: 'emailVerified', value: user => user.isEmailVerified },
+  { header: 'lastLogin', value: user => user.lastLogin },
+  { header: 'createdAt', value: user => user.createdAt }
+];
+
 // @route   GET /api/users/profile
 // @desc    Get current user profile
 // @access  Private
@@ -31,83 +102,954 @@ router.get('/profile', [
       data: user
     });
   } catch (error) {
-    console.error('Get profile error:', error);
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching profile'
+    });
+  }
+});
+
+// @route   GET /api/users/me/export
+// @desc    Download all personal data stored about the current user as JSON
+// @access  Private
+router.get('/me/export', auth, async (req, res) => {
+  try {
+    // Someone viewing as this user must not walk away with their data
+    if (req.impersonatedBy) {
+      return res.status(403).json({
+        success: false,
+        message: 'Personal data cannot be exported while viewing as another user'
+      });
+    }
+
+    const bundle = await buildPersonalDataExport(req.user._id);
+
+    await recordAudit({
+      action: 'users.personal_data_exported',
+      actor: req.user._id,
+      targetUser: req.user._id,
+      req
+    });
+
+    res.setHeader('Content-Disposition', `attachment; filename="personal-data-${req.user._id}.json"`);
+    res.json({
+      success: true,
+      data: bundle
+    });
+  } catch (error) {
+    console.error('Export personal data error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting personal data'
+    });
+  }
+});
+
+// @route   GET /api/users/me/id-card
+// @desc    Download the current student's ID card with a signed QR code (?format=pdf or png)
+// @access  Private (enrolled students)
+router.get('/me/id-card', [
+  auth,
+  requireEmailVerification,
+  query('format').optional().isIn(['pdf', 'png']).withMessage('Format must be pdf or png')
+], validate, async (req, res) => {
+  try {
+    // The card is a credential; it must not be handed to someone viewing as this user
+    if (req.impersonatedBy) {
+      return res.status(403).json({
+        success: false,
+        message: 'ID cards cannot be generated while viewing as another user'
+      });
+    }
+
+    // A card signed with a throwaway key would stop verifying on restart
+    if (!isIdCardKeyConfigured()) {
+      return res.status(503).json({
+        success: false,
+        message: 'ID cards are not set up on this server'
+      });
+    }
+
+    const user = await User.findById(req.user.id).populate('course', 'name code');
+
+    if (user.role !== 'student' || user.academicStatus !== 'enrolled' || !user.studentId) {
+      return res.status(403).json({
+        success: false,
+        message: 'ID cards are only available to enrolled students with a student ID'
+      });
+    }
+
+    const card = await buildIdCard(user);
+
+    await recordAudit({
+      action: 'users.id_card_issued',
+      actor: user._id,
+      targetUser: user._id,
+      req,
+      metadata: { validUntil: card.validUntil }
+    });
+
+    const format = req.query.format || 'pdf';
+    const filename = `id-card-${user.studentId}.${format}`;
+
+    if (format === 'png') {
+      res.setHeader('Content-Type', 'image/png');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(await renderIdCardPng(card));
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(await renderIdCardPdf(card));
+  } catch (error) {
+    console.error('Generate ID card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating ID card'
+    });
+  }
+});
+
+// @route   POST /api/users/me/deletion
+// @desc    Request deletion of the current user's account
+// @access  Private
+router.post('/me/deletion', [
+  auth,
+  body('password').optional().isString()
+], validate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (user.deletionRequestedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account deletion has already been requested'
+      });
+    }
+
+    // SSO-only and invited accounts have no password to confirm with
+    if (user.password && !(await user.comparePassword(req.body.password || ''))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    user.deletionRequestedAt = new Date();
+    user.deletionScheduledFor = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    await user.save();
+
+    await recordAudit({
+      action: 'users.deletion_requested',
+      actor: user._id,
+      targetUser: user._id,
+      req,
+      metadata: { scheduledFor: user.deletionScheduledFor }
+    });
+
+    res.json({
+      success: true,
+      message: `Account deletion requested. Your data will be removed after ${DELETION_GRACE_DAYS} days once an administrator approves it.`,
+      data: {
+        deletionRequestedAt: user.deletionRequestedAt,
+        deletionScheduledFor: user.deletionScheduledFor
+      }
+    });
+  } catch (error) {
+    console.error('Request account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting account deletion'
+    });
+  }
+});
+
+// @route   DELETE /api/users/me/deletion
+// @desc    Cancel a pending account deletion request
+// @access  Private
+router.delete('/me/deletion', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user.deletionRequestedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'No account deletion has been requested'
+      });
+    }
+
+    user.deletionRequestedAt = undefined;
+    user.deletionScheduledFor = undefined;
+    user.deletionApprovedAt = undefined;
+    user.deletionApprovedBy = undefined;
+    await user.save();
+
+    await recordAudit({
+      action: 'users.deletion_cancelled',
+      actor: user._id,
+      targetUser: user._id,
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling account deletion'
+    });
+  }
+});
+
+// @route   PUT /api/users/profile
+// @desc    Update user profile
+// @access  Private
+router.put('/profile', [
+  auth,
+  requireEmailVerification,
+  body('firstName').optional().trim().isLength({ min: 2, max: 50 }),
+  body('lastName').optional().trim().isLength({ min: 2, max: 50 }),
+  body('alumniDirectoryOptIn').optional().isBoolean().withMessage('Directory opt-in must be true or false').toBoolean(),
+  body('bio').optional().trim().isLength({ max: 500 }).withMessage('Bio cannot exceed 500 characters'),
+  body('officeHours').optional().isArray({ max: 14 }).withMessage('Office hours must be a list of at most 14 slots'),
+  body('officeHours.*.day').isIn(['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']).withMessage('Invalid day'),
+  body('officeHours.*.startTime').matches(TIME_PATTERN).withMessage('Start time must be HH:MM'),
+  body('officeHours.*.endTime').matches(TIME_PATTERN).withMessage('End time must be HH:MM'),
+  body('officeHours.*.location').optional().trim().isLength({ max: 100 }).withMessage('Location cannot exceed 100 characters'),
+  body('privacySettings.profileVisibility').optional().isIn(['members', 'private']).withMessage('Invalid profile visibility'),
+  body(['privacySettings.showEmail', 'privacySettings.showCourse', 'privacySettings.showNotes', 'privacySettings.showEvents'])
+    .optional().isBoolean().withMessage('Privacy switches must be true or false').toBoolean()
+], validate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Update allowed fields. Department-scoped permissions follow the department, and ID cards
+    // and promotions rely on the semester, so only user managers change those (PUT /api/users/:id)
+    const allowedUpdates = ['firstName', 'lastName', 'bio'];
+    const updates = {};
+
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    // Only alumni can be listed in the alumni directory
+    if (user.role === 'alumni') {
+      if (req.body.alumniDirectoryOptIn !== undefined) {
+        updates.alumniDirectoryOptIn = req.body.alumniDirectoryOptIn;
+      }
+    } else if (req.body.alumniDirectoryOptIn !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only alumni can join the alumni directory'
+      });
+    }
+
+    // Office hours are only shown for staff
+    if (req.body.officeHours !== undefined) {
+      if (!STAFF_ROLES.includes(user.role)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Only staff can set office hours'
+        });
+      }
+      if (req.body.officeHours.some(slot => slot.startTime >= slot.endTime)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Office hours must end after they start'
+        });
+      }
+      updates.officeHours = req.body.officeHours;
+    }
+
+    Object.keys(updates).forEach(update => user[update] = updates[update]);
+
+    if (req.body.privacySettings) {
+      PRIVACY_FIELDS.forEach(field => {
+        if (req.body.privacySettings[field] !== undefined) {
+          user.privacySettings[field] = req.body.privacySettings[field];
+        }
+      });
+    }
+
+    await user.save();
+
+    const updatedUser = await User.findById(user._id)
+      .populate('course', 'name code department')
+      .select('-password');
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: updatedUser
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating profile'
+    });
+  }
+});
+
+// @route   POST /api/users/upload-avatar
+// @desc    Upload user avatar
+// @access  Private
+router.post('/upload-avatar', [
+  auth,
+  requireEmailVerification,
+  uploadProfile.single('avatar')
+], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No image file provided'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Replace the previous avatar file rather than leaving it on Cloudinary
+    if (user.avatarPublicId) {
+      try {
+        await deleteFile(user.avatarPublicId);
+      } catch (error) {
+        console.error('Delete old avatar error:', error);
+      }
+    }
+
+    // Update user avatar
+    user.avatar = req.file.path;
+    user.avatarPublicId = req.file.filename;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Avatar uploaded successfully',
+      data: {
+        avatar: user.avatar
+      }
+    });
+  } catch (error) {
+    console.error('Upload avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while uploading avatar'
+    });
+  }
+});
+
+// @route   PUT /api/users/change-password
+// @desc    Change user password
+// @access  Private
+router.put('/change-password', [
+  auth,
+  requireEmailVerification,
+  body('currentPassword').exists().withMessage('Current password is required'),
+  body('newPassword').isString().notEmpty().withMessage('New password is required'),
+  body('confirmPassword').exists().withMessage('Password confirmation is required')
+], validate, async (req, res) => {
+  try {
+    const { currentPassword, newPassword, confirmPassword } = req.body;
+
+    // Check if new password and confirm password match
+    if (newPassword !== confirmPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password and confirm password do not match'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password +passwordHistory');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Check current password
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    // Enforce the password policy, including reuse of recent passwords
+    const passwordErrors = await validatePassword(newPassword, user);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the password policy',
+        errors: passwordErrors.map(message => ({ field: 'newPassword', message }))
+      });
+    }
+
+    // Update password (the save hook also invalidates outstanding reset links)
+    user.setPassword(newPassword);
+    await user.save();
+
+    // Sign out every other device; the current session stays valid
+    await revokeUserSessions(user._id, 'password-changed', req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully. Other sessions have been signed out.'
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing password'
+    });
+  }
+});
+
+// @route   POST /api/users/email-change
+// @desc    Start an email change by sending an OTP to the new address
+// @access  Private
+router.post('/email-change', [
+  auth,
+  requireEmailVerification,
+  body('newEmail').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('password').optional().isString()
+], validate, async (req, res) => {
+  try {
+    const { newEmail, password } = req.body;
+
+    const user = await User.findById(req.user.id).select('+password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // SSO-only and invited accounts have no password to confirm with
+    if (user.password && !(await user.comparePassword(password || ''))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'That is already your email address'
+      });
+    }
+
+    if (await User.exists({ email: newEmail })) {
+      return res.status(400).json({
+        success: false,
+        message: 'An account already exists with this email'
+      });
+    }
+
+    const otp = generateOTP();
+    user.pendingEmail = newEmail;
+    user.emailChangeToken = hashOTP(otp);
+    user.emailChangeExpires = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+    user.emailChangeAttempts = 0;
+    await user.save();
+
+    const emailResult = await sendVerificationOTP(newEmail, user.firstName, otp);
+    if (!emailResult.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send verification email'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Verification code sent to ${newEmail}`
+    });
+  } catch (error) {
+    console.error('Start email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting email change'
+    });
+  }
+});
+
+// @route   POST /api/users/email-change/confirm
+// @desc    Confirm an email change with the OTP sent to the new address
+// @access  Private
+router.post('/email-change/confirm', [
+  auth,
+  requireEmailVerification,
+  body('otp').isLength({ min: 6, max: 6 }).withMessage('OTP must be 6 digits')
+], validate, async (req, res) => {
+  try {
+    const user = await User.findOne({
+      _id: req.user.id,
+      emailChangeExpires: { $gt: Date.now() }
+    }).select('+emailChangeToken');
+
+    if (!user || !user.pendingEmail || !user.emailChangeToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired OTP'
+      });
+    }
+
+    if (!matchesOTP(req.body.otp, user.emailChangeToken)) {
+      const invalidated = await user.registerFailedEmailChangeOTP();
+      if (invalidated) {
+        await recordAudit({
+          action: 'otp.invalidated',
+          actor: user._id,
+          targetUser: user._id,
+          req,
+          metadata: { purpose: 'email-change' }
+        });
+
+        return res.status(400).json({
+          success: false,
+          message: 'Too many incorrect attempts. Please start the email change again.'
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired OTP'
+      });
+    }
+
+    // The address may have been taken while the code was outstanding
+    if (await User.exists({ email: user.pendingEmail })) {
+      return res.status(400).json({
+        success: false,
+        message: 'An account already exists with this email'
+      });
+    }
+
+    const oldEmail = user.email;
+    const revertToken = generateToken();
+
+    // A second change inside the revert window must not take the undo link away from the
+    // original address, so it keeps pointing there
+    if (!user.emailRevertExpires || user.emailRevertExpires <= Date.now()) {
+      user.previousEmail = oldEmail;
+    }
+
+    user.email = user.pendingEmail;
+    user.isEmailVerified = true;
+    user.pendingEmail = undefined;
+    user.emailChangeToken = undefined;
+    user.emailChangeExpires = undefined;
+    user.emailChangeAttempts = 0;
+    user.emailRevertToken = hashToken(revertToken);
+    user.emailRevertExpires = new Date(Date.now() + EMAIL_REVERT_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+    await user.save();
+
+    // Sign out every other device; the current session stays valid
+    await revokeUserSessions(user._id, 'email-changed', req.sessionId);
+
+    await recordAudit({
+      action: 'users.email_changed',
+      actor: user._id,
+      targetUser: user._id,
+      req,
+      metadata: { from: oldEmail, to: user.email }
+    });
+
+    // Let the old address undo the change in case the account was taken over
+    const revertUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/revert-email/${revertToken}`;
+    const emailResult = await sendEmailChangedNotice(user.previousEmail, user.firstName, user.email, revertUrl, EMAIL_REVERT_EXPIRE_DAYS);
+    if (!emailResult.success) {
+      console.error('Failed to send email change notice to', user.previousEmail);
+    }
+
+    const updatedUser = await User.findById(user._id)
+      .populate('course', 'name code department')
+      .select('-password');
+
+    res.json({
+      success: true,
+      message: 'Email changed successfully. Other sessions have been signed out.',
+      data: updatedUser
+    });
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing email'
+    });
+  }
+});
+
+// @route   DELETE /api/users/email-change
+// @desc    Cancel a pending email change
+// @access  Private
+router.delete('/email-change', auth, async (req, res) => {
+  try {
+    await User.updateOne(
+      { _id: req.user.id },
+      { $unset: { pendingEmail: 1, emailChangeToken: 1, emailChangeExpires: 1 }, emailChangeAttempts: 0 }
+    );
+
+    res.json({
+      success: true,
+      message: 'Email change cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling email change'
+    });
+  }
+});
+
+// @route   GET /api/users/sessions
+// @desc    List active sessions (devices) of the current user
+// @access  Private
+router.get('/sessions', [
+  auth,
+  requireEmailVerification
+], async (req, res) => {
+  try {
+    // The user's devices and IP addresses are theirs alone
+    if (req.impersonatedBy) {
+      return res.status(403).json({
+        success: false,
+        message: 'Sessions cannot be viewed while viewing as another user'
+      });
+    }
+
+    // Impersonation sessions are stored under the viewed user but belong to the admin
+    const sessions = await Session.find({
+      user: req.user.id,
+      impersonatedBy: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ipAddress createdAt lastSeenAt expiresAt')
+      .sort({ lastSeenAt: -1 });
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: session.expiresAt,
+        isCurrent: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/users/sessions
+// @desc    Sign out everywhere (pass ?keepCurrent=true to stay signed in on this device)
+// @access  Private
+router.delete('/sessions', [
+  auth,
+  requireEmailVerification
+], async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true';
+    const revokedCount = await revokeUserSessions(
+      req.user.id,
+      'signed-out-everywhere',
+      keepCurrent ? req.sessionId : undefined
+    );
+
+    res.json({
+      success: true,
+      message: 'Signed out from all sessions',
+      data: {
+        revokedCount
+      }
+    });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/users/sessions/:id
+// @desc    Revoke a single session of the current user
+// @access  Private
+router.delete('/sessions/:id', [
+  auth,
+  requireEmailVerification
+], async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      impersonatedBy: null,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('revoked-by-user');
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session'
+    });
+  }
+});
+
+// @route   GET /api/users
+// @desc    Get all users
+// @access  Private (users:manage)
+router.get('/', [
+  auth,
+  requireEmailVerification,
+  requirePermission('users:manage')
+], async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = buildUserFilter(req.query);
+
+    const users = await User.find(filter)
+      .populate('course', 'name code department')
+      .select('-password')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await User.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching users'
+    });
+  }
+});
+
+// @route   GET /api/users/alumni
+// @desc    Alumni directory - graduates who opted in to be listed
+// @access  Private
+router.get('/alumni', [
+  auth,
+  requireEmailVerification,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1-50'),
+  query('course').optional().isMongoId().withMessage('Invalid course ID'),
+  query('graduationYear').optional().isInt({ min: 1900, max: 9999 }).withMessage('Invalid graduation year'),
+  query('search').optional().trim()
+], validate, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { role: 'alumni', alumniDirectoryOptIn: true, isActive: true };
+
+    if (req.query.course) {
+      filter.course = req.query.course;
+    }
+
+    if (req.query.graduationYear) {
+      const year = parseInt(req.query.graduationYear);
+      filter.graduatedAt = { $gte: new Date(year, 0, 1), $lt: new Date(year + 1, 0, 1) };
+    }
+
+    if (req.query.search) {
+      filter.$or = [
+        { firstName: { $regex: req.query.search, $options: 'i' } },
+        { lastName: { $regex: req.query.search, $options: 'i' } }
+      ];
+    }
+
+    // Only what the directory shows - no email or contact details
+    const alumni = await User.find(filter)
+      .populate('course', 'name code department')
+      .select('firstName lastName avatar course graduatedAt')
+      .sort({ graduatedAt: -1, lastName: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await User.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        alumni: alumni.map(member => ({
+          _id: member._id,
+          firstName: member.firstName,
+          lastName: member.lastName,
+          avatar: member.avatar,
+          course: member.course,
+          graduationYear: member.graduatedAt ? member.graduatedAt.getFullYear() : null
+        })),
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get alumni directory error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching profile'
+      message: 'Server error while fetching alumni directory'
     });
   }
 });
 
-// @route   PUT /api/users/profile
-// @desc    Update user profile
+// @route   GET /api/users/teachers
+// @desc    Teacher directory - staff with a visible profile, filterable by department
 // @access  Private
-router.put('/profile', [
+router.get('/teachers', [
   auth,
   requireEmailVerification,
-  body('firstName').optional().trim().isLength({ min: 2, max: 50 }),
-  body('lastName').optional().trim().isLength({ min: 2, max: 50 }),
-  body('semester').optional().isInt({ min: 1, max: 8 }),
-  body('department').optional().trim()
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1-50'),
+  query('department').optional().trim(),
+  query('search').optional().trim()
 ], validate, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
 
-    // Update allowed fields
-    const allowedUpdates = ['firstName', 'lastName', 'semester', 'department'];
-    const updates = {};
+    const baseFilter = {
+      role: { $in: STAFF_ROLES },
+      isActive: true,
+      'privacySettings.profileVisibility': { $ne: 'private' }
+    };
+    const filter = { ...baseFilter };
 
-    allowedUpdates.forEach(field => {
-      if (req.body[field] !== undefined) {
-        updates[field] = req.body[field];
-      }
-    });
+    if (req.query.department) {
+      filter.department = req.query.department;
+    }
 
-    Object.keys(updates).forEach(update => user[update] = updates[update]);
-    await user.save();
+    if (req.query.search) {
+      filter.$or = [
+        { firstName: { $regex: req.query.search, $options: 'i' } },
+        { lastName: { $regex: req.query.search, $options: 'i' } },
+        { bio: { $regex: req.query.search, $options: 'i' } }
+      ];
+    }
 
-    const updatedUser = await User.findById(user._id)
-      .populate('course', 'name code department')
-      .select('-password');
+    const [teachers, total, departments] = await Promise.all([
+      User.find(filter)
+        .select('firstName lastName avatar role department bio officeHours email privacySettings')
+        .sort({ lastName: 1, firstName: 1 })
+        .skip(skip)
+        .limit(limit),
+      User.countDocuments(filter),
+      User.distinct('department', baseFilter)
+    ]);
 
     res.json({
       success: true,
-      message: 'Profile updated successfully',
-      data: updatedUser
+      data: {
+        teachers: teachers.map(teacher => ({
+          _id: teacher._id,
+          firstName: teacher.firstName,
+          lastName: teacher.lastName,
+          avatar: teacher.avatar,
+          role: teacher.role,
+          department: teacher.department,
+          bio: teacher.bio,
+          officeHours: teacher.officeHours,
+          email: teacher.privacySettings.showEmail ? teacher.email : undefined
+        })),
+        departments: departments.filter(Boolean).sort(),
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
     });
   } catch (error) {
-    console.error('Update profile error:', error);
+    console.error('Get teacher directory error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while updating profile'
+      message: 'Server error while fetching teacher directory'
     });
   }
 });
 
-// @route   POST /api/users/upload-avatar
-// @desc    Upload user avatar
+// @route   GET /api/users/:id/profile
+// @desc    Get a user's public profile, limited by their privacy settings
 // @access  Private
-router.post('/upload-avatar', [
+router.get('/:id/profile', [
   auth,
-  requireEmailVerification,
-  uploadProfile.single('avatar')
+  requireEmailVerification
 ], async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        message: 'No image file provided'
-      });
-    }
+    const user = await User.findOne({ _id: req.params.id, isActive: true })
+      .populate('course', 'name code department');
 
-    const user = await User.findById(req.user.id);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -115,156 +1057,239 @@ router.post('/upload-avatar', [
       });
     }
 
-    // Update user avatar
-    user.avatar = req.file.path;
-    await user.save();
+    const full = user._id.equals(req.user._id) || await can(req.user, 'users:manage');
+    const profile = await buildPublicProfile(user, req.user, { full });
 
     res.json({
       success: true,
-      message: 'Avatar uploaded successfully',
-      data: {
-        avatar: user.avatar
-      }
+      data: profile
     });
   } catch (error) {
-    console.error('Upload avatar error:', error);
+    console.error('Get public profile error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while uploading avatar'
+      message: 'Server error while fetching profile'
     });
   }
 });
 
-// @route   PUT /api/users/change-password
-// @desc    Change user password
-// @access  Private
-router.put('/change-password', [
+// @route   GET /api/users/deletion-requests
+// @desc    List pending account deletion requests
+// @access  Private (users:manage)
+router.get('/deletion-requests', [
   auth,
   requireEmailVerification,
-  body('currentPassword').exists().withMessage('Current password is required'),
-  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters'),
-  body('confirmPassword').exists().withMessage('Password confirmation is required')
-], validate, async (req, res) => {
+  requirePermission('users:manage')
+], async (req, res) => {
   try {
-    const { currentPassword, newPassword, confirmPassword } = req.body;
+    const users = await User.find({
+      deletionRequestedAt: { $ne: null },
+      anonymizedAt: null
+    })
+      .select('firstName lastName email role deletionRequestedAt deletionScheduledFor deletionApprovedAt')
+      .populate('deletionApprovedBy', 'firstName lastName')
+      .sort({ deletionScheduledFor: 1 });
 
-    // Check if new password and confirm password match
-    if (newPassword !== confirmPassword) {
-      return res.status(400).json({
+    res.json({
+      success: true,
+      data: users
+    });
+  } catch (error) {
+    console.error('Get deletion requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching deletion requests'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/deletion/approve
+// @desc    Approve an account deletion request; the account is anonymized after the grace period
+// @access  Private (users:manage)
+router.post('/:id/deletion/approve', [
+  auth,
+  requireEmailVerification,
+  requirePermission('users:manage')
+], async (req, res) => {
+  try {
+    const user = await User.findOne({
+      _id: req.params.id,
+      deletionRequestedAt: { $ne: null },
+      anonymizedAt: null
+    });
+
+    if (!user) {
+      return res.status(404).json({
         success: false,
-        message: 'New password and confirm password do not match'
+        message: 'Deletion request not found'
       });
     }
 
-    const user = await User.findById(req.user.id).select('+password');
-    if (!user) {
-      return res.status(404).json({
+    if (user._id.toString() === req.user.id) {
+      return res.status(400).json({
         success: false,
-        message: 'User not found'
+        message: 'Another administrator must approve deletion of your own account'
       });
     }
 
-    // Check current password
-    const isMatch = await user.comparePassword(currentPassword);
-    if (!isMatch) {
+    if (user.deletionApprovedAt) {
       return res.status(400).json({
         success: false,
-        message: 'Current password is incorrect'
+        message: 'Deletion has already been approved'
       });
     }
 
-    // Update password
-    user.password = newPassword;
+    user.deletionApprovedAt = new Date();
+    user.deletionApprovedBy = req.user._id;
     await user.save();
 
+    await recordAudit({
+      action: 'users.deletion_approved',
+      actor: req.user._id,
+      targetUser: user._id,
+      req,
+      metadata: { scheduledFor: user.deletionScheduledFor }
+    });
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Deletion approved. The account will be anonymized when its grace period ends.',
+      data: {
+        deletionScheduledFor: user.deletionScheduledFor
+      }
     });
   } catch (error) {
-    console.error('Change password error:', error);
+    console.error('Approve account deletion error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while changing password'
+      message: 'Server error while approving account deletion'
     });
   }
 });
 
-// @route   GET /api/users
-// @desc    Get all users (Admin only)
-// @access  Private (Admin)
-router.get('/', [
+// @route   GET /api/users/export
+// @desc    Export the users matching the list filters as CSV or XLSX
+// @access  Private (users:manage)
+router.get('/export', [
   auth,
   requireEmailVerification,
-  authorize('admin')
-], async (req, res) => {
+  requirePermission('users:manage'),
+  query('format').optional().isIn(['csv', 'xlsx']).withMessage('Format must be csv or xlsx')
+], validate, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const users = await User.find(buildUserFilter(req.query))
+      .populate('course', 'code')
+      .select('-password')
+      .sort({ createdAt: -1 })
+      .lean();
 
-    // Build filter
-    const filter = { isActive: true };
-    
-    if (req.query.role) {
-      filter.role = req.query.role;
+    const headers = EXPORT_COLUMNS.map(column => column.header);
+    const rows = users.map(user => EXPORT_COLUMNS.map(column => column.value(user)));
+    const filename = `users-${new Date().toISOString().slice(0, 10)}`;
+
+    await recordAudit({
+      action: 'users.exported',
+      actor: req.user._id,
+      req,
+      metadata: { count: users.length, format: req.query.format || 'csv' }
+    });
+
+    if (req.query.format === 'xlsx') {
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet('Users');
+      sheet.columns = headers.map(header => ({ header, key: header, width: 20 }));
+      sheet.addRows(rows);
+      sheet.getRow(1).font = { bold: true };
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+      await workbook.xlsx.write(res);
+      return res.end();
     }
-    
-    if (req.query.course) {
-      filter.course = req.query.course;
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    res.send(toCsv(headers, rows));
+  } catch (error) {
+    console.error('Export users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting users'
+    });
+  }
+});
+
+// @route   POST /api/users/import
+// @desc    Create invited accounts from a CSV file (pass ?dryRun=true to only validate)
+// @access  Private (users:manage)
+router.post('/import', [
+  auth,
+  requireEmailVerification,
+  requirePermission('users:manage'),
+  uploadCsv.single('file'),
+  query('dryRun').optional().isBoolean().withMessage('dryRun must be true or false')
+], validate, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No CSV file provided'
+      });
     }
-    
-    if (req.query.semester) {
-      filter.semester = parseInt(req.query.semester);
+
+    let parsed;
+    try {
+      parsed = parseCsvRecords(req.file.buffer.toString('utf8'));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid CSV file: ${error.message}`
+      });
     }
 
-    if (req.query.search) {
-      filter.$or = [
-        { firstName: { $regex: req.query.search, $options: 'i' } },
-        { lastName: { $regex: req.query.search, $options: 'i' } },
-        { email: { $regex: req.query.search, $options: 'i' } },
-        { studentId: { $regex: req.query.search, $options: 'i' } }
-      ];
+    const missingColumns = REQUIRED_COLUMNS.filter(column => !parsed.headers.includes(column));
+    if (missingColumns.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Missing required columns: ${missingColumns.join(', ')}`
+      });
     }
 
-    const users = await User.find(filter)
-      .populate('course', 'name code department')
-      .select('-password')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+    if (parsed.records.length === 0 || parsed.records.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `The file must contain between 1 and ${MAX_IMPORT_ROWS} rows`
+      });
+    }
 
-    const total = await User.countDocuments(filter);
+    const dryRun = req.query.dryRun === 'true';
+    const report = await importUsers(parsed.records, {
+      dryRun,
+      invitedBy: req.user._id,
+      req
+    });
 
     res.json({
       success: true,
-      data: {
-        users,
-        pagination: {
-          current: page,
-          pages: Math.ceil(total / limit),
-          total,
-          hasNext: page * limit < total,
-          hasPrev: page > 1
-        }
-      }
+      message: dryRun ? 'Import validated - no accounts were created' : 'Import completed',
+      data: report
     });
   } catch (error) {
-    console.error('Get users error:', error);
+    console.error('Import users error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching users'
+      message: 'Server error while importing users'
     });
   }
 });
 
 // @route   GET /api/users/:id
-// @desc    Get user by ID (Admin only)
-// @access  Private (Admin)
+// @desc    Get user by ID
+// @access  Private (users:manage)
 router.get('/:id', [
   auth,
   requireEmailVerification,
-  authorize('admin')
+  requirePermission('users:manage')
 ], async (req, res) => {
   try {
     const user = await User.findOne({ 
@@ -295,15 +1320,15 @@ router.get('/:id', [
 });
 
 // @route   PUT /api/users/:id
-// @desc    Update user (Admin only)
-// @access  Private (Admin)
+// @desc    Update user
+// @access  Private (users:manage)
 router.put('/:id', [
   auth,
   requireEmailVerification,
-  authorize('admin'),
+  requirePermission('users:manage'),
   body('firstName').optional().trim().isLength({ min: 2, max: 50 }),
   body('lastName').optional().trim().isLength({ min: 2, max: 50 }),
-  body('role').optional().isIn(['student', 'teacher', 'admin']),
+  body('role').optional().isIn(['student', 'teacher', 'hod', 'department_coordinator', 'admin', 'alumni', 'guardian']),
   body('isActive').optional().isBoolean(),
   body('course').optional().isMongoId(),
   body('semester').optional().isInt({ min: 1, max: 8 }),
@@ -333,8 +1358,20 @@ router.put('/:id', [
     });
 
     Object.keys(updates).forEach(update => user[update] = updates[update]);
+
+    // Moving a student to alumni by hand graduates them like a semester rollover would
+    if (updates.role === 'alumni' && user.academicStatus !== 'alumni') {
+      user.academicStatus = 'alumni';
+      user.graduatedAt = new Date();
+    }
+
     await user.save();
 
+    // Deactivation takes effect immediately, not on the next token refresh
+    if (updates.isActive === false || updates.isActive === 'false') {
+      await revokeUserSessions(user._id, 'account-deactivated');
+    }
+
     const updatedUser = await User.findById(user._id)
       .populate('course', 'name code department')
       .select('-password');
@@ -354,12 +1391,12 @@ router.put('/:id', [
 });
 
 // @route   DELETE /api/users/:id
-// @desc    Delete user (Admin only)
-// @access  Private (Admin)
+// @desc    Delete user
+// @access  Private (users:manage)
 router.delete('/:id', [
   auth,
   requireEmailVerification,
-  authorize('admin')
+  requirePermission('users:manage')
 ], async (req, res) => {
   try {
     const user = await User.findOne({ 
@@ -384,6 +1421,7 @@ router.delete('/:id', [
 
     user.isActive = false;
     await user.save();
+    await revokeUserSessions(user._id, 'account-deleted');
 
     res.json({
       success: true,
@@ -398,19 +1436,107 @@ router.delete('/:id', [
   }
 });
 
+// @route   POST /api/users/:id/impersonate
+// @desc    Start viewing the app as another user (short-lived, read-only token)
+// @access  Private (users:impersonate)
+router.post('/:id/impersonate', [
+  auth,
+  requireEmailVerification,
+  requirePermission('users:impersonate')
+], async (req, res) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot impersonate yourself'
+      });
+    }
+
+    const user = await User.findOne({
+      _id: req.params.id,
+      isActive: true
+    })
+      .populate('course', 'name code department')
+      .select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Viewing as another administrator would show nothing new and blurs the audit trail
+    if (await can(user, 'users:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Administrators cannot be impersonated'
+      });
+    }
+
+    const { token, expiresAt } = await startImpersonation(req.user, user, req);
+
+    res.json({
+      success: true,
+      message: `Now viewing as ${user.fullName}`,
+      data: {
+        token,
+        expiresAt,
+        user
+      }
+    });
+  } catch (error) {
+    console.error('Start impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting impersonation'
+    });
+  }
+});
+
+// @route   POST /api/users/impersonate/stop
+// @desc    End the current impersonation session
+// @access  Private (impersonation token)
+router.post('/impersonate/stop', authAllowSessionEnd, async (req, res) => {
+  try {
+    const session = req.impersonatedBy && await Session.findById(req.sessionId);
+
+    if (!session || !session.impersonatedBy) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are not impersonating anyone'
+      });
+    }
+
+    await endImpersonation(session, req);
+
+    res.json({
+      success: true,
+      message: 'Impersonation ended'
+    });
+  } catch (error) {
+    console.error('Stop impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while stopping impersonation'
+    });
+  }
+});
+
 // @route   GET /api/users/stats/dashboard
-// @desc    Get dashboard statistics (Admin only)
-// @access  Private (Admin)
+// @desc    Get dashboard statistics
+// @access  Private (users:manage)
 router.get('/stats/dashboard', [
   auth,
   requireEmailVerification,
-  authorize('admin')
+  requirePermission('users:manage')
 ], async (req, res) => {
   try {
     const totalUsers = await User.countDocuments({ isActive: true });
     const totalStudents = await User.countDocuments({ role: 'student', isActive: true });
     const totalTeachers = await User.countDocuments({ role: 'teacher', isActive: true });
     const totalAdmins = await User.countDocuments({ role: 'admin', isActive: true });
+    const totalAlumni = await User.countDocuments({ role: 'alumni', isActive: true });
     
     // Recent registrations (last 30 days)
     const thirtyDaysAgo = new Date();
@@ -437,6 +1563,7 @@ router.get('/stats/dashboard', [
         totalStudents,
         totalTeachers,
         totalAdmins,
+        totalAlumni,
         recentRegistrations,
         verifiedUsers,
         unverifiedUsers
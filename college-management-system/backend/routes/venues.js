@@ -0,0 +1,414 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const Venue = require('../models/Venue');
+const Event = require('../models/Event');
+const { auth, requirePermission, requireEmailVerification } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { can } = require('../utils/permissions');
+const { normalizeRecurrenceRule } = require('../utils/recurrence');
+const { findBookings, findBookingConflicts, describeBooking } = require('../utils/venues');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest window the booking calendar returns at once
+const MAX_CALENDAR_DAYS = 62;
+
+const TIME_FORMAT = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Comma-separated facilities from a query string, as stored
+const parseFacilities = (value) => (value || '')
+  .split(',')
+  .map(facility => facility.trim().toLowerCase())
+  .filter(Boolean);
+
+// Filter for active venues matching the common query parameters
+const buildVenueFilter = (params) => {
+  const filter = { isActive: true };
+
+  if (params.building) {
+    filter.building = { $regex: params.building, $options: 'i' };
+  }
+  if (params.minCapacity) {
+    filter.capacity = { $gte: parseInt(params.minCapacity) };
+  }
+  const facilities = parseFacilities(params.facilities);
+  if (facilities.length > 0) {
+    filter.facilities = { $all: facilities };
+  }
+  if (params.search) {
+    filter.$or = [
+      { name: { $regex: params.search, $options: 'i' } },
+      { code: { $regex: params.search, $options: 'i' } },
+      { building: { $regex: params.search, $options: 'i' } }
+    ];
+  }
+
+  return filter;
+};
+
+// Describe bookings, hiding events the user may not see
+const describeBookings = (user, bookings) => Promise.all(bookings.map(async booking => describeBooking(
+  booking,
+  booking.event.status === 'published' || await can(user, 'events:view_unpublished', booking.event)
+)));
+
+const venueValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 2, max: 100 }).withMessage('Venue name must be between 2-100 characters'),
+    field('code').trim().isLength({ min: 2, max: 20 }).withMessage('Venue code must be between 2-20 characters'),
+    field('building').trim().isLength({ min: 1, max: 100 }).withMessage('Building is required'),
+    field('capacity').isInt({ min: 1 }).withMessage('Capacity must be a positive integer'),
+    body('floor').optional().trim(),
+    body('facilities').optional().isArray().withMessage('Facilities must be an array'),
+    body('facilities.*').isString().trim().isLength({ min: 1, max: 50 }),
+    body('description').optional().trim()
+  ];
+};
+
+// @route   GET /api/venues
+// @desc    Get venues, filtered by building, minimum capacity and facilities
+// @access  Private
+router.get('/', [
+  auth,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1-100'),
+  query('minCapacity').optional().isInt({ min: 1 }).withMessage('Minimum capacity must be a positive integer'),
+  query('building').optional().trim(),
+  query('facilities').optional().trim(),
+  query('search').optional().trim()
+], validate, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = buildVenueFilter(req.query);
+
+    const venues = await Venue.find(filter)
+      .sort({ building: 1, name: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Venue.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        venues,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get venues error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching venues'
+    });
+  }
+});
+
+// @route   GET /api/venues/availability
+// @desc    Check which venues are free for a slot (optionally repeating) and list the clashes
+// @access  Private (events:create)
+router.get('/availability', [
+  auth,
+  requireEmailVerification,
+  requirePermission('events:create'),
+  query('startDate').isISO8601().withMessage('Invalid start date format'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date format'),
+  query('startTime').optional().matches(TIME_FORMAT).withMessage('Invalid time format (HH:MM)'),
+  query('endTime').optional().matches(TIME_FORMAT).withMessage('Invalid time format (HH:MM)'),
+  query('recurrenceRule')
+    .optional({ values: 'falsy' })
+    .custom(value => normalizeRecurrenceRule(value))
+    .customSanitizer(value => normalizeRecurrenceRule(value)),
+  query('excludeEvent').optional().isMongoId().withMessage('Invalid event ID'),
+  query('minCapacity').optional().isInt({ min: 1 }).withMessage('Minimum capacity must be a positive integer'),
+  query('building').optional().trim(),
+  query('facilities').optional().trim()
+], validate, async (req, res) => {
+  try {
+    const startDate = new Date(req.query.startDate);
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : startDate;
+
+    if (endDate < startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be after start date'
+      });
+    }
+
+    const venues = await Venue.find(buildVenueFilter(req.query)).sort({ building: 1, name: 1 });
+
+    // The slot is checked like an unsaved event; excludeEvent leaves out the event being edited
+    const slot = new Event({
+      startDate,
+      endDate,
+      startTime: req.query.startTime,
+      endTime: req.query.endTime,
+      recurrenceRule: req.query.recurrenceRule || undefined
+    });
+    if (req.query.excludeEvent) {
+      slot._id = req.query.excludeEvent;
+    }
+
+    const clashes = await findBookingConflicts(slot, { venueIds: venues.map(venue => venue._id) });
+    const conflicts = await describeBookings(req.user, clashes);
+
+    res.json({
+      success: true,
+      data: venues.map(venue => {
+        const venueConflicts = conflicts.filter(conflict => String(conflict.venue) === String(venue._id));
+        return {
+          venue,
+          available: venueConflicts.length === 0,
+          conflicts: venueConflicts
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Venue availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking venue availability'
+    });
+  }
+});
+
+// @route   GET /api/venues/:id
+// @desc    Get single venue
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const venue = await Venue.findOne({
+      _id: req.params.id,
+      isActive: true
+    });
+
+    if (!venue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Venue not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: venue
+    });
+  } catch (error) {
+    console.error('Get venue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching venue'
+    });
+  }
+});
+
+// @route   GET /api/venues/:id/bookings
+// @desc    Bookings of a venue between from and to (at most 62 days), one entry per occurrence
+// @access  Private (events:create)
+router.get('/:id/bookings', [
+  auth,
+  requireEmailVerification,
+  requirePermission('events:create'),
+  query('from').isISO8601().withMessage('Invalid from date format'),
+  query('to').isISO8601().withMessage('Invalid to date format')
+], validate, async (req, res) => {
+  try {
+    const from = new Date(req.query.from);
+    const to = new Date(req.query.to);
+
+    if (to <= from || to - from > MAX_CALENDAR_DAYS * DAY_MS) {
+      return res.status(400).json({
+        success: false,
+        message: `The range must be positive and at most ${MAX_CALENDAR_DAYS} days`
+      });
+    }
+
+    const venue = await Venue.findOne({
+      _id: req.params.id,
+      isActive: true
+    });
+
+    if (!venue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Venue not found'
+      });
+    }
+
+    const bookings = await findBookings([venue._id], from.getTime(), to.getTime());
+
+    res.json({
+      success: true,
+      data: {
+        venue,
+        bookings: await describeBookings(req.user, bookings)
+      }
+    });
+  } catch (error) {
+    console.error('Get venue bookings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching venue bookings'
+    });
+  }
+});
+
+// @route   POST /api/venues
+// @desc    Create venue
+// @access  Private (venues:manage)
+router.post('/', [
+  auth,
+  requireEmailVerification,
+  requirePermission('venues:manage'),
+  ...venueValidators(false)
+], validate, async (req, res) => {
+  try {
+    const { name, code, building, floor, capacity, facilities, description } = req.body;
+
+    const existingVenue = await Venue.findOne({ code: code.toUpperCase() });
+    if (existingVenue) {
+      return res.status(400).json({
+        success: false,
+        message: 'Venue code already exists'
+      });
+    }
+
+    const venue = new Venue({ name, code, building, floor, capacity, facilities, description });
+    await venue.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Venue created successfully',
+      data: venue
+    });
+  } catch (error) {
+    console.error('Create venue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating venue'
+    });
+  }
+});
+
+// @route   PUT /api/venues/:id
+// @desc    Update venue
+// @access  Private (venues:manage)
+router.put('/:id', [
+  auth,
+  requireEmailVerification,
+  requirePermission('venues:manage'),
+  ...venueValidators(true)
+], validate, async (req, res) => {
+  try {
+    const venue = await Venue.findOne({
+      _id: req.params.id,
+      isActive: true
+    });
+
+    if (!venue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Venue not found'
+      });
+    }
+
+    if (req.body.code && req.body.code.toUpperCase() !== venue.code) {
+      const existingVenue = await Venue.findOne({ code: req.body.code.toUpperCase() });
+      if (existingVenue) {
+        return res.status(400).json({
+          success: false,
+          message: 'Venue code already exists'
+        });
+      }
+    }
+
+    ['name', 'code', 'building', 'floor', 'capacity', 'facilities', 'description'].forEach(key => {
+      if (req.body[key] !== undefined) {
+        venue[key] = req.body[key];
+      }
+    });
+
+    await venue.save();
+
+    res.json({
+      success: true,
+      message: 'Venue updated successfully',
+      data: venue
+    });
+  } catch (error) {
+    console.error('Update venue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating venue'
+    });
+  }
+});
+
+// @route   DELETE /api/venues/:id
+// @desc    Delete venue (soft delete); refused while upcoming events are booked into it
+// @access  Private (venues:manage)
+router.delete('/:id', [
+  auth,
+  requireEmailVerification,
+  requirePermission('venues:manage')
+], async (req, res) => {
+  try {
+    const venue = await Venue.findOne({
+      _id: req.params.id,
+      isActive: true
+    });
+
+    if (!venue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Venue not found'
+      });
+    }
+
+    const now = new Date();
+    const upcoming = await Event.countDocuments({
+      bookedVenue: venue._id,
+      isActive: true,
+      status: { $ne: 'cancelled' },
+      $or: [
+        { recurrenceRule: null, endDate: { $gte: now } },
+        { recurrenceRule: { $ne: null }, $or: [{ recurrenceEnd: null }, { recurrenceEnd: { $gte: now } }] }
+      ]
+    });
+
+    if (upcoming > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Move or cancel the ${upcoming} upcoming event(s) booked into this venue first`
+      });
+    }
+
+    venue.isActive = false;
+    await venue.save();
+
+    res.json({
+      success: true,
+      message: 'Venue deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete venue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting venue'
+    });
+  }
+});
+
+module.exports = router;
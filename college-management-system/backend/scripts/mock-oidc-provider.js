@@ -0,0 +1,158 @@
+// Minimal OpenID Connect provider for developing and testing SSO locally.
+// Never use this in production: it signs in whoever fills in the form.
+//
+// Usage: npm run mock-idp
+// Then set in .env:
+//   OIDC_ISSUER=http://localhost:4000
+//   OIDC_CLIENT_ID=college-management
+//   OIDC_CLIENT_SECRET=mock-secret
+//   OIDC_REDIRECT_URI=http://localhost:5000/api/auth/sso/oidc/callback
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4000;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || 'college-management';
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || 'mock-secret';
+const KEY_ID = 'mock-key';
+
+// Fresh signing key on every start
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// Issued authorization codes: code -> { request, claims }
+const authorizationCodes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+const escapeHtml = (value) => {
+  return String(value || '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+};
+
+const base64url = (buffer) => {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }]
+  });
+});
+
+// Login form standing in for the institution's sign-in page
+app.get('/authorize', (req, res) => {
+  if (req.query.client_id !== CLIENT_ID) {
+    return res.status(400).send('Unknown client_id');
+  }
+
+  const hidden = ['redirect_uri', 'state', 'nonce', 'code_challenge']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('');
+
+  const fields = [
+    ['email', 'student@college.edu'],
+    ['given_name', 'Test'],
+    ['family_name', 'Student'],
+    ['role', 'student'],
+    ['department', 'Computer Science'],
+    ['student_id', 'STU0001'],
+    ['course_code', ''],
+    ['semester', '1']
+  ].map(([name, value]) => (
+    `<label>${name} <input name="${name}" value="${escapeHtml(value)}"></label><br>`
+  )).join('');
+
+  res.send(`<!DOCTYPE html>
+<html>
+  <body style="font-family: sans-serif; max-width: 420px; margin: 40px auto;">
+    <h2>Mock Identity Provider</h2>
+    <form method="post" action="/authorize">
+      ${hidden}
+      ${fields}
+      <label><input type="checkbox" name="email_verified" checked> email_verified</label><br><br>
+      <button type="submit">Sign in</button>
+    </form>
+  </body>
+</html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge, ...form } = req.body;
+
+  const code = base64url(crypto.randomBytes(24));
+  authorizationCodes.set(code, {
+    redirectUri,
+    nonce,
+    codeChallenge,
+    claims: {
+      sub: crypto.createHash('sha256').update(form.email || '').digest('hex').slice(0, 24),
+      email: form.email,
+      email_verified: form.email_verified === 'on',
+      given_name: form.given_name,
+      family_name: form.family_name,
+      role: form.role,
+      department: form.department,
+      student_id: form.student_id,
+      course_code: form.course_code,
+      semester: form.semester
+    }
+  });
+  // Codes are single use and short-lived
+  setTimeout(() => authorizationCodes.delete(code), 60 * 1000).unref();
+
+  const params = new URLSearchParams({ code, state });
+  res.redirect(`${redirectUri}?${params.toString()}`);
+});
+
+app.post('/token', (req, res) => {
+  const [id, secret] = Buffer.from((req.get('authorization') || '').replace(/^Basic /, ''), 'base64')
+    .toString()
+    .split(':')
+    .map(decodeURIComponent);
+
+  if (id !== CLIENT_ID || secret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const grant = authorizationCodes.get(req.body.code);
+  authorizationCodes.delete(req.body.code);
+
+  const challenge = base64url(crypto.createHash('sha256').update(req.body.code_verifier || '').digest());
+  if (!grant || grant.redirectUri !== req.body.redirect_uri || grant.codeChallenge !== challenge) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: CLIENT_ID,
+    expiresIn: '5m'
+  });
+
+  res.json({
+    access_token: base64url(crypto.randomBytes(24)),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🔑 Mock OIDC provider running at ${ISSUER}`);
+});
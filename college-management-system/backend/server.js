@@ -8,6 +8,10 @@ const dotenv = require('dotenv');
 // Load environment variables
 dotenv.config();
 
+const { startAccountDeletionJob } = require('./utils/accountDeletion');
+const { startGuardianDigestJob } = require('./utils/guardians');
+const { startWaitlistJob } = require('./utils/waitlist');
+
 const app = express();
 
 // Security middleware
@@ -18,7 +22,9 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  // Lets the frontend name downloaded export files
+  exposedHeaders: ['Content-Disposition']
 }));
 
 // Rate limiting
@@ -40,7 +46,13 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/college_m
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('📦 Connected to MongoDB'))
+.then(() => {
+  console.log('📦 Connected to MongoDB');
+  // Background jobs
+  startAccountDeletionJob();
+  startGuardianDigestJob();
+  startWaitlistJob();
+})
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
 // Routes
@@ -50,6 +62,13 @@ app.use('/api/events', require('./routes/events'));
 app.use('/api/notes', require('./routes/notes'));
 app.use('/api/courses', require('./routes/courses'));
 app.use('/api/uploads', require('./routes/uploads'));
+app.use('/api/settings', require('./routes/settings'));
+app.use('/api/permissions', require('./routes/permissions'));
+app.use('/api/promotions', require('./routes/promotions'));
+app.use('/api/guardians', require('./routes/guardians'));
+app.use('/api/id-cards', require('./routes/idCards'));
+app.use('/api/calendar', require('./routes/calendar'));
+app.use('/api/venues', require('./routes/venues'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,153 @@
+const User = require('../models/User');
+const Note = require('../models/Note');
+const Event = require('../models/Event');
+const GuardianLink = require('../models/GuardianLink');
+const Session = require('../models/Session');
+const { deleteFile } = require('./upload');
+const { revokeUserSessions } = require('./tokens');
+const { recordAudit } = require('./audit');
+const { promoteFromWaitlist } = require('./waitlist');
+
+// Days a user has to change their mind after requesting deletion
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+// How often the background job looks for accounts due for anonymization
+const DELETION_JOB_INTERVAL_MS = (parseInt(process.env.ACCOUNT_DELETION_JOB_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+// Irreversibly strip a user's personal data while keeping the account document, so notes,
+// comments and past event registrations still point at something (now shown as "Deleted User")
+const anonymizeUser = async (user) => {
+  const userId = user._id;
+
+  let avatarDeleted = false;
+  if (user.avatarPublicId) {
+    try {
+      await deleteFile(user.avatarPublicId);
+      avatarDeleted = true;
+    } catch (error) {
+      // Don't block the rest of the deletion on Cloudinary; the audit entry records the leftover file
+      console.error('Avatar deletion error:', error);
+    }
+  }
+
+  // Free seats in events that haven't happened yet and leave waitlists, passing the places on;
+  // past registrations stay for attendance history
+  const upcomingRegistrations = { 'registeredUsers.user': userId, startDate: { $gt: new Date() } };
+  const freedEvents = [
+    ...await Event.find(upcomingRegistrations).distinct('_id'),
+    ...await Event.find({ 'waitlist.user': userId }).distinct('_id')
+  ];
+  await Event.updateMany(upcomingRegistrations, { $pull: { registeredUsers: { user: userId } } });
+  await Event.updateMany({ 'waitlist.user': userId }, { $pull: { waitlist: { user: userId } } });
+  for (const eventId of freedEvents) {
+    await promoteFromWaitlist(eventId);
+  }
+
+  // Download and view history keeps its counts but loses the IP addresses
+  await Note.updateMany(
+    { 'downloads.user': userId },
+    { $unset: { 'downloads.$[entry].ipAddress': '' } },
+    { arrayFilters: [{ 'entry.user': userId }] }
+  );
+  await Note.updateMany(
+    { 'views.user': userId },
+    { $unset: { 'views.$[entry].ipAddress': '' } },
+    { arrayFilters: [{ 'entry.user': userId }] }
+  );
+
+  // Guardians lose access to a deleted student, and a deleted guardian to their students
+  await GuardianLink.updateMany(
+    { $or: [{ student: userId }, { guardian: userId }], status: { $in: ['pending', 'active'] } },
+    { status: 'revoked', revokedAt: new Date(), $unset: { invitationToken: '', invitationExpires: '' } }
+  );
+
+  // Written with updateOne so schema validators (required password, email format) don't apply
+  await User.updateOne({ _id: userId }, {
+    $set: {
+      firstName: 'Deleted',
+      lastName: 'User',
+      email: `deleted-${userId}@deleted.invalid`,
+      avatar: '',
+      officeHours: [],
+      isActive: false,
+      isEmailVerified: false,
+      ssoIdentities: [],
+      twoFactor: { enabled: false },
+      anonymizedAt: new Date()
+    },
+    $unset: {
+      password: '',
+      passwordHistory: '',
+      studentId: '',
+      avatarPublicId: '',
+      bio: '',
+      emailVerificationToken: '',
+      pendingEmail: '',
+      emailChangeToken: '',
+      previousEmail: '',
+      emailRevertToken: '',
+      calendarFeedToken: '',
+      passwordResetToken: '',
+      unlockToken: '',
+      ssoLoginToken: '',
+      magicLinkToken: '',
+      magicLinkRequestedAt: '',
+      invitationToken: '',
+      lastLogin: ''
+    }
+  });
+
+  await revokeUserSessions(userId, 'account-deleted');
+
+  // Revoked sessions stay as a record, without the devices and addresses they were used from
+  // (including the admin's, for sessions where they viewed the app as someone)
+  await Session.updateMany(
+    { $or: [{ user: userId }, { impersonatedBy: userId }] },
+    { $set: { userAgent: '' }, $unset: { ipAddress: '' } }
+  );
+
+  await recordAudit({
+    action: 'users.anonymized',
+    actor: user.deletionApprovedBy,
+    targetUser: userId,
+    metadata: {
+      requestedAt: user.deletionRequestedAt,
+      approvedAt: user.deletionApprovedAt,
+      // The Cloudinary file left behind when its deletion failed, to clean up by hand
+      avatarDeleted,
+      ...(user.avatarPublicId && !avatarDeleted && { leftoverAvatar: user.avatarPublicId })
+    }
+  });
+};
+
+// Anonymize every approved account whose grace period is over
+const processDueDeletions = async () => {
+  const dueUsers = await User.find({
+    deletionApprovedAt: { $ne: null },
+    deletionScheduledFor: { $lte: new Date() },
+    anonymizedAt: null
+  });
+
+  for (const user of dueUsers) {
+    try {
+      await anonymizeUser(user);
+    } catch (error) {
+      console.error(`Account deletion error for user ${user._id}:`, error);
+    }
+  }
+
+  return dueUsers.length;
+};
+
+// Run the deletion job now and then periodically; called once the server starts
+const startAccountDeletionJob = () => {
+  const run = () => processDueDeletions().catch(error => console.error('Account deletion job error:', error));
+  run();
+  return setInterval(run, DELETION_JOB_INTERVAL_MS);
+};
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  anonymizeUser,
+  processDueDeletions,
+  startAccountDeletionJob
+};
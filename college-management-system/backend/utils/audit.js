@@ -0,0 +1,21 @@
+const AuditLog = require('../models/AuditLog');
+
+// Record an audit entry; failures are logged but never break the request being audited
+const recordAudit = async ({ action, actor, targetUser, req, metadata = {} }) => {
+  try {
+    await AuditLog.create({
+      action,
+      actor,
+      targetUser,
+      ipAddress: req ? req.ip : undefined,
+      userAgent: req ? req.get('user-agent') : undefined,
+      metadata
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+module.exports = {
+  recordAudit
+};
@@ -0,0 +1,97 @@
+// Minimal RFC 4180 CSV parser: quoted fields, escaped quotes ("") and CRLF/LF line endings
+// Returns an array of rows, each an array of raw string fields; blank lines are skipped
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+// Parse CSV with a header row into objects keyed by normalized header names
+// Headers are lowercased with spaces, dashes and underscores removed ("Course Code" -> "coursecode")
+const parseCsvRecords = (text) => {
+  const [headerRow, ...dataRows] = parseCsv(text);
+  if (!headerRow) return { headers: [], records: [] };
+
+  const headers = headerRow.map(header => header.trim().toLowerCase().replace(/[\s_-]+/g, ''));
+
+  const records = dataRows.map(values => headers.reduce((record, header, index) => ({
+    ...record,
+    [header]: (values[index] || '').trim()
+  }), {}));
+
+  return { headers, records };
+};
+
+// Quote a value for CSV output; cells that spreadsheets would run as formulas are prefixed with '
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build CSV text from a header row and rows of values (CRLF line endings, as Excel expects)
+const toCsv = (headers, rows) => {
+  return [headers, ...rows]
+    .map(row => row.map(escapeCsvValue).join(','))
+    .join('\r\n');
+};
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  toCsv
+};
@@ -16,7 +16,7 @@ const createTransporter = () => {
 
 // Generate OTP
 const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return crypto.randomInt(100000, 1000000).toString();
 };
 
 // Generate secure token
@@ -161,6 +161,298 @@ const sendPasswordResetEmail = async (email, firstName, resetUrl) => {
   }
 };
 
+// Send passwordless login link
+const sendMagicLinkEmail = async (email, firstName, loginUrl, expiresInMinutes) => {
+  try {
+    const transporter = createTransporter();
+    
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: email,
+      subject: 'Your Sign-in Link - College Management System',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Sign-in Link</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+            .btn { display: inline-block; background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; text-align: center; }
+            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 14px; }
+            .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>✨ Sign-in Link</h1>
+              <p>College Management System</p>
+            </div>
+            <div class="content">
+              <h2>Hello ${firstName}!</h2>
+              <p>Click the button below to sign in to your account - no password needed:</p>
+              
+              <div style="text-align: center;">
+                <a href="${loginUrl}" class="btn">Sign In</a>
+              </div>
+              
+              <div class="warning">
+                <strong>⚠️ Security Notice:</strong>
+                <ul>
+                  <li>This link will expire in ${expiresInMinutes} minutes and can only be used once</li>
+                  <li>Never forward this email - anyone with the link can sign in as you</li>
+                  <li>If you didn't request this link, you can safely ignore this email</li>
+                </ul>
+              </div>
+              
+              <p>If the button doesn't work, copy and paste this URL into your browser:</p>
+              <p style="word-break: break-all; background: #e9ecef; padding: 10px; border-radius: 5px;">
+                ${loginUrl}
+              </p>
+              
+              <div class="footer">
+                <p>Best regards,<br>College Management Team</p>
+                <p><small>This is an automated email. Please do not reply.</small></p>
+              </div>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    return { success: true };
+  } catch (error) {
+    console.error('Email sending error:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send invitation to set a password for an imported account
+const sendInvitationEmail = async (email, firstName, invitationUrl, expiresInDays) => {
+  try {
+    const transporter = createTransporter();
+    
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: email,
+      subject: 'You are invited - College Management System',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Invitation</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+            .btn { display: inline-block; background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; text-align: center; }
+            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 14px; }
+            .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🎓 Welcome!</h1>
+              <p>College Management System</p>
+            </div>
+            <div class="content">
+              <h2>Hello ${firstName}!</h2>
+              <p>An account has been created for you. Click the button below to choose a password and sign in:</p>
+              
+              <div style="text-align: center;">
+                <a href="${invitationUrl}" class="btn">Accept Invitation</a>
+              </div>
+              
+              <div class="warning">
+                <strong>⚠️ Security Notice:</strong>
+                <ul>
+                  <li>This link will expire in ${expiresInDays} days and can only be used once</li>
+                  <li>Never forward this email - anyone with the link can claim your account</li>
+                  <li>If you weren't expecting this invitation, you can safely ignore this email</li>
+                </ul>
+              </div>
+              
+              <p>If the button doesn't work, copy and paste this URL into your browser:</p>
+              <p style="word-break: break-all; background: #e9ecef; padding: 10px; border-radius: 5px;">
+                ${invitationUrl}
+              </p>
+              
+              <div class="footer">
+                <p>Best regards,<br>College Management Team</p>
+                <p><small>This is an automated email. Please do not reply.</small></p>
+              </div>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    return { success: true };
+  } catch (error) {
+    console.error('Email sending error:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send account locked email with unlock link
+const sendAccountLockedEmail = async (email, firstName, unlockUrl, lockUntil) => {
+  try {
+    const transporter = createTransporter();
+    
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: email,
+      subject: 'Account Locked - College Management System',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Account Locked</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+            .btn { display: inline-block; background: #f5576c; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; text-align: center; }
+            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 14px; }
+            .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🔒 Account Locked</h1>
+              <p>College Management System</p>
+            </div>
+            <div class="content">
+              <h2>Hello ${firstName}!</h2>
+              <p>Your account has been temporarily locked after too many failed sign-in attempts. It will unlock automatically at <strong>${new Date(lockUntil).toLocaleString()}</strong>.</p>
+              <p>If this was you, you can unlock your account right away:</p>
+              
+              <div style="text-align: center;">
+                <a href="${unlockUrl}" class="btn">Unlock Account</a>
+              </div>
+              
+              <div class="warning">
+                <strong>⚠️ Security Notice:</strong>
+                <ul>
+                  <li>This link will expire in 24 hours</li>
+                  <li>If you didn't try to sign in, someone may be guessing your password - consider changing it</li>
+                </ul>
+              </div>
+              
+              <p>If the button doesn't work, copy and paste this URL into your browser:</p>
+              <p style="word-break: break-all; background: #e9ecef; padding: 10px; border-radius: 5px;">
+                ${unlockUrl}
+              </p>
+              
+              <div class="footer">
+                <p>Best regards,<br>College Management Team</p>
+                <p><small>This is an automated email. Please do not reply.</small></p>
+              </div>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    return { success: true };
+  } catch (error) {
+    console.error('Email sending error:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Tell the old address that the account email changed, with a link to switch it back
+const sendEmailChangedNotice = async (email, firstName, newEmail, revertUrl, expiresInDays) => {
+  try {
+    const transporter = createTransporter();
+    
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: email,
+      subject: 'Your Email Address Was Changed - College Management System',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Email Address Changed</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+            .btn { display: inline-block; background: #f5576c; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; text-align: center; }
+            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 14px; }
+            .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>✉️ Email Address Changed</h1>
+              <p>College Management System</p>
+            </div>
+            <div class="content">
+              <h2>Hello ${firstName}!</h2>
+              <p>The email address of your account was changed to <strong>${newEmail}</strong>. From now on, sign-in links and notifications go to that address.</p>
+              <p>If you didn't make this change, switch your account back to this address right away:</p>
+              
+              <div style="text-align: center;">
+                <a href="${revertUrl}" class="btn">This Wasn't Me</a>
+              </div>
+              
+              <div class="warning">
+                <strong>⚠️ Security Notice:</strong>
+                <ul>
+                  <li>This link will expire in ${expiresInDays} days</li>
+                  <li>Switching back signs out every device; reset your password afterwards</li>
+                </ul>
+              </div>
+              
+              <p>If the button doesn't work, copy and paste this URL into your browser:</p>
+              <p style="word-break: break-all; background: #e9ecef; padding: 10px; border-radius: 5px;">
+                ${revertUrl}
+              </p>
+              
+              <div class="footer">
+                <p>Best regards,<br>College Management Team</p>
+                <p><small>This is an automated email. Please do not reply.</small></p>
+              </div>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    return { success: true };
+  } catch (error) {
+    console.error('Email sending error:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 // Send event notification email
 const sendEventNotification = async (emails, event) => {
   try {
@@ -226,10 +518,221 @@ const sendEventNotification = async (emails, event) => {
   }
 };
 
+// Tell someone on a waitlist that a place is held for them until expiresAt
+const sendWaitlistOfferEmail = async (email, firstName, event, eventUrl, expiresAt) => {
+  try {
+    const transporter = createTransporter();
+    
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: email,
+      subject: `A place opened up: ${event.title}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Waitlist Place Available</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #4facfe 0%, #00f2fe 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+            .event-details { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #4facfe; }
+            .btn { display: inline-block; background: #4facfe; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; text-align: center; }
+            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 14px; }
+            .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🎟️ You're Off the Waitlist</h1>
+              <p>College Management System</p>
+            </div>
+            <div class="content">
+              <h2>Hello ${firstName}!</h2>
+              <p>A place has opened up for <strong>${event.title}</strong> and it is being held for you.</p>
+              
+              <div class="event-details">
+                <p><strong>📅 Date:</strong> ${new Date(event.startDate).toLocaleDateString()}</p>
+                <p><strong>⏰ Time:</strong> ${event.startTime} - ${event.endTime}</p>
+                <p><strong>📍 Venue:</strong> ${event.venue}</p>
+              </div>
+              
+              <div style="text-align: center;">
+                <a href="${eventUrl}" class="btn">Confirm My Place</a>
+              </div>
+              
+              <div class="warning">
+                <strong>⏳ Confirm by ${new Date(expiresAt).toLocaleString()}</strong>
+                <p>Register for the event again to take the place. If you don't, it goes to the next person on the waitlist.</p>
+              </div>
+              
+              <div class="footer">
+                <p>Best regards,<br>College Management Team</p>
+                <p><small>This is an automated email. Please do not reply.</small></p>
+              </div>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    return { success: true };
+  } catch (error) {
+    console.error('Email sending error:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const sendGuardianInvitationEmail = async (email, studentName, invitationUrl, expiresInDays) => {
+  try {
+    const transporter = createTransporter();
+    
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: email,
+      subject: `${studentName} invited you as a guardian - College Management System`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Guardian Invitation</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+            .btn { display: inline-block; background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; text-align: center; }
+            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 14px; }
+            .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>👪 Guardian Invitation</h1>
+              <p>College Management System</p>
+            </div>
+            <div class="content">
+              <h2>Hello!</h2>
+              <p>${studentName} has invited you to follow their upcoming exams, holidays and events. Click the button below to accept:</p>
+              
+              <div style="text-align: center;">
+                <a href="${invitationUrl}" class="btn">Accept Invitation</a>
+              </div>
+              
+              <div class="warning">
+                <strong>⚠️ Security Notice:</strong>
+                <ul>
+                  <li>This link will expire in ${expiresInDays} days and can only be used once</li>
+                  <li>Never forward this email - anyone with the link can accept the invitation</li>
+                  <li>If you don't know this student, you can safely ignore this email</li>
+                </ul>
+              </div>
+              
+              <div class="footer">
+                <p>Best regards,<br>College Management Team</p>
+                <p><small>This is an automated email. Please do not reply.</small></p>
+              </div>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    return { success: true };
+  } catch (error) {
+    console.error('Email sending error:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// `students` is a list of { name, events } with the upcoming events of each linked student
+const sendGuardianDigestEmail = async (email, firstName, students) => {
+  try {
+    const transporter = createTransporter();
+
+    const sections = students.map(student => `
+      <h3>${student.name}</h3>
+      ${student.events.map(event => `
+        <div class="event-details">
+          <p><strong>${event.title}</strong> (${event.eventType.charAt(0).toUpperCase() + event.eventType.slice(1)})</p>
+          <p>📅 ${new Date(event.startDate).toLocaleDateString()} ⏰ ${event.startTime} - ${event.endTime} 📍 ${event.venue}</p>
+        </div>
+      `).join('')}
+    `).join('');
+    
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: email,
+      subject: 'Upcoming events digest - College Management System',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Upcoming Events Digest</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #4facfe 0%, #00f2fe 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+            .event-details { background: white; padding: 10px 20px; border-radius: 8px; margin: 10px 0; border-left: 4px solid #4facfe; }
+            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 14px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>📅 Upcoming Events</h1>
+              <p>College Management System</p>
+            </div>
+            <div class="content">
+              <h2>Hello ${firstName}!</h2>
+              <p>Here is what's coming up:</p>
+              
+              ${sections}
+              
+              <div class="footer">
+                <p>Best regards,<br>College Management Team</p>
+                <p><small>You can turn off this digest from the Guardians page.</small></p>
+              </div>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    return { success: true };
+  } catch (error) {
+    console.error('Email sending error:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 module.exports = {
   generateOTP,
   generateToken,
   sendVerificationOTP,
   sendPasswordResetEmail,
-  sendEventNotification
+  sendAccountLockedEmail,
+  sendEmailChangedNotice,
+  sendMagicLinkEmail,
+  sendInvitationEmail,
+  sendEventNotification,
+  sendWaitlistOfferEmail,
+  sendGuardianInvitationEmail,
+  sendGuardianDigestEmail
 };
@@ -0,0 +1,162 @@
+const GuardianLink = require('../models/GuardianLink');
+const Event = require('../models/Event');
+const { generateToken, sendGuardianInvitationEmail, sendGuardianDigestEmail } = require('./email');
+const { hashToken } = require('./tokens');
+
+// Guardian invitations last as long as account invitations
+const GUARDIAN_INVITATION_EXPIRE_DAYS = parseInt(process.env.INVITATION_EXPIRE_DAYS) || 7;
+// Days between digest emails, and how far ahead each digest looks
+const GUARDIAN_DIGEST_INTERVAL_DAYS = parseInt(process.env.GUARDIAN_DIGEST_INTERVAL_DAYS) || 7;
+// How often the background job looks for digests that are due
+const GUARDIAN_DIGEST_JOB_INTERVAL_MS = (parseInt(process.env.GUARDIAN_DIGEST_JOB_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+// Event types guardians see for their student's course without the student registering
+const GUARDIAN_EVENT_TYPES = ['exam', 'holiday'];
+
+// The only event fields guardians get: no attendee lists or organizer details
+const GUARDIAN_EVENT_FIELDS = 'title eventType startDate endDate startTime endTime venue';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Give a link a fresh invitation token and email it; returns whether the email went out
+const sendGuardianInvitation = async (link, student) => {
+  const token = generateToken();
+  link.invitationToken = hashToken(token);
+  link.invitationExpires = new Date(Date.now() + GUARDIAN_INVITATION_EXPIRE_DAYS * DAY_MS);
+  await link.save();
+
+  const invitationUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/guardian-invitation/${token}`;
+  const result = await sendGuardianInvitationEmail(
+    link.email,
+    `${student.firstName} ${student.lastName}`,
+    invitationUrl,
+    GUARDIAN_INVITATION_EXPIRE_DAYS
+  );
+  return result.success;
+};
+
+// Pending link for an invitation token that hasn't expired
+const findInvitation = (token) => {
+  return GuardianLink.findOne({
+    invitationToken: hashToken(token),
+    invitationExpires: { $gt: Date.now() },
+    status: 'pending'
+  }).populate('student', 'firstName lastName');
+};
+
+// The active link between a guardian and a student, if any
+const getActiveLink = (guardianId, studentId) => {
+  return GuardianLink.findOne({ guardian: guardianId, student: studentId, status: 'active' });
+};
+
+// Published exam and holiday events for a student's course (or the whole college) between two dates
+const findCourseKeyDates = (student, from, to) => {
+  const startDate = { $gte: from };
+  if (to) startDate.$lte = to;
+
+  return Event.find({
+    isActive: true,
+    status: 'published',
+    eventType: { $in: GUARDIAN_EVENT_TYPES },
+    startDate,
+    $or: [
+      { 'targetAudience.courses': student.course },
+      { 'targetAudience.courses': { $size: 0 } }
+    ]
+  })
+    .select(GUARDIAN_EVENT_FIELDS)
+    .sort({ startDate: 1 });
+};
+
+// Everything a guardian should hear about for one student: their registrations and course key dates
+const findUpcomingForStudent = async (student, from, to) => {
+  const [registered, keyDates] = await Promise.all([
+    Event.find({
+      'registeredUsers.user': student._id,
+      isActive: true,
+      status: 'published',
+      startDate: { $gte: from, $lte: to }
+    }).select(GUARDIAN_EVENT_FIELDS),
+    findCourseKeyDates(student, from, to)
+  ]);
+
+  // An exam the student registered for shows up in both lists
+  const events = [...registered];
+  keyDates.forEach(event => {
+    if (!events.some(existing => existing._id.equals(event._id))) events.push(event);
+  });
+
+  return events.sort((a, b) => a.startDate - b.startDate);
+};
+
+// Email every guardian whose digest is due, one email per guardian covering all their students
+const sendDueGuardianDigests = async () => {
+  const now = new Date();
+  const dueBefore = new Date(now.getTime() - GUARDIAN_DIGEST_INTERVAL_DAYS * DAY_MS);
+
+  const links = await GuardianLink.find({
+    status: 'active',
+    digestEnabled: true,
+    $or: [{ lastDigestSentAt: null }, { lastDigestSentAt: { $lte: dueBefore } }]
+  })
+    .populate('guardian', 'firstName email isActive')
+    .populate('student', 'firstName lastName course isActive');
+
+  const byGuardian = new Map();
+  links
+    .filter(link => link.guardian && link.guardian.isActive && link.student && link.student.isActive)
+    .forEach(link => {
+      const key = link.guardian._id.toString();
+      byGuardian.set(key, [...(byGuardian.get(key) || []), link]);
+    });
+
+  let sent = 0;
+  const until = new Date(now.getTime() + GUARDIAN_DIGEST_INTERVAL_DAYS * DAY_MS);
+
+  for (const guardianLinks of byGuardian.values()) {
+    try {
+      const students = [];
+      for (const link of guardianLinks) {
+        const events = await findUpcomingForStudent(link.student, now, until);
+        if (events.length > 0) {
+          students.push({ name: `${link.student.firstName} ${link.student.lastName}`, events });
+        }
+      }
+
+      // Nothing coming up: skip the email but still wait a full interval before looking again
+      const guardian = guardianLinks[0].guardian;
+      const result = students.length > 0
+        ? await sendGuardianDigestEmail(guardian.email, guardian.firstName, students)
+        : { success: true };
+
+      if (result.success) {
+        await GuardianLink.updateMany(
+          { _id: { $in: guardianLinks.map(link => link._id) } },
+          { lastDigestSentAt: now }
+        );
+        if (students.length > 0) sent++;
+      }
+    } catch (error) {
+      console.error(`Guardian digest error for guardian ${guardianLinks[0].guardian._id}:`, error);
+    }
+  }
+
+  return sent;
+};
+
+// Run the digest job now and then periodically; called once the server starts
+const startGuardianDigestJob = () => {
+  const run = () => sendDueGuardianDigests().catch(error => console.error('Guardian digest job error:', error));
+  run();
+  return setInterval(run, GUARDIAN_DIGEST_JOB_INTERVAL_MS);
+};
+
+module.exports = {
+  GUARDIAN_EVENT_FIELDS,
+  sendGuardianInvitation,
+  findInvitation,
+  getActiveLink,
+  findCourseKeyDates,
+  sendDueGuardianDigests,
+  startGuardianDigestJob
+};
@@ -0,0 +1,253 @@
+// iCalendar (RFC 5545) output for events. An event's calendar day comes from startDate/endDate
+// (read in UTC, like recurrence expansion) and its wall-clock time from startTime/endTime in
+// EVENT_TIMEZONE; events without times are exported as all-day events.
+
+const EVENT_TIMEZONE = process.env.EVENT_TIMEZONE || 'UTC';
+
+const PRODUCT_ID = '-//College Management System//Events//EN';
+const UID_DOMAIN = 'college-management-system';
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// Building a formatter is far slower than using one, so each zone gets a single one
+const formatters = new Map();
+
+const zoneFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Offset of timeZone from UTC at an instant, in minutes
+const zoneOffsetMinutes = (date, timeZone) => {
+  const parts = zoneFormatter(timeZone).formatToParts(date);
+  const get = type => Number(parts.find(part => part.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}${pad(absolute % 60)}`;
+};
+
+// YYYYMMDD of a date's UTC calendar day
+const formatDate = (date) => `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+
+const formatUtcDateTime = (date) => `${formatDate(date)}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+// Local date-time (no zone suffix) for a calendar day and an HH:MM time
+const formatLocalDateTime = (day, time) => {
+  const [hours, minutes] = time.split(':');
+  return `${formatDate(day)}T${pad(hours)}${pad(minutes)}00`;
+};
+
+const isAllDay = (event) => !event.startTime || !event.endTime;
+
+// Escape TEXT values (RFC 5545 3.3.11)
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold lines longer than 75 octets, without splitting multi-byte characters
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= 75) return line;
+
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+// Offset changes of timeZone during one year, found by daily sampling and bisection. A zone's
+// past years don't change, so each (zone, year) is only worked out once
+const transitionCache = new Map();
+
+const findYearTransitions = (timeZone, year) => {
+  const key = `${timeZone}:${year}`;
+  if (transitionCache.has(key)) return transitionCache.get(key);
+
+  const transitions = [];
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  let previous = new Date(Date.UTC(year, 0, 1));
+  let previousOffset = zoneOffsetMinutes(previous, timeZone);
+  const end = Date.UTC(year + 1, 0, 1);
+
+  while (previous.getTime() < end) {
+    const next = new Date(previous.getTime() + DAY_MS);
+    const nextOffset = zoneOffsetMinutes(next, timeZone);
+
+    if (nextOffset !== previousOffset) {
+      let low = previous.getTime();
+      let high = next.getTime();
+      while (high - low > 60 * 1000) {
+        const middle = low + Math.floor((high - low) / 2 / 60000) * 60000;
+        if (zoneOffsetMinutes(new Date(middle), timeZone) === previousOffset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      transitions.push({ at: new Date(high), from: previousOffset, to: nextOffset });
+    }
+
+    previous = next;
+    previousOffset = nextOffset;
+  }
+
+  transitionCache.set(key, transitions);
+  return transitions;
+};
+
+// Offset changes of timeZone during the given years
+const findTransitions = (timeZone, fromYear, toYear) => {
+  const transitions = [];
+  for (let year = fromYear; year <= toYear; year++) {
+    transitions.push(...findYearTransitions(timeZone, year));
+  }
+  return transitions;
+};
+
+// VTIMEZONE for EVENT_TIMEZONE covering the given years; each observance is listed explicitly
+const buildTimezone = (timeZone, fromYear, toYear) => {
+  const initialOffset = zoneOffsetMinutes(new Date(Date.UTC(fromYear, 0, 1)), timeZone);
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+
+  const observance = (type, start, from, to) => {
+    lines.push(
+      `BEGIN:${type}`,
+      `DTSTART:${start}`,
+      `TZOFFSETFROM:${formatOffset(from)}`,
+      `TZOFFSETTO:${formatOffset(to)}`,
+      `END:${type}`
+    );
+  };
+
+  observance('STANDARD', '19700101T000000', initialOffset, initialOffset);
+
+  findTransitions(timeZone, fromYear, toYear).forEach(({ at, from, to }) => {
+    // An observance starts at the local time on the clock before the change
+    const local = new Date(at.getTime() + from * 60 * 1000);
+    const start = `${formatDate(local)}T${pad(local.getUTCHours())}${pad(local.getUTCMinutes())}00`;
+    observance(to > from ? 'DAYLIGHT' : 'STANDARD', start, from, to);
+  });
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+};
+
+// DTSTART/DTEND (or EXDATE) property for a calendar day, timed or all-day
+const dateProperty = (name, day, time) => {
+  if (!time) {
+    return `${name};VALUE=DATE:${formatDate(day)}`;
+  }
+  if (EVENT_TIMEZONE === 'UTC') {
+    return `${name}:${formatLocalDateTime(day, time)}Z`;
+  }
+  return `${name};TZID=${EVENT_TIMEZONE}:${formatLocalDateTime(day, time)}`;
+};
+
+const buildEventLines = (event) => {
+  const allDay = isAllDay(event);
+  const startDate = new Date(event.startDate);
+  // All-day DTEND is exclusive
+  const endDate = allDay
+    ? new Date(new Date(event.endDate).getTime() + 24 * 60 * 60 * 1000)
+    : new Date(event.endDate);
+  const stamp = new Date(event.updatedAt || event.createdAt || Date.now());
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event._id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUtcDateTime(stamp)}`,
+    `LAST-MODIFIED:${formatUtcDateTime(stamp)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    dateProperty('DTSTART', startDate, allDay ? null : event.startTime),
+    dateProperty('DTEND', endDate, allDay ? null : event.endTime),
+    `SUMMARY:${escapeText(event.title)}`,
+    `DESCRIPTION:${escapeText(event.description)}`,
+    `CATEGORIES:${escapeText(event.eventType)}`,
+    `STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`
+  ];
+
+  if (event.venue) {
+    lines.push(`LOCATION:${escapeText(event.venue)}`);
+  }
+
+  if (event.organizer && event.organizer.email) {
+    lines.push(`ORGANIZER;CN=${escapeText(`${event.organizer.firstName} ${event.organizer.lastName}`)}:mailto:${event.organizer.email}`);
+  }
+
+  if (event.recurrenceRule) {
+    // UNTIL must be a plain date when DTSTART is one
+    const rule = allDay ? event.recurrenceRule.replace(/UNTIL=(\d{8})T\d{6}Z/, 'UNTIL=$1') : event.recurrenceRule;
+    lines.push(`RRULE:${rule}`);
+    (event.recurrenceExceptions || []).forEach(date => {
+      lines.push(dateProperty('EXDATE', new Date(date), allDay ? null : event.startTime));
+    });
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// A complete VCALENDAR document for the given events (detached occurrences are separate events)
+const buildCalendar = (events, { name } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  const timedEvents = events.filter(event => !isAllDay(event));
+  if (EVENT_TIMEZONE !== 'UTC' && timedEvents.length > 0) {
+    lines.push(`X-WR-TIMEZONE:${EVENT_TIMEZONE}`);
+
+    // Cover every year an occurrence may fall in; open-ended series get the next year too
+    const years = timedEvents.flatMap(event => [
+      new Date(event.startDate).getUTCFullYear(),
+      new Date(event.recurrenceRule ? event.recurrenceEnd || Date.now() + 365 * 24 * 60 * 60 * 1000 : event.endDate).getUTCFullYear()
+    ]);
+    const fromYear = Math.min(...years);
+    const toYear = Math.min(Math.max(...years), fromYear + 10);
+    lines.push(...buildTimezone(EVENT_TIMEZONE, fromYear, toYear));
+  }
+
+  events.forEach(event => lines.push(...buildEventLines(event)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  EVENT_TIMEZONE,
+  buildCalendar
+};
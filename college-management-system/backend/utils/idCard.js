@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const sharp = require('sharp');
+
+// How long a generated card stays valid
+const ID_CARD_VALIDITY_DAYS = parseInt(process.env.ID_CARD_VALIDITY_DAYS) || 365;
+
+// CR80 (credit card) size in PDF points, so a printout at 100% is wallet-sized
+const CARD_WIDTH = 242.65;
+const CARD_HEIGHT = 153.07;
+
+// The PNG is rendered at this multiple of 72 dpi
+const PNG_SCALE = 4;
+
+const QR_PREFIX = 'CMSID1';
+
+let signingKey = null;
+
+// Cards need a key that outlives a restart and is shared by every instance, so without
+// ID_CARD_PRIVATE_KEY none are issued or verified
+const isIdCardKeyConfigured = () => !!process.env.ID_CARD_PRIVATE_KEY;
+
+// Ed25519 key the server signs cards with
+const getSigningKey = () => {
+  if (signingKey) return signingKey;
+
+  if (!isIdCardKeyConfigured()) {
+    throw new Error('ID_CARD_PRIVATE_KEY is not set');
+  }
+
+  signingKey = crypto.createPrivateKey(process.env.ID_CARD_PRIVATE_KEY.replace(/\\n/g, '\n'));
+  return signingKey;
+};
+
+const getPublicKey = () => crypto.createPublicKey(getSigningKey());
+
+// Short key id carried in every card, so scanners can pick the right key after a rotation
+const getKeyId = () => {
+  const der = getPublicKey().export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(der).digest('base64url').slice(0, 8);
+};
+
+// The public key in the forms offline scanners need
+const getPublicKeyInfo = () => {
+  const publicKey = getPublicKey();
+  return {
+    algorithm: 'Ed25519',
+    keyId: getKeyId(),
+    pem: publicKey.export({ type: 'spki', format: 'pem' }),
+    jwk: publicKey.export({ format: 'jwk' })
+  };
+};
+
+// Sign the card holder's details into the string encoded in the QR code:
+// CMSID1.<base64url JSON claims>.<base64url Ed25519 signature>
+const signIdCard = (user, issuedAt = new Date()) => {
+  const claims = {
+    kid: getKeyId(),
+    uid: user._id.toString(),
+    sid: user.studentId,
+    name: `${user.firstName} ${user.lastName}`,
+    course: user.course?.code,
+    sem: user.semester,
+    iat: Math.floor(issuedAt.getTime() / 1000),
+    exp: Math.floor(issuedAt.getTime() / 1000) + ID_CARD_VALIDITY_DAYS * 24 * 60 * 60
+  };
+
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const signature = crypto.sign(null, Buffer.from(`${QR_PREFIX}.${payload}`), getSigningKey()).toString('base64url');
+
+  return { token: `${QR_PREFIX}.${payload}.${signature}`, claims };
+};
+
+// Check a scanned card's signature and expiry; the account itself is checked by the caller
+// Returns { valid, reason, claims }
+const verifyIdCard = (token) => {
+  const parts = typeof token === 'string' ? token.trim().split('.') : [];
+  if (parts.length !== 3 || parts[0] !== QR_PREFIX) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, reason: 'malformed' };
+  }
+  // Valid JSON such as `null` or a number is not a claims object either
+  if (!claims || typeof claims !== 'object') {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const signatureValid = claims.kid === getKeyId() && crypto.verify(
+    null,
+    Buffer.from(`${QR_PREFIX}.${parts[1]}`),
+    getPublicKey(),
+    Buffer.from(parts[2], 'base64url')
+  );
+  if (!signatureValid) {
+    return { valid: false, reason: 'invalid-signature' };
+  }
+
+  if (claims.exp * 1000 < Date.now()) {
+    return { valid: false, reason: 'expired', claims };
+  }
+
+  return { valid: true, claims };
+};
+
+// Download the avatar for embedding; cards are still issued (with a placeholder) if this fails
+const fetchAvatar = async (url) => {
+  if (!url) return null;
+
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(5000) });
+    const type = response.headers.get('content-type') || '';
+    if (!response.ok || !['image/jpeg', 'image/png'].includes(type)) return null;
+    return Buffer.from(await response.arrayBuffer());
+  } catch (error) {
+    console.error('ID card avatar download error:', error.message);
+    return null;
+  }
+};
+
+// Everything printed on a card, with the QR code and avatar as image buffers
+const buildIdCard = async (user) => {
+  const { token, claims } = signIdCard(user);
+  const [qr, avatar] = await Promise.all([
+    QRCode.toBuffer(token, { errorCorrectionLevel: 'M', margin: 1, width: 300 }),
+    fetchAvatar(user.avatar)
+  ]);
+
+  return {
+    name: claims.name,
+    course: user.course ? user.course.name : '',
+    semester: user.semester,
+    studentId: user.studentId,
+    validUntil: new Date(claims.exp * 1000),
+    qr,
+    avatar
+  };
+};
+
+const formatValidity = (date) => date.toISOString().slice(0, 10);
+
+const renderIdCardPdf = (card) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: [CARD_WIDTH, CARD_HEIGHT], margin: 0 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  doc.rect(0, 0, CARD_WIDTH, 28).fill('#4f46e5');
+  doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(9).text('College Management System', 10, 7);
+  doc.font('Helvetica').fontSize(6.5).text('STUDENT IDENTITY CARD', 10, 18);
+
+  if (card.avatar) {
+    doc.image(card.avatar, 10, 36, { fit: [52, 64], align: 'center', valign: 'center' });
+  } else {
+    doc.rect(10, 36, 52, 64).fill('#e5e7eb');
+  }
+
+  doc.fillColor('#111827').font('Helvetica-Bold').fontSize(8.5).text(card.name, 70, 38, { width: 96 });
+  doc.font('Helvetica').fontSize(6.5).fillColor('#374151')
+    .text(card.course, { width: 96 })
+    .text(card.semester ? `Semester ${card.semester}` : '', { width: 96 })
+    .moveDown(0.4)
+    .font('Helvetica-Bold').text(`ID: ${card.studentId}`, { width: 96 })
+    .font('Helvetica').text(`Valid until ${formatValidity(card.validUntil)}`, { width: 96 });
+
+  doc.image(card.qr, 172, 36, { width: 62 });
+  doc.fontSize(5).fillColor('#6b7280').text('Scan to verify', 172, 100, { width: 62, align: 'center' });
+
+  doc.end();
+});
+
+const escapeXml = (value) => String(value ?? '').replace(/[<>&'"]/g, char => (
+  { '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;' }[char]
+));
+
+const toDataUri = (buffer) => {
+  const type = buffer[0] === 0x89 ? 'image/png' : 'image/jpeg';
+  return `data:${type};base64,${buffer.toString('base64')}`;
+};
+
+// Same layout as the PDF, drawn as SVG and rasterized
+const renderIdCardPng = async (card) => {
+  const photo = card.avatar
+    ? `<image href="${toDataUri(card.avatar)}" x="10" y="36" width="52" height="64" preserveAspectRatio="xMidYMid slice"/>`
+    : '<rect x="10" y="36" width="52" height="64" fill="#e5e7eb"/>';
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}" font-family="Helvetica, Arial, sans-serif">
+  <rect width="100%" height="100%" fill="#ffffff"/>
+  <rect width="${CARD_WIDTH}" height="28" fill="#4f46e5"/>
+  <text x="10" y="15" font-size="9" font-weight="bold" fill="#ffffff">College Management System</text>
+  <text x="10" y="24" font-size="6.5" fill="#ffffff">STUDENT IDENTITY CARD</text>
+  ${photo}
+  <text x="70" y="45" font-size="8.5" font-weight="bold" fill="#111827">${escapeXml(card.name)}</text>
+  <text x="70" y="55" font-size="6.5" fill="#374151">${escapeXml(card.course)}</text>
+  <text x="70" y="63" font-size="6.5" fill="#374151">${card.semester ? `Semester ${card.semester}` : ''}</text>
+  <text x="70" y="76" font-size="6.5" font-weight="bold" fill="#374151">ID: ${escapeXml(card.studentId)}</text>
+  <text x="70" y="84" font-size="6.5" fill="#374151">Valid until ${formatValidity(card.validUntil)}</text>
+  <image href="${toDataUri(card.qr)}" x="172" y="36" width="62" height="62"/>
+  <text x="203" y="105" font-size="5" fill="#6b7280" text-anchor="middle">Scan to verify</text>
+</svg>`;
+
+  return sharp(Buffer.from(svg), { density: 72 * PNG_SCALE }).png().toBuffer();
+};
+
+module.exports = {
+  ID_CARD_VALIDITY_DAYS,
+  isIdCardKeyConfigured,
+  getPublicKeyInfo,
+  signIdCard,
+  verifyIdCard,
+  buildIdCard,
+  renderIdCardPdf,
+  renderIdCardPng
+};
@@ -0,0 +1,61 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { generateToken } = require('./email');
+const { hashToken } = require('./tokens');
+const { recordAudit } = require('./audit');
+
+const IMPERSONATION_EXPIRE_MINUTES = parseInt(process.env.IMPERSONATION_EXPIRE_MINUTES) || 15;
+
+// Start a "view as user" session for `admin` and issue its access token
+// The session has no usable refresh token, so it simply ends when the token expires
+const startImpersonation = async (admin, target, req) => {
+  const expiresAt = new Date(Date.now() + IMPERSONATION_EXPIRE_MINUTES * 60 * 1000);
+
+  const session = new Session({
+    user: target._id,
+    impersonatedBy: admin._id,
+    refreshTokenHash: hashToken(generateToken()),
+    userAgent: req.get('user-agent') || '',
+    ipAddress: req.ip,
+    expiresAt
+  });
+  await session.save();
+
+  // `imp` marks the token as impersonated; the auth middleware makes such tokens read-only
+  const token = jwt.sign(
+    { id: target._id, role: target.role, sid: session._id, imp: admin._id },
+    process.env.JWT_SECRET,
+    { expiresIn: `${IMPERSONATION_EXPIRE_MINUTES}m` }
+  );
+
+  await recordAudit({
+    action: 'impersonation.started',
+    actor: admin._id,
+    targetUser: target._id,
+    req,
+    metadata: { sessionId: session._id, expiresAt }
+  });
+
+  return { token, session, expiresAt };
+};
+
+// End an impersonation session and record who stopped it and why
+const endImpersonation = async (session, req, reason = 'stopped') => {
+  if (!session.revokedAt) {
+    await session.revoke(`impersonation-${reason}`);
+  }
+
+  await recordAudit({
+    action: 'impersonation.stopped',
+    actor: session.impersonatedBy,
+    targetUser: session.user,
+    req,
+    metadata: { sessionId: session._id, reason }
+  });
+};
+
+module.exports = {
+  IMPERSONATION_EXPIRE_MINUTES,
+  startImpersonation,
+  endImpersonation
+};
@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// OpenID Connect (authorization code flow with PKCE) client for institutional SSO
+const config = {
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  redirectUri: process.env.OIDC_REDIRECT_URI,
+  scopes: process.env.OIDC_SCOPES || 'openid email profile',
+  providerName: process.env.OIDC_PROVIDER_NAME || 'Institution Login',
+  // Claim names carrying app-specific attributes
+  claims: {
+    role: process.env.OIDC_ROLE_CLAIM || 'role',
+    department: process.env.OIDC_DEPARTMENT_CLAIM || 'department',
+    studentId: process.env.OIDC_STUDENT_ID_CLAIM || 'student_id',
+    course: process.env.OIDC_COURSE_CLAIM || 'course_code',
+    semester: process.env.OIDC_SEMESTER_CLAIM || 'semester'
+  }
+};
+
+// IdP role values -> app roles, e.g. "faculty:teacher,undergrad:student"
+// Admins are never provisioned from the IdP unless explicitly mapped
+const roleMapping = (process.env.OIDC_ROLE_MAPPING || 'student:student,teacher:teacher')
+  .split(',')
+  .map(pair => pair.split(':').map(part => part.trim()))
+  .filter(([from, to]) => from && to)
+  .reduce((mapping, [from, to]) => ({ ...mapping, [from.toLowerCase()]: to }), {});
+
+const STATE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const METADATA_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+let metadataCache = null;
+let metadataFetchedAt = 0;
+let jwksCache = {};
+
+const isEnabled = () => {
+  return !!(config.issuer && config.clientId && config.clientSecret && config.redirectUri);
+};
+
+// Base64url helper
+const base64url = (buffer) => {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+// Key used to encrypt the login state we round-trip through the IdP
+const stateKey = () => {
+  return crypto.createHash('sha256').update(`${process.env.JWT_SECRET}:oidc-state`).digest();
+};
+
+// Encrypt login state (nonce, PKCE verifier, return path) so it can travel in the `state` parameter
+// without exposing the PKCE verifier or needing server-side storage
+const sealState = (payload) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', stateKey(), iv);
+  const plaintext = JSON.stringify({ ...payload, exp: Date.now() + STATE_TTL_MS });
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return base64url(Buffer.concat([iv, cipher.getAuthTag(), ciphertext]));
+};
+
+// Decrypt login state; returns null if tampered with or expired
+const openState = (sealed) => {
+  try {
+    const raw = Buffer.from(String(sealed), 'base64');
+    const iv = raw.subarray(0, 12);
+    const tag = raw.subarray(12, 28);
+    const ciphertext = raw.subarray(28);
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', stateKey(), iv);
+    decipher.setAuthTag(tag);
+    const payload = JSON.parse(Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8'));
+
+    return payload.exp > Date.now() ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Fetch and cache the provider's discovery document
+const getMetadata = async () => {
+  if (metadataCache && Date.now() - metadataFetchedAt < METADATA_TTL_MS) {
+    return metadataCache;
+  }
+
+  const response = await fetch(`${config.issuer}/.well-known/openid-configuration`);
+  if (!response.ok) {
+    throw new Error(`OIDC discovery failed with status ${response.status}`);
+  }
+
+  metadataCache = await response.json();
+  metadataFetchedAt = Date.now();
+  jwksCache = {};
+  return metadataCache;
+};
+
+// Resolve the public key for an ID token, refetching the JWKS once for unknown key ids
+const getSigningKey = async (kid) => {
+  if (!jwksCache[kid]) {
+    const metadata = await getMetadata();
+    const response = await fetch(metadata.jwks_uri);
+    if (!response.ok) {
+      throw new Error(`OIDC JWKS fetch failed with status ${response.status}`);
+    }
+
+    const { keys } = await response.json();
+    jwksCache = keys.reduce((cache, jwk) => ({
+      ...cache,
+      [jwk.kid]: crypto.createPublicKey({ key: jwk, format: 'jwk' })
+    }), {});
+  }
+
+  if (!jwksCache[kid]) {
+    throw new Error('OIDC signing key not found');
+  }
+  return jwksCache[kid];
+};
+
+// Start a login: returns the IdP authorization URL to redirect the browser to, and the nonce the
+// caller must keep in that browser (a cookie) so the callback can tell it started the login
+const createAuthorizationRequest = async (returnTo = '/dashboard') => {
+  const metadata = await getMetadata();
+  const nonce = base64url(crypto.randomBytes(16));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state: sealState({ nonce, codeVerifier, returnTo }),
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return { url: `${metadata.authorization_endpoint}?${params.toString()}`, nonce };
+};
+
+// Finish a login: exchange the code and return the verified ID token claims plus the return path.
+// browserNonce is the nonce kept by the browser that started the login; a callback URL carried
+// to another browser (login CSRF) lacks it
+const handleCallback = async ({ code, state }, browserNonce) => {
+  const loginState = openState(state);
+  if (!loginState) {
+    throw new Error('Invalid or expired login state');
+  }
+
+  const expected = Buffer.from(loginState.nonce);
+  const actual = Buffer.from(String(browserNonce || ''));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('Login state does not belong to this browser');
+  }
+
+  const metadata = await getMetadata();
+  const credentials = Buffer.from(
+    `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`
+  ).toString('base64');
+
+  const response = await fetch(metadata.token_endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Authorization: `Basic ${credentials}`
+    },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: config.redirectUri,
+      code_verifier: loginState.codeVerifier
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`OIDC token exchange failed with status ${response.status}`);
+  }
+
+  const { id_token: idToken } = await response.json();
+  if (!idToken) {
+    throw new Error('OIDC token response did not include an ID token');
+  }
+
+  const { header } = jwt.decode(idToken, { complete: true }) || {};
+  if (!header) {
+    throw new Error('Malformed ID token');
+  }
+
+  const claims = jwt.verify(idToken, await getSigningKey(header.kid), {
+    algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512'],
+    issuer: metadata.issuer,
+    audience: config.clientId
+  });
+
+  if (claims.nonce !== loginState.nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return { claims, returnTo: loginState.returnTo };
+};
+
+// Map ID token claims onto User fields
+const mapClaimsToProfile = (claims) => {
+  const idpRole = claims[config.claims.role];
+  const role = roleMapping[String(Array.isArray(idpRole) ? idpRole[0] : idpRole || '').toLowerCase()] || 'student';
+
+  const nameParts = String(claims.name || '').trim().split(/\s+/);
+  const semester = parseInt(claims[config.claims.semester]);
+
+  return {
+    subject: claims.sub,
+    email: String(claims.email || '').toLowerCase(),
+    // Only trust the address when the IdP says it has verified it
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    firstName: claims.given_name || nameParts[0] || 'User',
+    lastName: claims.family_name || nameParts.slice(1).join(' ') || '-',
+    role,
+    department: claims[config.claims.department],
+    studentId: claims[config.claims.studentId],
+    courseCode: claims[config.claims.course],
+    semester: Number.isNaN(semester) ? undefined : semester
+  };
+};
+
+module.exports = {
+  STATE_TTL_MS,
+  isEnabled,
+  providerName: config.providerName,
+  createAuthorizationRequest,
+  handleCallback,
+  mapClaimsToProfile
+};
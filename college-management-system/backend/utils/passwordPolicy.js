@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+
+// Number of previous password hashes kept to prevent reuse
+const PASSWORD_HISTORY_SIZE = parseInt(process.env.PASSWORD_HISTORY_SIZE) || 5;
+
+// Password policy settings
+const policy = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+  // How many of the character classes (lowercase, uppercase, digit, symbol) must appear
+  requiredCharacterClasses: parseInt(process.env.PASSWORD_REQUIRED_CLASSES) || 3,
+  historySize: PASSWORD_HISTORY_SIZE
+};
+
+const CHARACTER_CLASSES = [
+  { name: 'lowercase letter', pattern: /[a-z]/ },
+  { name: 'uppercase letter', pattern: /[A-Z]/ },
+  { name: 'number', pattern: /\d/ },
+  { name: 'symbol', pattern: /[^a-zA-Z\d]/ }
+];
+
+// Personal details shorter than this are too common to forbid as substrings
+const MIN_PERSONAL_SUBSTRING_LENGTH = 3;
+
+// Load the bundled common/breached password list once
+const commonPasswords = new Set(
+  fs.readFileSync(path.join(__dirname, '..', 'data', 'common-passwords.txt'), 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim().toLowerCase())
+    .filter(line => line && !line.startsWith('#'))
+);
+
+// Check a candidate password against the policy
+// `user` supplies personal details (firstName, lastName, email) and, when loaded with
+// +password +passwordHistory, the hashes the new password must not reuse
+// Returns a list of violation messages; an empty list means the password is acceptable
+const validatePassword = async (password, user = {}) => {
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Password is required'];
+  }
+
+  if (password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters`);
+  }
+
+  const classCount = CHARACTER_CLASSES.filter(cls => cls.pattern.test(password)).length;
+  if (classCount < policy.requiredCharacterClasses) {
+    errors.push(
+      `Password must contain at least ${policy.requiredCharacterClasses} of: ` +
+      CHARACTER_CLASSES.map(cls => cls.name).join(', ')
+    );
+  }
+
+  const lowered = password.toLowerCase();
+  const emailLocalPart = (user.email || '').split('@')[0];
+  const personalDetails = [user.firstName, user.lastName, emailLocalPart]
+    .filter(value => value && value.length >= MIN_PERSONAL_SUBSTRING_LENGTH)
+    .map(value => value.toLowerCase());
+
+  if (personalDetails.some(value => lowered.includes(value))) {
+    errors.push('Password must not contain your name or email address');
+  }
+
+  if (commonPasswords.has(lowered)) {
+    errors.push('This password is too common or has appeared in a data breach');
+  }
+
+  // Reuse check needs the stored hashes
+  if (errors.length === 0) {
+    const previousHashes = [user.password, ...(user.passwordHistory || [])].filter(Boolean);
+    for (const hash of previousHashes) {
+      if (await bcrypt.compare(password, hash)) {
+        errors.push('Password must differ from your current and recent passwords');
+        break;
+      }
+    }
+  }
+
+  return errors;
+};
+
+// Public description of the policy (used by the frontend strength meter)
+const getPasswordPolicy = () => ({
+  minLength: policy.minLength,
+  requiredCharacterClasses: policy.requiredCharacterClasses,
+  characterClasses: CHARACTER_CLASSES.map(cls => cls.name),
+  historySize: policy.historySize,
+  disallowPersonalInfo: true,
+  disallowCommonPasswords: true
+});
+
+module.exports = {
+  PASSWORD_HISTORY_SIZE,
+  validatePassword,
+  getPasswordPolicy
+};
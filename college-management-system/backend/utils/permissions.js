@@ -0,0 +1,343 @@
+const RolePermission = require('../models/RolePermission');
+
+// Every permission the API checks, with a description for the admin UI
+// A role granted "<permission>:own" holds the permission only for resources it owns, and
+// "<permission>:department" only for resources belonging to the user's department
+const PERMISSIONS = {
+  'events:view_unpublished': 'View draft, cancelled and completed events',
+  'events:create': 'Create events',
+  'events:update': 'Edit events',
+  'events:delete': 'Delete events',
+  'events:publish': 'Publish events and notify their audience',
+  'events:register': 'Register for events',
+  'events:view_any_audience': 'See events whatever their audience (without it, only public events and those aimed at their role)',
+  'notes:create': 'Upload notes',
+  'notes:view_non_public': 'See notes that are not shared publicly (without it, only public notes)',
+  'notes:like': 'Like notes',
+  'notes:view_unapproved': 'View pending and rejected notes',
+  'notes:moderate': 'Approve or reject notes (own uploads are approved automatically)',
+  'notes:update': 'Edit notes',
+  'notes:delete': 'Delete notes',
+  'comments:create': 'Comment on notes',
+  'comments:delete': 'Delete note comments',
+  'courses:manage': 'Create, edit and delete courses and subjects',
+  'users:manage': 'View, edit and deactivate user accounts',
+  'users:impersonate': 'View the app as another user (read-only)',
+  'students:promote': 'Promote students to the next semester and graduate final-year students',
+  'idcards:verify': 'Verify scanned student ID cards',
+  'venues:manage': 'Create, edit and remove venues, and book a venue despite a clash',
+  'settings:manage': 'Change system settings',
+  'permissions:manage': 'Edit role permissions'
+};
+
+// Permissions that can be limited to a scope, by scope
+const SCOPED_PERMISSIONS = {
+  own: [
+    'events:update',
+    'events:delete',
+    'events:publish',
+    'notes:view_unapproved',
+    'notes:update',
+    'notes:delete',
+    'comments:delete'
+  ],
+  department: [
+    'events:view_unpublished',
+    'events:update',
+    'events:delete',
+    'events:publish',
+    'notes:view_unapproved',
+    'notes:moderate',
+    'notes:update',
+    'notes:delete',
+    'courses:manage',
+    'students:promote'
+  ]
+};
+
+// Permissions shared by the department-scoped roles
+const DEPARTMENT_STAFF_PERMISSIONS = [
+  'events:view_unpublished:department',
+  'events:view_any_audience',
+  'events:create',
+  'events:update:department',
+  'events:publish:department',
+  'notes:create',
+  'notes:view_non_public',
+  'notes:like',
+  'comments:create',
+  'notes:view_unapproved:department',
+  'notes:moderate:department',
+  'notes:update:department',
+  'notes:delete:own',
+  'comments:delete:own',
+  'courses:manage:department',
+  'idcards:verify'
+];
+
+// Initial permission sets, written to the database the first time they are needed
+const DEFAULT_ROLE_PERMISSIONS = {
+  student: [
+    'events:register',
+    'events:view_any_audience',
+    'notes:create',
+    'notes:view_non_public',
+    'notes:like',
+    'comments:create',
+    'notes:view_unapproved:own',
+    'notes:update:own',
+    'notes:delete:own',
+    'comments:delete:own'
+  ],
+  teacher: [
+    'events:view_unpublished',
+    'events:view_any_audience',
+    'events:create',
+    'events:update:own',
+    'events:delete:own',
+    'events:publish:own',
+    'notes:create',
+    'notes:view_unapproved',
+    'notes:moderate',
+    'notes:update',
+    'notes:delete:own',
+    'notes:view_non_public',
+    'notes:like',
+    'comments:create',
+    'comments:delete:own',
+    'idcards:verify'
+  ],
+  department_coordinator: DEPARTMENT_STAFF_PERMISSIONS,
+  hod: [
+    ...DEPARTMENT_STAFF_PERMISSIONS,
+    'events:delete:department',
+    'notes:delete:department',
+    'students:promote:department'
+  ].filter(permission => permission !== 'notes:delete:own'),
+  admin: Object.keys(PERMISSIONS).filter(permission => permission !== 'events:register'),
+  // Graduates browse public notes and events read-only, but can sign up for e.g. reunions
+  alumni: [
+    'events:register'
+  ],
+  // Parents see their linked students' events through guardian links; they can browse but
+  // not like or comment
+  guardian: [
+    'events:view_any_audience',
+    'notes:view_non_public'
+  ]
+};
+
+// Changes to the defaults after a role's set was first stored, applied once to stored sets in
+// version order. `grant` adds permissions; `restrict` replaces a wider grant with a scoped one.
+// Permissions an admin removed afterwards stay removed, because each version runs only once
+const PERMISSION_MIGRATIONS = [
+  {
+    version: 1,
+    // Teachers only manage their own events
+    restrict: {
+      teacher: {
+        'events:update': 'events:update:own',
+        'events:delete': 'events:delete:own',
+        'events:publish': 'events:publish:own'
+      }
+    }
+  },
+  {
+    version: 2,
+    grant: {
+      admin: ['users:impersonate']
+    }
+  },
+  {
+    version: 3,
+    grant: {
+      admin: ['students:promote'],
+      hod: ['students:promote:department']
+    }
+  },
+  {
+    version: 4,
+    grant: {
+      teacher: ['idcards:verify'],
+      department_coordinator: ['idcards:verify'],
+      hod: ['idcards:verify'],
+      admin: ['idcards:verify']
+    }
+  },
+  {
+    version: 5,
+    grant: {
+      admin: ['venues:manage']
+    }
+  },
+  {
+    version: 6,
+    // Browsing and note interactions used to be open to every role but alumni and guardians
+    grant: {
+      student: ['events:view_any_audience', 'notes:view_non_public', 'notes:like', 'comments:create'],
+      teacher: ['events:view_any_audience', 'notes:view_non_public', 'notes:like', 'comments:create'],
+      department_coordinator: ['events:view_any_audience', 'notes:view_non_public', 'notes:like', 'comments:create'],
+      hod: ['events:view_any_audience', 'notes:view_non_public', 'notes:like', 'comments:create'],
+      admin: ['events:view_any_audience', 'notes:view_non_public', 'notes:like', 'comments:create'],
+      guardian: ['events:view_any_audience', 'notes:view_non_public']
+    }
+  }
+];
+
+const DEFAULTS_VERSION = PERMISSION_MIGRATIONS[PERMISSION_MIGRATIONS.length - 1].version;
+
+// A role's stored permissions with the migrations after `fromVersion` applied
+const migratePermissions = (role, permissions, fromVersion) => {
+  return PERMISSION_MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .reduce((current, migration) => {
+      const restrictions = (migration.restrict && migration.restrict[role]) || {};
+      const restricted = current.map(permission => restrictions[permission] || permission);
+      const granted = (migration.grant && migration.grant[role]) || [];
+      return [...new Set([...restricted, ...granted])];
+    }, permissions);
+};
+
+// How long loaded role permissions are reused before hitting the DB again
+const CACHE_TTL_MS = 60 * 1000;
+
+let cachedPermissions = null;
+let cachedAt = 0;
+
+// Is this a permission string the API understands (optionally with a scope suffix)?
+const isKnownPermission = (permission) => {
+  if (PERMISSIONS[permission]) return true;
+
+  return Object.entries(SCOPED_PERMISSIONS).some(([scope, permissions]) => (
+    permission.endsWith(`:${scope}`) && permissions.includes(permission.slice(0, -scope.length - 1))
+  ));
+};
+
+// Load the role -> permissions map, bringing stored sets up to date with the defaults and
+// seeding defaults for roles without a stored set
+const getRolePermissions = async () => {
+  if (cachedPermissions && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedPermissions;
+  }
+
+  const stored = await RolePermission.find();
+  const permissionMap = {};
+
+  for (const entry of stored) {
+    const fromVersion = entry.defaultsVersion || 0;
+    if (fromVersion >= DEFAULTS_VERSION) {
+      permissionMap[entry.role] = entry.permissions;
+      continue;
+    }
+
+    const permissions = migratePermissions(entry.role, entry.permissions, fromVersion);
+    // Sets stored before versioning have no defaultsVersion; the filter skips sets another
+    // instance has migrated meanwhile
+    await RolePermission.updateOne(
+      { _id: entry._id, defaultsVersion: { $not: { $gte: DEFAULTS_VERSION } } },
+      { $set: { permissions, defaultsVersion: DEFAULTS_VERSION } }
+    );
+    permissionMap[entry.role] = permissions;
+  }
+
+  const missingRoles = Object.keys(DEFAULT_ROLE_PERMISSIONS).filter(role => !permissionMap[role]);
+  for (const role of missingRoles) {
+    await RolePermission.updateOne(
+      { role },
+      { $setOnInsert: { role, permissions: DEFAULT_ROLE_PERMISSIONS[role], defaultsVersion: DEFAULTS_VERSION } },
+      { upsert: true }
+    );
+    permissionMap[role] = DEFAULT_ROLE_PERMISSIONS[role];
+  }
+
+  cachedPermissions = permissionMap;
+  cachedAt = Date.now();
+  return permissionMap;
+};
+
+// Drop the cached map so the next check sees fresh values
+const clearPermissionCache = () => {
+  cachedPermissions = null;
+  cachedAt = 0;
+};
+
+// Owner of a resource, whichever field the model uses for it
+const getOwnerId = (resource) => {
+  const owner = resource.organizer || resource.uploadedBy || resource.user || resource.owner;
+  if (!owner) return null;
+  return (owner._id || owner).toString();
+};
+
+// Department a resource belongs to - its own field, or its course's when populated
+const getResourceDepartment = (resource) => {
+  const department = resource.department || (resource.course && resource.course.department);
+  return department ? String(department) : null;
+};
+
+// Departments are free text, so compare them loosely
+const sameDepartment = (a, b) => {
+  return !!(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+};
+
+// Query condition matching the departments sameDepartment() treats as `department`, so
+// department-scoped listings show what can() allows
+const departmentQuery = (department) => {
+  if (!department || !department.trim()) return { $in: [] };
+
+  const escaped = department.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return { $regex: `^\\s*${escaped}\\s*$`, $options: 'i' };
+};
+
+// Scopes in which a user's role holds a permission: ['any'] for unrestricted, otherwise any of
+// 'department' and 'own'; empty when the permission is not granted at all
+const getPermissionScopes = async (user, permission) => {
+  if (!user) return [];
+
+  const permissionMap = await getRolePermissions();
+  const granted = permissionMap[user.role] || [];
+
+  if (granted.includes(permission)) return ['any'];
+  return Object.keys(SCOPED_PERMISSIONS).filter(scope => granted.includes(`${permission}:${scope}`));
+};
+
+// Widest scope a user holds a permission in: 'any', 'department', 'own' or null
+const getPermissionScope = async (user, permission) => {
+  const scopes = await getPermissionScopes(user, permission);
+  return scopes[0] || null;
+};
+
+// Can `user` perform `permission`, optionally on a specific `resource` document?
+// Without a resource, a scoped grant is enough - the caller must re-check once the resource is loaded
+// Department checks need the resource's `department`, or its `course` populated with department
+const can = async (user, permission, resource) => {
+  const scopes = await getPermissionScopes(user, permission);
+
+  if (scopes.includes('any')) return true;
+  if (scopes.length === 0) return false;
+  if (!resource) return true;
+
+  if (scopes.includes('department') && sameDepartment(getResourceDepartment(resource), user.department)) {
+    return true;
+  }
+
+  return scopes.includes('own') && getOwnerId(resource) === (user.id || user._id).toString();
+};
+
+// Effective permission list for a user's role
+const getUserPermissions = async (user) => {
+  const permissionMap = await getRolePermissions();
+  return permissionMap[user.role] || [];
+};
+
+module.exports = {
+  PERMISSIONS,
+  SCOPED_PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  isKnownPermission,
+  getRolePermissions,
+  clearPermissionCache,
+  getUserPermissions,
+  getPermissionScope,
+  departmentQuery,
+  can
+};
@@ -0,0 +1,86 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Note = require('../models/Note');
+const Event = require('../models/Event');
+const GuardianLink = require('../models/GuardianLink');
+
+// Entries of a note's activity array left by one user
+const entriesBy = (entries, userId) => {
+  return entries.filter(entry => entry.user && entry.user.toString() === userId);
+};
+
+// Gather everything stored about a user into one JSON-serializable bundle
+const buildPersonalDataExport = async (userId) => {
+  const id = userId.toString();
+
+  const [
+    profile, sessions, uploadedNotes, activityNotes, registeredEvents, waitlistedEvents, organizedEvents, guardianLinks
+  ] = await Promise.all([
+    User.findById(id).populate('course', 'name code department').select('-password'),
+    Session.find({ user: id, impersonatedBy: null }).select('userAgent ipAddress createdAt lastSeenAt expiresAt revokedAt revokedReason'),
+    Note.find({ uploadedBy: id })
+      .populate('course', 'name code')
+      .select('-downloads -views -likes -comments'),
+    Note.find({
+      $or: [
+        { 'comments.user': id },
+        { 'likes.user': id },
+        { 'downloads.user': id },
+        { 'views.user': id }
+      ]
+    }).select('title comments likes downloads views'),
+    Event.find({ 'registeredUsers.user': id }).select('title startDate endDate venue registeredUsers'),
+    Event.find({ 'waitlist.user': id }).select('title startDate endDate venue +waitlist'),
+    Event.find({ organizer: id }).select('-registeredUsers'),
+    GuardianLink.find({ $or: [{ student: id }, { guardian: id }] })
+      .populate('student guardian', 'firstName lastName')
+      .select('-lastDigestSentAt')
+  ]);
+
+  // Activity on notes is flattened to one list per kind, each entry naming its note
+  const activity = (key, mapEntry) => activityNotes.flatMap(note => entriesBy(note[key], id).map(entry => ({
+    note: { id: note._id, title: note.title },
+    ...mapEntry(entry)
+  })));
+
+  return {
+    exportedAt: new Date(),
+    profile,
+    sessions,
+    uploadedNotes,
+    comments: activity('comments', entry => ({ text: entry.text, createdAt: entry.createdAt })),
+    likes: activity('likes', entry => ({ likedAt: entry.likedAt })),
+    downloads: activity('downloads', entry => ({ downloadedAt: entry.downloadedAt, ipAddress: entry.ipAddress })),
+    views: activity('views', entry => ({ viewedAt: entry.viewedAt, ipAddress: entry.ipAddress })),
+    eventRegistrations: registeredEvents.map(event => {
+      const [registration] = entriesBy(event.registeredUsers, id);
+      return {
+        event: {
+          id: event._id,
+          title: event.title,
+          startDate: event.startDate,
+          endDate: event.endDate,
+          venue: event.venue
+        },
+        registeredAt: registration.registeredAt,
+        checkedInAt: registration.checkedInAt
+      };
+    }),
+    waitlistEntries: waitlistedEvents.map(event => ({
+      event: {
+        id: event._id,
+        title: event.title,
+        startDate: event.startDate,
+        endDate: event.endDate,
+        venue: event.venue
+      },
+      joinedAt: entriesBy(event.waitlist, id)[0].joinedAt
+    })),
+    organizedEvents,
+    guardianLinks
+  };
+};
+
+module.exports = {
+  buildPersonalDataExport
+};
@@ -0,0 +1,82 @@
+const User = require('../models/User');
+const PromotionBatch = require('../models/PromotionBatch');
+
+// Students of a course who take part in a rollover
+const enrolledStudentFilter = (courseId) => ({
+  role: 'student',
+  course: courseId,
+  isActive: true,
+  academicStatus: { $ne: 'alumni' }
+});
+
+// Work out the semester change of every enrolled student in `course`, skipping `excludedIds`
+// Students in the course's final semester graduate instead of moving up
+const buildPromotionChanges = async (course, excludedIds = []) => {
+  const excluded = excludedIds.map(id => id.toString());
+
+  const students = await User.find(enrolledStudentFilter(course._id)).select('semester');
+
+  return students
+    .filter(student => student.semester && !excluded.includes(student._id.toString()))
+    .map(student => {
+      const graduates = student.semester >= course.totalSemesters;
+      return {
+        user: student._id,
+        fromSemester: student.semester,
+        toSemester: graduates ? undefined : student.semester + 1,
+        graduates
+      };
+    });
+};
+
+// Apply a previewed batch. Each student is only changed if still in the semester the preview saw,
+// so edits made in between are never overwritten. Each change's `applied` flag is stored as soon
+// as the student is updated, so a batch interrupted partway can still be rolled back
+const applyPromotionBatch = async (batch) => {
+  const now = new Date();
+
+  for (const [index, change] of batch.changes.entries()) {
+    const filter = {
+      _id: change.user,
+      role: 'student',
+      semester: change.fromSemester,
+      academicStatus: { $ne: 'alumni' }
+    };
+    const update = change.graduates
+      ? { role: 'alumni', academicStatus: 'alumni', graduatedAt: now }
+      : { semester: change.toSemester };
+
+    const result = await User.updateOne(filter, update);
+    change.applied = result.modifiedCount > 0;
+    if (change.applied) {
+      await PromotionBatch.updateOne({ _id: batch._id }, { $set: { [`changes.${index}.applied`]: true } });
+    }
+  }
+};
+
+// Undo an applied batch for the students it changed, again only where nothing moved on since
+const rollbackPromotionBatch = async (batch) => {
+  let reverted = 0;
+
+  for (const change of batch.changes.filter(entry => entry.applied)) {
+    const result = change.graduates
+      ? await User.updateOne(
+        { _id: change.user, role: 'alumni', academicStatus: 'alumni', semester: change.fromSemester },
+        { role: 'student', academicStatus: 'enrolled', $unset: { graduatedAt: '' } }
+      )
+      : await User.updateOne(
+        { _id: change.user, semester: change.toSemester },
+        { semester: change.fromSemester }
+      );
+
+    reverted += result.modifiedCount;
+  }
+
+  return reverted;
+};
+
+module.exports = {
+  buildPromotionChanges,
+  applyPromotionBatch,
+  rollbackPromotionBatch
+};
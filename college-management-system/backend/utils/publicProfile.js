@@ -0,0 +1,79 @@
+const Note = require('../models/Note');
+const Event = require('../models/Event');
+const { can } = require('./permissions');
+const { audienceFilter, noteVisibilityFilter } = require('./visibility');
+
+// Roles listed in the teacher directory and shown with office hours
+const STAFF_ROLES = ['teacher', 'hod', 'department_coordinator'];
+
+// How many contributed notes and organized events a profile lists
+const PROFILE_LIST_LIMIT = 10;
+
+// The parts of a user's profile `viewer` may see, following the user's privacy settings. `full`
+// (the user themselves, or a user manager) ignores the settings; listed notes and events are
+// still only those the viewer could open
+const buildPublicProfile = async (user, viewer, { full = false } = {}) => {
+  const privacy = user.privacySettings || {};
+
+  // Name, avatar and role are always visible so uploads and events can be attributed
+  const profile = {
+    _id: user._id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    avatar: user.avatar,
+    role: user.role
+  };
+
+  if (!full && privacy.profileVisibility === 'private') {
+    profile.isPrivate = true;
+    return profile;
+  }
+
+  profile.department = user.department;
+  profile.bio = user.bio;
+
+  if (STAFF_ROLES.includes(user.role)) {
+    profile.officeHours = user.officeHours;
+  }
+
+  if (full || privacy.showEmail) {
+    profile.email = user.email;
+  }
+
+  if (user.course && (full || privacy.showCourse)) {
+    profile.course = user.course;
+    if (user.role === 'student') profile.semester = user.semester;
+  }
+
+  if (full || privacy.showNotes) {
+    profile.notes = await Note.find({
+      uploadedBy: user._id,
+      status: 'approved',
+      isActive: true,
+      ...(await noteVisibilityFilter(viewer))
+    })
+      .populate('course', 'name code')
+      .select('title subject noteType course semester createdAt')
+      .sort({ createdAt: -1 })
+      .limit(PROFILE_LIST_LIMIT);
+  }
+
+  if (full || privacy.showEvents) {
+    const audience = await can(viewer, 'events:view_any_audience') ? {} : audienceFilter(viewer);
+    profile.events = await Event.find({ organizer: user._id, status: 'published', isActive: true, ...audience })
+      .select('title eventType startDate endDate venue')
+      .sort({ startDate: -1 })
+      .limit(PROFILE_LIST_LIMIT);
+  }
+
+  if (full) {
+    profile.privacySettings = user.privacySettings;
+  }
+
+  return profile;
+};
+
+module.exports = {
+  STAFF_ROLES,
+  buildPublicProfile
+};
@@ -0,0 +1,356 @@
+// Recurring events follow a subset of the iCalendar RRULE (RFC 5545): FREQ=DAILY/WEEKLY/MONTHLY
+// with INTERVAL, BYDAY (weekly only) and COUNT or UNTIL. The event's startDate/endDate describe
+// the first occurrence; all date arithmetic is in UTC.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_INTERVAL = 99;
+const MAX_COUNT = 730;
+
+// Most occurrences of one series returned for a single query window
+const MAX_OCCURRENCES_PER_SERIES = 500;
+
+// Guard against rules that never produce a date (should not happen with the supported subset)
+const MAX_PERIODS = 10000;
+
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) {
+    throw new Error('UNTIL must be YYYYMMDD or YYYYMMDDTHHMMSSZ');
+  }
+
+  const [, year, month, day, hours, minutes, seconds] = match;
+  // A date-only UNTIL includes the whole day
+  const until = hours === undefined
+    ? new Date(Date.UTC(year, month - 1, day, 23, 59, 59, 999))
+    : new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+
+  // Date.UTC rolls over out-of-range parts (20260231 becomes 3 March), so check they survived
+  const valid = until.getUTCFullYear() === Number(year) &&
+    until.getUTCMonth() === month - 1 &&
+    until.getUTCDate() === Number(day) &&
+    (hours === undefined || (
+      until.getUTCHours() === Number(hours) &&
+      until.getUTCMinutes() === Number(minutes) &&
+      until.getUTCSeconds() === Number(seconds)
+    ));
+  if (!valid) {
+    throw new Error('UNTIL is not a valid date');
+  }
+
+  return until;
+};
+
+const formatUntil = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Parse an RRULE string (with or without the "RRULE:" prefix); throws on anything unsupported
+const parseRecurrenceRule = (text) => {
+  const rule = { interval: 1 };
+  const parts = String(text || '').trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+  parts.forEach(part => {
+    const [rawKey, rawValue = ''] = part.split('=');
+    const key = rawKey.toUpperCase();
+    const value = rawValue.toUpperCase();
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) {
+          throw new Error('FREQ must be DAILY, WEEKLY or MONTHLY');
+        }
+        rule.frequency = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > MAX_INTERVAL) {
+          throw new Error(`INTERVAL must be between 1 and ${MAX_INTERVAL}`);
+        }
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',');
+        if (rule.byDay.some(day => !WEEKDAYS.includes(day))) {
+          throw new Error('BYDAY must list weekdays (MO, TU, WE, TH, FR, SA, SU)');
+        }
+        break;
+      case 'COUNT':
+        rule.count = Number(value);
+        if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_COUNT) {
+          throw new Error(`COUNT must be between 1 and ${MAX_COUNT}`);
+        }
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        break;
+      default:
+        throw new Error(`Unsupported recurrence rule part: ${key}`);
+    }
+  });
+
+  if (!rule.frequency) {
+    throw new Error('Recurrence rule needs a FREQ');
+  }
+  if (rule.count && rule.until) {
+    throw new Error('Recurrence rule cannot have both COUNT and UNTIL');
+  }
+  if (rule.byDay && rule.frequency !== 'WEEKLY') {
+    throw new Error('BYDAY is only supported with FREQ=WEEKLY');
+  }
+
+  return rule;
+};
+
+// Write a parsed rule back as a normalized RRULE string (without the "RRULE:" prefix)
+const formatRecurrenceRule = (rule) => {
+  const parts = [`FREQ=${rule.frequency}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay && rule.byDay.length > 0) {
+    const days = [...new Set(rule.byDay)].sort((a, b) => weekdayOffset(a) - weekdayOffset(b));
+    parts.push(`BYDAY=${days.join(',')}`);
+  }
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${formatUntil(rule.until)}`);
+  return parts.join(';');
+};
+
+const normalizeRecurrenceRule = (text) => formatRecurrenceRule(parseRecurrenceRule(text));
+
+// Days after Monday (weeks start on Monday, the RRULE default WKST)
+const weekdayOffset = (day) => (WEEKDAYS.indexOf(day) + 6) % 7;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Candidate start dates in the rule's n-th period (day, week or month), in order
+const periodStarts = (rule, dtstart, period) => {
+  const step = period * rule.interval;
+
+  if (rule.frequency === 'DAILY') {
+    return [addDays(dtstart, step)];
+  }
+
+  if (rule.frequency === 'WEEKLY') {
+    const weekStart = addDays(dtstart, -weekdayOffset(WEEKDAYS[dtstart.getUTCDay()]) + step * 7);
+    const days = rule.byDay || [WEEKDAYS[dtstart.getUTCDay()]];
+    return days
+      .map(day => addDays(weekStart, weekdayOffset(day)))
+      .sort((a, b) => a - b);
+  }
+
+  // MONTHLY: same day of the month; months without that day are skipped, as in RFC 5545
+  const monthIndex = dtstart.getUTCMonth() + step;
+  const year = dtstart.getUTCFullYear() + Math.floor(monthIndex / 12);
+  const month = ((monthIndex % 12) + 12) % 12;
+  const day = dtstart.getUTCDate();
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  if (day > daysInMonth) return [];
+
+  return [new Date(Date.UTC(
+    year, month, day,
+    dtstart.getUTCHours(), dtstart.getUTCMinutes(), dtstart.getUTCSeconds(), dtstart.getUTCMilliseconds()
+  ))];
+};
+
+// First period worth generating for a window starting at `from`. Rules with COUNT must be
+// walked from the beginning, since every earlier occurrence counts towards the limit
+const firstPeriodFor = (rule, dtstart, from) => {
+  if (rule.count || !from || from <= dtstart) return 0;
+
+  if (rule.frequency === 'MONTHLY') {
+    const months = (from.getUTCFullYear() - dtstart.getUTCFullYear()) * 12 + from.getUTCMonth() - dtstart.getUTCMonth();
+    return Math.max(0, Math.floor(months / rule.interval) - 1);
+  }
+
+  const periodDays = rule.frequency === 'WEEKLY' ? 7 : 1;
+  return Math.max(0, Math.floor((from - dtstart) / (periodDays * rule.interval * DAY_MS)) - 1);
+};
+
+// Every start date the rule produces from dtstart on, in order (exceptions not applied)
+function* generateStarts(rule, dtstart, from) {
+  let generated = 0;
+
+  for (let period = firstPeriodFor(rule, dtstart, from), checked = 0; checked < MAX_PERIODS; period++, checked++) {
+    for (const start of periodStarts(rule, dtstart, period)) {
+      if (start < dtstart) continue;
+      if (rule.until && start > rule.until) return;
+
+      yield start;
+      generated += 1;
+      if (rule.count && generated >= rule.count) return;
+    }
+  }
+}
+
+const exceptionSet = (event) => new Set((event.recurrenceExceptions || []).map(date => new Date(date).getTime()));
+
+// Start dates of a series' occurrences between from and to (inclusive), skipping exceptions
+const listOccurrenceStarts = (event, from, to) => {
+  const rule = parseRecurrenceRule(event.recurrenceRule);
+  const excluded = exceptionSet(event);
+  const starts = [];
+
+  for (const start of generateStarts(rule, event.startDate, from)) {
+    if (start > to) break;
+    if (start < from || excluded.has(start.getTime())) continue;
+
+    starts.push(start);
+    if (starts.length >= MAX_OCCURRENCES_PER_SERIES) break;
+  }
+
+  return starts;
+};
+
+// First start of a series' occurrences after `from`, skipping exceptions; null once the series is over
+const nextOccurrenceStart = (event, from) => {
+  const rule = parseRecurrenceRule(event.recurrenceRule);
+  const excluded = exceptionSet(event);
+
+  for (const start of generateStarts(rule, event.startDate, from)) {
+    if (start > from && !excluded.has(start.getTime())) return start;
+  }
+
+  return null;
+};
+
+// Expand a recurring event into one plain object per occurrence starting between from and to.
+// Occurrences keep the series' _id; occurrenceDate identifies one when editing it
+const expandOccurrences = (event, from, to) => {
+  const duration = event.endDate - event.startDate;
+  const base = event.toJSON();
+
+  return listOccurrenceStarts(event, from, to).map(start => ({
+    ...base,
+    startDate: start,
+    endDate: new Date(start.getTime() + duration),
+    occurrenceDate: start,
+    isOccurrence: true
+  }));
+};
+
+const isOccurrence = (event, date) => listOccurrenceStarts(event, date, date).length === 1;
+
+// Start of the first occurrence the rule produces, excepted or not; null if there is none
+const firstOccurrenceStart = (event) => {
+  return generateStarts(parseRecurrenceRule(event.recurrenceRule), event.startDate).next().value || null;
+};
+
+// Whether a series' startDate is its first occurrence, as DTSTART must be
+const startsOnOccurrence = (event) => {
+  const first = firstOccurrenceStart(event);
+  return !!first && first.getTime() === event.startDate.getTime();
+};
+
+// Whether the series has an occurrence before date; splitting it at the first one would leave
+// the original series with nothing (or, for COUNT, with no limit at all)
+const hasOccurrencesBefore = (event, date) => {
+  const first = firstOccurrenceStart(event);
+  return !!first && first < date;
+};
+
+// When the last occurrence ends, or null for a series without COUNT or UNTIL.
+// For UNTIL this is an upper bound, which is all range queries need
+const getSeriesEnd = (event) => {
+  const rule = parseRecurrenceRule(event.recurrenceRule);
+  const duration = event.endDate - event.startDate;
+
+  if (rule.until) {
+    return new Date(rule.until.getTime() + duration);
+  }
+
+  if (rule.count) {
+    let last = event.startDate;
+    for (const start of generateStarts(rule, event.startDate)) {
+      last = start;
+    }
+    return new Date(last.getTime() + duration);
+  }
+
+  return null;
+};
+
+// Field values for a new event copied from a series. Registrations and waitlist entries get new
+// ids, so tickets for the series don't name registrations of the copy, and start without
+// check-ins or place offers
+const copySeriesFields = (series) => {
+  const data = series.toObject();
+  delete data._id;
+  delete data.__v;
+  delete data.createdAt;
+  delete data.updatedAt;
+
+  data.registeredUsers = (data.registeredUsers || []).map(({ user, registeredAt }) => ({ user, registeredAt }));
+  if (data.waitlist) {
+    data.waitlist = data.waitlist.map(({ user, joinedAt }) => ({ user, joinedAt }));
+  }
+  return data;
+};
+
+// Take one occurrence out of a series as a standalone event that can be edited on its own.
+// The series gets an exception for it; neither document is saved
+const detachOccurrence = (series, occurrenceDate) => {
+  const duration = series.endDate - series.startDate;
+
+  const occurrence = new series.constructor({
+    ...copySeriesFields(series),
+    startDate: occurrenceDate,
+    endDate: new Date(occurrenceDate.getTime() + duration),
+    recurrenceRule: undefined,
+    recurrenceExceptions: [],
+    recurringEventId: series._id,
+    originalStartDate: occurrenceDate
+  });
+
+  series.recurrenceExceptions.push(occurrenceDate);
+
+  return occurrence;
+};
+
+// End a series before occurrenceDate and continue it as a new series from there, so the
+// following occurrences can be edited together. Neither document is saved
+const splitSeries = (series, occurrenceDate) => {
+  const rule = parseRecurrenceRule(series.recurrenceRule);
+  const duration = series.endDate - series.startDate;
+  const followingRule = { ...rule };
+
+  if (rule.count) {
+    let before = 0;
+    for (const start of generateStarts(rule, series.startDate)) {
+      if (start >= occurrenceDate) break;
+      before += 1;
+    }
+    rule.count = before;
+    followingRule.count -= before;
+  } else {
+    rule.until = new Date(occurrenceDate.getTime() - 1000);
+  }
+
+  const exceptions = series.recurrenceExceptions.map(date => new Date(date));
+
+  const following = new series.constructor({
+    ...copySeriesFields(series),
+    startDate: occurrenceDate,
+    endDate: new Date(occurrenceDate.getTime() + duration),
+    recurrenceRule: formatRecurrenceRule(followingRule),
+    recurrenceExceptions: exceptions.filter(date => date >= occurrenceDate)
+  });
+
+  series.recurrenceRule = formatRecurrenceRule(rule);
+  series.recurrenceExceptions = exceptions.filter(date => date < occurrenceDate);
+
+  return following;
+};
+
+module.exports = {
+  parseRecurrenceRule,
+  formatRecurrenceRule,
+  normalizeRecurrenceRule,
+  listOccurrenceStarts,
+  nextOccurrenceStart,
+  expandOccurrences,
+  isOccurrence,
+  startsOnOccurrence,
+  hasOccurrencesBefore,
+  getSeriesEnd,
+  detachOccurrence,
+  splitSeries
+};
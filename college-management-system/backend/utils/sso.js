@@ -0,0 +1,96 @@
+const User = require('../models/User');
+const Course = require('../models/Course');
+const { recordAudit } = require('./audit');
+
+// Attributes kept in sync with the identity provider on every SSO login
+const applyProfileAttributes = async (user, profile) => {
+  if (profile.department) {
+    user.department = profile.department;
+  }
+
+  if (user.role === 'student') {
+    if (profile.studentId) {
+      user.studentId = profile.studentId;
+    }
+    if (profile.semester) {
+      user.semester = profile.semester;
+    }
+    if (profile.courseCode) {
+      const course = await Course.findOne({ code: String(profile.courseCode).toUpperCase() });
+      if (course) {
+        user.course = course._id;
+      }
+    }
+  }
+};
+
+// Find the user for an IdP identity, linking by email or provisioning a new account as needed
+// Returns { user } on success or { error } with a message safe to show the user
+const resolveSsoUser = async (provider, profile, req) => {
+  if (!profile.subject || !profile.email) {
+    return { error: 'Your identity provider did not share an email address' };
+  }
+
+  let user = await User.findOne({
+    ssoIdentities: { $elemMatch: { provider, subject: profile.subject } }
+  });
+  let action = 'sso.login';
+
+  if (!user) {
+    // Linking by email is only safe when the IdP vouches for the address
+    if (!profile.emailVerified) {
+      return { error: 'Your identity provider has not verified your email address' };
+    }
+
+    user = await User.findOne({ email: profile.email });
+
+    if (user) {
+      user.ssoIdentities.push({ provider, subject: profile.subject });
+      action = 'sso.linked';
+    } else {
+      user = new User({
+        firstName: profile.firstName,
+        lastName: profile.lastName,
+        email: profile.email,
+        role: profile.role,
+        ssoIdentities: [{ provider, subject: profile.subject }]
+      });
+      action = 'sso.provisioned';
+    }
+  }
+
+  if (!user.isActive) {
+    return { error: 'Account has been deactivated' };
+  }
+
+  await applyProfileAttributes(user, profile);
+
+  // The IdP has already verified this address, so no OTP round-trip is needed
+  if (profile.emailVerified && user.email === profile.email) {
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+  }
+
+  try {
+    await user.save();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return { error: 'Your identity provider did not supply the details needed to create your account' };
+    }
+    throw error;
+  }
+
+  await recordAudit({
+    action,
+    targetUser: user._id,
+    req,
+    metadata: { provider, subject: profile.subject }
+  });
+
+  return { user };
+};
+
+module.exports = {
+  resolveSsoUser
+};
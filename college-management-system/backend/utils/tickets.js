@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+const TICKET_PREFIX = 'CMSTKT1';
+
+// Tickets are only ever checked by this server, so an HMAC is enough. Without
+// EVENT_TICKET_SECRET the key is derived from JWT_SECRET
+const getTicketKey = () => crypto
+  .createHmac('sha256', process.env.EVENT_TICKET_SECRET || process.env.JWT_SECRET)
+  .update('event-tickets')
+  .digest();
+
+const sign = (data) => crypto.createHmac('sha256', getTicketKey()).update(data).digest('base64url');
+
+// The string in a registration's QR code: CMSTKT1.<base64url JSON claims>.<base64url HMAC>.
+// It names the registration rather than the user, so unregistering invalidates it
+const signTicket = (event, registration) => {
+  const claims = {
+    eid: event._id.toString(),
+    rid: registration._id.toString(),
+    uid: (registration.user._id || registration.user).toString(),
+    iat: Math.floor(Date.now() / 1000)
+  };
+
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${TICKET_PREFIX}.${payload}.${sign(`${TICKET_PREFIX}.${payload}`)}`;
+};
+
+// Check a scanned ticket's signature. Returns { valid, reason, claims }; whether the registration
+// still exists is up to the caller
+const verifyTicket = (token) => {
+  const parts = typeof token === 'string' ? token.trim().split('.') : [];
+  if (parts.length !== 3 || parts[0] !== TICKET_PREFIX) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const expected = Buffer.from(sign(`${TICKET_PREFIX}.${parts[1]}`));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: 'invalid-signature' };
+  }
+
+  try {
+    return { valid: true, claims: JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')) };
+  } catch (error) {
+    return { valid: false, reason: 'malformed' };
+  }
+};
+
+const buildTicketQr = (token) => QRCode.toDataURL(token, { errorCorrectionLevel: 'M', margin: 1, width: 300 });
+
+module.exports = {
+  signTicket,
+  verifyTicket,
+  buildTicketQr
+};
@@ -0,0 +1,146 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const { generateToken } = require('./email');
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+// Hash a token before it is stored or looked up
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// A plain hash of a 6-digit OTP is reversed by trying all million codes, so OTPs are stored as
+// an HMAC keyed with OTP_SECRET (derived from JWT_SECRET when unset)
+const getOtpKey = () => crypto
+  .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+  .update('otp-digests')
+  .digest();
+
+const hashOTP = (otp) => crypto.createHmac('sha256', getOtpKey()).update(String(otp)).digest('hex');
+
+// Compare a presented OTP against a stored digest in constant time
+const matchesOTP = (otp, storedHash) => {
+  if (!otp || !storedHash) return false;
+
+  const candidate = Buffer.from(hashOTP(otp), 'hex');
+  const expected = Buffer.from(storedHash, 'hex');
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+};
+
+// Generate short-lived access token bound to a session
+const generateAccessToken = (user, session) => {
+  return jwt.sign(
+    { id: user._id, role: user.role, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRE }
+  );
+};
+
+// Generate short-lived token proving the password step of a 2FA login succeeded
+const generateTwoFactorChallenge = (user) => {
+  return jwt.sign(
+    { id: user._id, purpose: 'two-factor' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
+// Verify a 2FA challenge token; returns the user id or null
+const verifyTwoFactorChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return decoded.purpose === 'two-factor' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const refreshExpiryDate = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Create a new session and issue its first token pair
+const createSession = async (user, req) => {
+  const refreshToken = generateToken();
+
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.get('user-agent') || '',
+    ipAddress: req.ip,
+    expiresAt: refreshExpiryDate()
+  });
+  await session.save();
+
+  return {
+    session,
+    accessToken: generateAccessToken(user, session),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new token pair, rotating the refresh token
+// Returns null when the token is unknown, expired, revoked or has been reused
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await Session.findOne({ refreshTokenHash: tokenHash })
+    .populate('user');
+
+  if (!session) {
+    // A rotated-out token is being replayed: kill the whole session
+    const reused = await Session.findOne({ previousRefreshTokenHash: tokenHash, revokedAt: null });
+    if (reused) {
+      await reused.revoke('refresh-token-reuse');
+    }
+    return null;
+  }
+
+  if (!session.isValid || !session.user || !session.user.isActive) {
+    return null;
+  }
+
+  const newRefreshToken = generateToken();
+  session.previousRefreshTokenHash = tokenHash;
+  session.refreshTokenHash = hashToken(newRefreshToken);
+  session.expiresAt = refreshExpiryDate();
+  session.lastSeenAt = new Date();
+  session.ipAddress = req.ip;
+  await session.save();
+
+  return {
+    session,
+    user: session.user,
+    accessToken: generateAccessToken(session.user, session),
+    refreshToken: newRefreshToken
+  };
+};
+
+// Revoke every live session of a user, optionally keeping one (e.g. the caller's)
+const revokeUserSessions = async (userId, reason, exceptSessionId) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason
+  });
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  hashToken,
+  hashOTP,
+  matchesOTP,
+  generateAccessToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  createSession,
+  rotateSession,
+  revokeUserSessions
+};
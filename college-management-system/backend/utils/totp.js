@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+
+// RFC 6238 defaults understood by every authenticator app
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30;
+const TOTP_WINDOW = 1; // accept one step of clock drift either way
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Encode a buffer as RFC 4648 base32 (no padding)
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Decode an RFC 4648 base32 string into a buffer
+const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Generate a new base32 TOTP secret (160 bits, as recommended by RFC 4226)
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+// Compute the HOTP value for a counter
+const generateHOTP = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+  return code.toString().padStart(TOTP_DIGITS, '0');
+};
+
+// Current time step
+const currentStep = (time = Date.now()) => {
+  return Math.floor(time / 1000 / TOTP_PERIOD);
+};
+
+// Generate the TOTP code for a point in time
+const generateTOTP = (secret, time = Date.now()) => {
+  return generateHOTP(secret, currentStep(time));
+};
+
+// Verify a TOTP code; returns the matched time step, or null if the code is invalid
+// Pass the last accepted step to reject replays of an already-used code
+const verifyTOTP = (secret, code, lastUsedStep = -1) => {
+  if (!secret || !/^\d{6}$/.test(String(code || ''))) {
+    return null;
+  }
+
+  const step = currentStep();
+  const candidate = Buffer.from(String(code));
+
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const testStep = step + drift;
+    if (testStep <= lastUsedStep) continue;
+
+    const expected = Buffer.from(generateHOTP(secret, testStep));
+    if (crypto.timingSafeEqual(expected, candidate)) {
+      return testStep;
+    }
+  }
+
+  return null;
+};
+
+// Build the otpauth:// URI scanned by authenticator apps
+const buildOtpauthUri = (secret, accountName, issuer = process.env.TOTP_ISSUER || 'College Management System') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  // Encode spaces as %20 rather than "+" - some authenticator apps show the plus signs literally
+  const params = [
+    `secret=${secret}`,
+    `issuer=${encodeURIComponent(issuer)}`,
+    'algorithm=SHA1',
+    `digits=${TOTP_DIGITS}`,
+    `period=${TOTP_PERIOD}`
+  ];
+
+  return `otpauth://totp/${label}?${params.join('&')}`;
+};
+
+// Generate human-friendly single-use recovery codes (e.g. "a1b2c-d3e4f")
+const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+};
+
+// Normalize a recovery code before hashing so spacing, dashes and case don't matter
+const normalizeRecoveryCode = (code) => {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+};
+
+module.exports = {
+  generateSecret,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+};
@@ -75,6 +75,17 @@ const documentFilter = (req, file, cb) => {
   }
 };
 
+// File filter for CSV imports (browsers report CSV under several MIME types)
+const csvFilter = (req, file, cb) => {
+  const allowedTypes = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'];
+
+  if (allowedTypes.includes(file.mimetype) || file.originalname.toLowerCase().endsWith('.csv')) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only CSV files are allowed!'), false);
+  }
+};
+
 // Multer configurations
 const uploadProfile = multer({
   storage: profileStorage,
@@ -102,6 +113,16 @@ const uploadDocuments = multer({
   }
 });
 
+// CSV imports are parsed in memory and never stored
+const uploadCsv = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: csvFilter,
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB limit
+    files: 1
+  }
+});
+
 // Delete file from Cloudinary
 const deleteFile = async (publicId) => {
   try {
@@ -138,6 +159,7 @@ module.exports = {
   uploadProfile,
   uploadEventImages,
   uploadDocuments,
+  uploadCsv,
   deleteFile,
   getFileDetails,
   generateSecureUrl
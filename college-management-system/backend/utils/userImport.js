@@ -0,0 +1,160 @@
+const User = require('../models/User');
+const Course = require('../models/Course');
+const { generateToken, sendInvitationEmail } = require('./email');
+const { hashToken } = require('./tokens');
+const { recordAudit } = require('./audit');
+
+const INVITATION_EXPIRE_DAYS = parseInt(process.env.INVITATION_EXPIRE_DAYS) || 7;
+const MAX_IMPORT_ROWS = 1000;
+
+// Columns an import file must have; role, studentId, course code, semester and department are optional
+const REQUIRED_COLUMNS = ['firstname', 'lastname', 'email'];
+
+// Administrators are never created in bulk
+const IMPORTABLE_ROLES = User.schema.path('role').enumValues.filter(role => role !== 'admin');
+
+// Give a user a fresh invitation link and email it; returns whether the email went out
+const sendInvitation = async (user) => {
+  const token = generateToken();
+  user.invitationToken = hashToken(token);
+  user.invitationExpires = new Date(Date.now() + INVITATION_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+  await user.save();
+
+  const invitationUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/accept-invitation/${token}`;
+  const result = await sendInvitationEmail(user.email, user.firstName, invitationUrl, INVITATION_EXPIRE_DAYS);
+  return result.success;
+};
+
+// An imported account whose invitation ran out before it was accepted
+const hasExpiredInvitation = (user) => {
+  return !!user.invitedAt && !user.invitationAcceptedAt &&
+    (!user.invitationExpires || user.invitationExpires < new Date());
+};
+
+// Validate parsed CSV records and, unless `dryRun`, create invited accounts for the valid ones
+// Re-uploading a file is safe: rows whose email already has an account are reported, not duplicated
+const importUsers = async (records, { dryRun, invitedBy, req }) => {
+  const emails = records.map(record => (record.email || '').toLowerCase()).filter(Boolean);
+  const studentIds = records.map(record => record.studentid).filter(Boolean);
+  const courseCodes = records
+    .map(record => (record.coursecode || record.course || '').toUpperCase())
+    .filter(Boolean);
+
+  const [existingUsers, studentIdOwners, courses] = await Promise.all([
+    User.find({ email: { $in: emails } }),
+    User.find({ studentId: { $in: studentIds } }).select('email studentId'),
+    Course.find({ code: { $in: courseCodes }, isActive: true })
+  ]);
+
+  const usersByEmail = new Map(existingUsers.map(user => [user.email, user]));
+  const studentIdOwnerEmails = new Map(studentIdOwners.map(user => [user.studentId, user.email]));
+  const coursesByCode = new Map(courses.map(course => [course.code, course]));
+  const seenEmails = new Map();
+  const seenStudentIds = new Map();
+
+  const rows = [];
+
+  for (const [index, record] of records.entries()) {
+    // Row numbers match the spreadsheet: the header is row 1
+    const rowNumber = index + 2;
+    const email = (record.email || '').toLowerCase();
+    const row = { row: rowNumber, email, status: 'created', errors: [] };
+    rows.push(row);
+
+    if (email && seenEmails.has(email)) {
+      row.status = 'invalid';
+      row.errors.push(`Duplicate email, already used in row ${seenEmails.get(email)}`);
+      continue;
+    }
+    seenEmails.set(email, rowNumber);
+
+    const existing = usersByEmail.get(email);
+    if (existing) {
+      row.status = hasExpiredInvitation(existing) ? 'reinvited' : 'exists';
+      if (row.status === 'reinvited' && !dryRun) {
+        row.emailSent = await sendInvitation(existing);
+      }
+      continue;
+    }
+
+    const role = (record.role || 'student').toLowerCase();
+    if (!IMPORTABLE_ROLES.includes(role)) {
+      row.errors.push(`Role must be one of: ${IMPORTABLE_ROLES.join(', ')}`);
+    }
+
+    const courseCode = (record.coursecode || record.course || '').toUpperCase();
+    const course = courseCode ? coursesByCode.get(courseCode) : null;
+    if (courseCode && !course) {
+      row.errors.push(`Unknown course code ${courseCode}`);
+    }
+
+    const studentId = record.studentid || undefined;
+    if (studentId) {
+      const owner = studentIdOwnerEmails.get(studentId);
+      if (owner && owner !== email) {
+        row.errors.push(`Student ID ${studentId} belongs to another account`);
+      } else if (seenStudentIds.has(studentId)) {
+        row.errors.push(`Duplicate student ID, already used in row ${seenStudentIds.get(studentId)}`);
+      }
+      seenStudentIds.set(studentId, rowNumber);
+    }
+
+    const user = new User({
+      firstName: record.firstname,
+      lastName: record.lastname,
+      email,
+      role,
+      studentId,
+      course: course ? course._id : undefined,
+      semester: record.semester ? Number(record.semester) : undefined,
+      department: record.department || (course ? course.department : undefined),
+      invitedAt: new Date(),
+      invitedBy
+    });
+
+    // Run the schema's own validators so the report matches what saving would reject
+    // (role was already checked above, with a friendlier message)
+    const validationError = user.validateSync();
+    if (validationError) {
+      Object.values(validationError.errors)
+        .filter(error => error.path !== 'role')
+        .forEach(error => row.errors.push(error.message));
+    }
+
+    if (row.errors.length > 0) {
+      row.status = 'invalid';
+      continue;
+    }
+
+    if (!dryRun) {
+      try {
+        row.emailSent = await sendInvitation(user);
+      } catch (error) {
+        row.status = 'invalid';
+        row.errors.push(error.code === 11000 ? 'Email or student ID already in use' : error.message);
+      }
+    }
+  }
+
+  const summary = rows.reduce((counts, row) => ({
+    ...counts,
+    [row.status]: (counts[row.status] || 0) + 1
+  }), { total: rows.length, created: 0, exists: 0, reinvited: 0, invalid: 0 });
+
+  if (!dryRun) {
+    await recordAudit({
+      action: 'users.imported',
+      actor: invitedBy,
+      req,
+      metadata: summary
+    });
+  }
+
+  return { dryRun, summary, rows };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  REQUIRED_COLUMNS,
+  importUsers
+};
@@ -0,0 +1,167 @@
+const Event = require('../models/Event');
+const { listOccurrenceStarts, getSeriesEnd } = require('./recurrence');
+
+// Room bookings are compared on a wall-clock timeline: an occurrence's calendar days come from
+// startDate/endDate (in UTC, like recurrence expansion) and its times of day from
+// startTime/endTime. Events without times hold the room for whole days.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far ahead an open-ended series is checked for clashes
+const CONFLICT_HORIZON_DAYS = 365;
+
+// Most clashing events reported per venue
+const MAX_CONFLICTS = 20;
+
+// Fields needed to place an event's occurrences and describe it as a booking
+const BOOKING_FIELDS = 'title eventType status startDate endDate startTime endTime bookedVenue recurrenceRule recurrenceExceptions organizer department';
+
+const dayStart = (date) => {
+  const value = new Date(date);
+  return Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate());
+};
+
+const minutesOf = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Start and end of one occurrence on the wall-clock timeline, in ms
+const bookingSpan = (event, startDate, endDate) => {
+  if (!event.startTime || !event.endTime) {
+    return { start: dayStart(startDate), end: dayStart(endDate) + DAY_MS };
+  }
+  return {
+    start: dayStart(startDate) + minutesOf(event.startTime) * 60 * 1000,
+    end: dayStart(endDate) + minutesOf(event.endTime) * 60 * 1000
+  };
+};
+
+// Occurrences of an event, with their spans; a series only yields those starting between from and to
+const occurrencesOf = (event, from, to) => {
+  const duration = event.endDate - event.startDate;
+  const starts = event.recurrenceRule ? listOccurrenceStarts(event, from, to) : [event.startDate];
+
+  return starts.map(start => {
+    const startDate = new Date(start);
+    const endDate = new Date(startDate.getTime() + duration);
+    return {
+      startDate,
+      endDate,
+      occurrenceDate: event.recurrenceRule ? startDate : null,
+      ...bookingSpan(event, startDate, endDate)
+    };
+  });
+};
+
+const holdsVenue = (event) => event.isActive !== false && event.status !== 'cancelled' && !!event.bookedVenue;
+
+// Occurrences of events booked into any of venueIds that overlap the timeline window [from, to).
+// `others` are unsaved versions of events that replace what is stored for them
+const findBookings = async (venueIds, from, to, { ignore = [], others = [] } = {}) => {
+  const excluded = [...ignore, ...others.map(event => event._id)].filter(Boolean);
+  const venueKeys = venueIds.map(String);
+
+  const stored = await Event.find({
+    _id: { $nin: excluded },
+    bookedVenue: { $in: venueIds },
+    isActive: true,
+    status: { $ne: 'cancelled' },
+    startDate: { $lte: new Date(to) },
+    $or: [
+      { recurrenceRule: null, endDate: { $gte: new Date(from - DAY_MS) } },
+      { recurrenceRule: { $ne: null }, $or: [{ recurrenceEnd: null }, { recurrenceEnd: { $gte: new Date(from - DAY_MS) } }] }
+    ]
+  })
+    .select(BOOKING_FIELDS)
+    .lean();
+
+  const events = [
+    ...stored,
+    ...others.filter(event => holdsVenue(event) && venueKeys.includes(String(event.bookedVenue)))
+  ];
+
+  return events.flatMap(event => {
+    // Reach back far enough to catch an occurrence that started earlier and is still running
+    const reach = new Date(from - (event.endDate - event.startDate) - DAY_MS);
+    return occurrencesOf(event, reach, new Date(to))
+      .filter(occurrence => occurrence.start < to && occurrence.end > from)
+      .map(occurrence => ({ event, ...occurrence }));
+  }).sort((a, b) => a.start - b.start);
+};
+
+// Occurrences of a candidate booking worth checking: all of them for a single event or a
+// bounded series, otherwise those in the next CONFLICT_HORIZON_DAYS. Past occurrences are skipped
+const candidateOccurrences = (event) => {
+  if (!event.recurrenceRule) {
+    return occurrencesOf(event);
+  }
+
+  const from = new Date(Math.max(event.startDate.getTime(), Date.now() - DAY_MS));
+  const to = getSeriesEnd(event) || new Date(from.getTime() + CONFLICT_HORIZON_DAYS * DAY_MS);
+  return occurrencesOf(event, from, to);
+};
+
+// Does a booking overlap any of the candidate's occurrences? They share one duration, so
+// their ends are sorted like their starts
+const overlapsAny = (occurrences, booking) => {
+  let low = 0;
+  let high = occurrences.length;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (occurrences[middle].end <= booking.start) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low < occurrences.length && occurrences[low].start < booking.end;
+};
+
+// Bookings that clash with `event` (saved or not) in its venue, or in each of `venueIds` when
+// looking for a free room. The first clash of each event is reported
+const findBookingConflicts = async (event, { venueIds = [event.bookedVenue], others = [] } = {}) => {
+  const occurrences = candidateOccurrences(event);
+  if (occurrences.length === 0 || venueIds.length === 0) return [];
+
+  const from = occurrences[0].start;
+  const to = Math.max(...occurrences.map(occurrence => occurrence.end));
+  const bookings = await findBookings(venueIds, from, to, { ignore: [event._id], others });
+
+  const conflicts = [];
+  const seen = new Set();
+  const perVenue = {};
+  bookings.forEach(booking => {
+    const venue = String(booking.event.bookedVenue);
+    const key = String(booking.event._id);
+    if (seen.has(key) || (perVenue[venue] || 0) >= MAX_CONFLICTS) return;
+
+    if (overlapsAny(occurrences, booking)) {
+      seen.add(key);
+      perVenue[venue] = (perVenue[venue] || 0) + 1;
+      conflicts.push(booking);
+    }
+  });
+
+  return conflicts;
+};
+
+// Public shape of a booking; `showDetails` is false for events the viewer may not see
+const describeBooking = (booking, showDetails) => ({
+  event: booking.event._id,
+  venue: booking.event.bookedVenue,
+  title: showDetails ? booking.event.title : 'Reserved',
+  eventType: showDetails ? booking.event.eventType : undefined,
+  status: booking.event.status,
+  startDate: booking.startDate,
+  endDate: booking.endDate,
+  startTime: booking.event.startTime,
+  endTime: booking.event.endTime,
+  occurrenceDate: booking.occurrenceDate
+});
+
+module.exports = {
+  findBookings,
+  findBookingConflicts,
+  describeBooking
+};
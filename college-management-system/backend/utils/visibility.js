@@ -0,0 +1,38 @@
+const { can } = require('./permissions');
+
+// Without events:view_any_audience (e.g. alumni) users only see events open to everyone and
+// those aimed at their role
+const audienceFilter = (user) => ({
+  $or: [{ 'targetAudience.isPublic': true }, { 'targetAudience.roles': user.role }]
+});
+
+const canSeeAudience = async (user, event) => {
+  return event.targetAudience.isPublic ||
+    event.targetAudience.roles.includes(user.role) ||
+    await can(user, 'events:view_any_audience');
+};
+
+// Conditions on the notes a user may see: without notes:view_non_public (e.g. alumni) only
+// publicly shared notes, and students only their own course and semester's besides those
+const noteVisibilityFilter = async (user) => {
+  if (!(await can(user, 'notes:view_non_public'))) {
+    return { visibility: 'public' };
+  }
+
+  if (user.role === 'student') {
+    return {
+      $or: [
+        { course: user.course, semester: user.semester },
+        { visibility: 'public' }
+      ]
+    };
+  }
+
+  return {};
+};
+
+module.exports = {
+  audienceFilter,
+  canSeeAudience,
+  noteVisibilityFilter
+};
@@ -0,0 +1,128 @@
+const Event = require('../models/Event');
+const User = require('../models/User');
+const { sendWaitlistOfferEmail } = require('./email');
+const { nextOccurrenceStart } = require('./recurrence');
+
+// How long a freed place is held for the person it is offered to
+const WAITLIST_CONFIRM_HOURS = parseInt(process.env.WAITLIST_CONFIRM_HOURS) || 24;
+const WAITLIST_JOB_INTERVAL_MS = (parseInt(process.env.WAITLIST_JOB_INTERVAL_MINUTES) || 15) * 60 * 1000;
+
+const hasActiveOffer = (entry, now = new Date()) => !!entry.offerExpiresAt && entry.offerExpiresAt > now;
+
+const findEntry = (event, userId) => event.waitlist.find(entry => entry.user.toString() === userId.toString());
+
+// Places taken by registrations and by offers still waiting for an answer
+const heldPlaces = (event, now = new Date()) => {
+  return event.registeredUsers.length + event.waitlist.filter(entry => hasActiveOffer(entry, now)).length;
+};
+
+// 1-based place in the queue among those not yet offered a place (0 while holding an offer)
+const getWaitlistPosition = (event, userId, now = new Date()) => {
+  const entry = findEntry(event, userId);
+  if (!entry) return null;
+  if (hasActiveOffer(entry, now)) return 0;
+
+  return event.waitlist.filter(other => !other.offerExpiresAt).indexOf(entry) + 1;
+};
+
+// Whether a freed place could still be offered: a one-off event until it begins, a series
+// (whose registrations cover every occurrence) until its last occurrence begins
+const canStillOffer = (event, now = new Date()) => {
+  if (!event.isActive || event.status !== 'published') return false;
+  if (!event.recurrenceRule) return event.startDate > now;
+
+  return nextOccurrenceStart(event, now) !== null;
+};
+
+// Drop lapsed offers and offer free places to the next people in line. The event (loaded with
+// +waitlist) is changed but not saved; the entries offered a place are returned for notifyOffers
+const offerFreePlaces = (event, now = new Date()) => {
+  const lapsed = event.waitlist.filter(entry => entry.offerExpiresAt && entry.offerExpiresAt <= now);
+  lapsed.forEach(entry => event.waitlist.pull(entry._id));
+
+  // Nothing more to hand out once the event is off or has begun
+  if (!canStillOffer(event, now)) return [];
+
+  const free = event.maxParticipants ? event.maxParticipants - heldPlaces(event, now) : Infinity;
+  const offered = event.waitlist
+    .filter(entry => !entry.offerExpiresAt)
+    .slice(0, Math.max(0, free));
+
+  offered.forEach(entry => {
+    entry.offeredAt = now;
+    entry.offerExpiresAt = new Date(now.getTime() + WAITLIST_CONFIRM_HOURS * 60 * 60 * 1000);
+  });
+
+  return offered;
+};
+
+// Email everyone just offered a place; failures are logged and the offer still stands
+const notifyOffers = async (event, entries) => {
+  if (entries.length === 0) return;
+
+  const users = await User.find({ _id: { $in: entries.map(entry => entry.user) }, isActive: true })
+    .select('email firstName');
+  const eventUrl = `${process.env.FRONTEND_URL}/events/${event._id}`;
+
+  await Promise.all(entries.map(async entry => {
+    const user = users.find(candidate => candidate._id.equals(entry.user));
+    if (!user) return;
+
+    const result = await sendWaitlistOfferEmail(user.email, user.firstName, event, eventUrl, entry.offerExpiresAt);
+    if (!result.success) {
+      console.error(`Waitlist offer email failed for user ${user._id}:`, result.error);
+    }
+  }));
+};
+
+// Reload an event with its waitlist and hand out any free places
+const promoteFromWaitlist = async (eventId) => {
+  const event = await Event.findById(eventId).select('+waitlist');
+  if (!event || event.waitlist.length === 0) return [];
+
+  const offered = offerFreePlaces(event);
+  if (event.isModified('waitlist')) {
+    await event.save();
+  }
+  await notifyOffers(event, offered);
+  return offered;
+};
+
+// Pass lapsed offers on to the next in line
+const processLapsedOffers = async () => {
+  const events = await Event.find({
+    isActive: true,
+    status: 'published',
+    'waitlist.offerExpiresAt': { $lte: new Date() }
+  }).select('_id');
+
+  let offered = 0;
+  for (const { _id } of events) {
+    try {
+      offered += (await promoteFromWaitlist(_id)).length;
+    } catch (error) {
+      console.error(`Waitlist promotion error for event ${_id}:`, error);
+    }
+  }
+
+  return offered;
+};
+
+// Run the waitlist job now and then periodically; called once the server starts
+const startWaitlistJob = () => {
+  const run = () => processLapsedOffers().catch(error => console.error('Waitlist job error:', error));
+  run();
+  return setInterval(run, WAITLIST_JOB_INTERVAL_MS);
+};
+
+module.exports = {
+  hasActiveOffer,
+  findEntry,
+  heldPlaces,
+  getWaitlistPosition,
+  canStillOffer,
+  offerFreePlaces,
+  notifyOffers,
+  promoteFromWaitlist,
+  startWaitlistJob
+};
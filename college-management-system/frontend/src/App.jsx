@@ -18,18 +18,34 @@ import HomePage from './pages/Home/HomePage';
 import LoginPage from './pages/Auth/LoginPage';
 import RegisterPage from './pages/Auth/RegisterPage';
 import VerifyEmailPage from './pages/Auth/VerifyEmailPage';
+import TwoFactorSetupPage from './pages/Auth/TwoFactorSetupPage';
 import ForgotPasswordPage from './pages/Auth/ForgotPasswordPage';
 import ResetPasswordPage from './pages/Auth/ResetPasswordPage';
+import UnlockAccountPage from './pages/Auth/UnlockAccountPage';
+import RevertEmailPage from './pages/Auth/RevertEmailPage';
+import SsoCallbackPage from './pages/Auth/SsoCallbackPage';
+import MagicLinkPage from './pages/Auth/MagicLinkPage';
+import AcceptInvitationPage from './pages/Auth/AcceptInvitationPage';
+import GuardianInvitationPage from './pages/Auth/GuardianInvitationPage';
 import DashboardPage from './pages/Dashboard/DashboardPage';
 import ProfilePage from './pages/Profile/ProfilePage';
 import EventsPage from './pages/Events/EventsPage';
 import EventDetailPage from './pages/Events/EventDetailPage';
 import CreateEventPage from './pages/Events/CreateEventPage';
+import CheckInPage from './pages/Events/CheckInPage';
+import EventTicketPage from './pages/Events/EventTicketPage';
 import NotesPage from './pages/Notes/NotesPage';
 import NoteDetailPage from './pages/Notes/NoteDetailPage';
 import CreateNotePage from './pages/Notes/CreateNotePage';
 import CoursesPage from './pages/Courses/CoursesPage';
 import CourseDetailPage from './pages/Courses/CourseDetailPage';
+import AlumniDirectoryPage from './pages/Alumni/AlumniDirectoryPage';
+import GuardiansPage from './pages/Guardians/GuardiansPage';
+import IdCardPage from './pages/IdCard/IdCardPage';
+import VerifyIdCardPage from './pages/IdCard/VerifyIdCardPage';
+import VenuesPage from './pages/Venues/VenuesPage';
+import PublicProfilePage from './pages/Profile/PublicProfilePage';
+import TeacherDirectoryPage from './pages/Directory/TeacherDirectoryPage';
 import AdminPage from './pages/Admin/AdminPage';
 import NotFoundPage from './pages/NotFound/NotFoundPage';
 
@@ -59,8 +75,22 @@ function App() {
                 <Route path="/verify-email" element={<VerifyEmailPage />} />
                 <Route path="/forgot-password" element={<ForgotPasswordPage />} />
                 <Route path="/reset-password/:token" element={<ResetPasswordPage />} />
+                <Route path="/unlock-account/:token" element={<UnlockAccountPage />} />
+                <Route path="/revert-email/:token" element={<RevertEmailPage />} />
+                <Route path="/sso/callback" element={<SsoCallbackPage />} />
+                <Route path="/magic-link/:token" element={<MagicLinkPage />} />
+                <Route path="/accept-invitation/:token" element={<AcceptInvitationPage />} />
+                <Route path="/guardian-invitation/:token" element={<GuardianInvitationPage />} />
                 
                 {/* Protected Routes */}
+                <Route
+                  path="/two-factor-setup"
+                  element={
+                    <ProtectedRoute>
+                      <TwoFactorSetupPage />
+                    </ProtectedRoute>
+                  }
+                />
                 <Route
                   path="/dashboard"
                   element={
@@ -102,13 +132,33 @@ function App() {
                 <Route
                   path="/events/create"
                   element={
-                    <ProtectedRoute roles={['teacher', 'admin']}>
+                    <ProtectedRoute roles={['teacher', 'hod', 'department_coordinator', 'admin']}>
                       <Layout>
                         <CreateEventPage />
                       </Layout>
                     </ProtectedRoute>
                   }
                 />
+                <Route
+                  path="/events/:id/check-in"
+                  element={
+                    <ProtectedRoute roles={['teacher', 'hod', 'department_coordinator', 'admin']}>
+                      <Layout>
+                        <CheckInPage />
+                      </Layout>
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/events/:id/ticket"
+                  element={
+                    <ProtectedRoute roles={['student', 'alumni']}>
+                      <Layout>
+                        <EventTicketPage />
+                      </Layout>
+                    </ProtectedRoute>
+                  }
+                />
                 
                 {/* Notes Routes */}
                 <Route
@@ -156,6 +206,86 @@ function App() {
                   }
                 />
                 
+                {/* Directory Routes */}
+                <Route
+                  path="/users/:id"
+                  element={
+                    <ProtectedRoute>
+                      <Layout>
+                        <PublicProfilePage />
+                      </Layout>
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/teachers"
+                  element={
+                    <ProtectedRoute>
+                      <Layout>
+                        <TeacherDirectoryPage />
+                      </Layout>
+                    </ProtectedRoute>
+                  }
+                />
+                
+                {/* Alumni Routes */}
+                <Route
+                  path="/alumni"
+                  element={
+                    <ProtectedRoute>
+                      <Layout>
+                        <AlumniDirectoryPage />
+                      </Layout>
+                    </ProtectedRoute>
+                  }
+                />
+                
+                {/* Guardian Routes */}
+                <Route
+                  path="/guardians"
+                  element={
+                    <ProtectedRoute roles={['student', 'guardian']}>
+                      <Layout>
+                        <GuardiansPage />
+                      </Layout>
+                    </ProtectedRoute>
+                  }
+                />
+                
+                {/* ID Card Routes */}
+                <Route
+                  path="/id-card"
+                  element={
+                    <ProtectedRoute roles={['student']}>
+                      <Layout>
+                        <IdCardPage />
+                      </Layout>
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/id-cards/verify"
+                  element={
+                    <ProtectedRoute roles={['teacher', 'hod', 'department_coordinator', 'admin']}>
+                      <Layout>
+                        <VerifyIdCardPage />
+                      </Layout>
+                    </ProtectedRoute>
+                  }
+                />
+
+                {/* Venue Routes */}
+                <Route
+                  path="/venues"
+                  element={
+                    <ProtectedRoute roles={['teacher', 'hod', 'department_coordinator', 'admin']}>
+                      <Layout>
+                        <VenuesPage />
+                      </Layout>
+                    </ProtectedRoute>
+                  }
+                />
+                
                 {/* Admin Routes */}
                 <Route
                   path="/admin/*"
@@ -0,0 +1,97 @@
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../UI/LoadingSpinner';
+
+const DeletionRequestsPanel = () => {
+  const { api, user: currentUser } = useAuth();
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadRequests = async () => {
+    try {
+      const response = await api.get('/users/deletion-requests');
+      setRequests(response.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load deletion requests');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadRequests();
+  }, []);
+
+  const handleApprove = async (request) => {
+    if (!window.confirm(`Permanently anonymize ${request.firstName} ${request.lastName}'s account after the grace period?`)) {
+      return;
+    }
+
+    try {
+      const response = await api.post(`/users/${request._id}/deletion/approve`);
+      toast.success(response.data.message);
+      loadRequests();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to approve deletion');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner text="Loading deletion requests..." />;
+  }
+
+  return (
+    <div className="card p-6 space-y-4">
+      <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Account deletion requests</h2>
+
+      {requests.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No pending requests.</p>
+      ) : (
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 dark:text-gray-400">
+              <th className="px-3 py-2">User</th>
+              <th className="px-3 py-2">Requested</th>
+              <th className="px-3 py-2">Grace period ends</th>
+              <th className="px-3 py-2" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+            {requests.map(request => (
+              <tr key={request._id}>
+                <td className="px-3 py-2">
+                  <div className="text-gray-900 dark:text-white">{request.firstName} {request.lastName}</div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">{request.email}</div>
+                </td>
+                <td className="px-3 py-2 text-gray-600 dark:text-gray-400">
+                  {new Date(request.deletionRequestedAt).toLocaleDateString()}
+                </td>
+                <td className="px-3 py-2 text-gray-600 dark:text-gray-400">
+                  {new Date(request.deletionScheduledFor).toLocaleDateString()}
+                </td>
+                <td className="px-3 py-2 text-right">
+                  {request.deletionApprovedAt ? (
+                    <span className="text-xs text-gray-500 dark:text-gray-400">
+                      Approved by {request.deletionApprovedBy?.firstName} {request.deletionApprovedBy?.lastName}
+                    </span>
+                  ) : request._id !== currentUser?._id && (
+                    <button
+                      type="button"
+                      className="btn-secondary py-1 text-red-600"
+                      onClick={() => handleApprove(request)}
+                    >
+                      Approve
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default DeletionRequestsPanel;
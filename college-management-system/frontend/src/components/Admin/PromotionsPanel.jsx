@@ -0,0 +1,261 @@
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../UI/LoadingSpinner';
+
+const STATUS_LABELS = {
+  preview: 'Preview',
+  applied: 'Applied',
+  rolled_back: 'Rolled back',
+};
+
+const PromotionsPanel = () => {
+  const { api } = useAuth();
+  const [courses, setCourses] = useState([]);
+  const [courseId, setCourseId] = useState('');
+  const [academicYear, setAcademicYear] = useState('');
+  const [excluded, setExcluded] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [batches, setBatches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadBatches = async () => {
+    try {
+      const response = await api.get('/promotions');
+      setBatches(response.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load promotion history');
+    }
+  };
+
+  useEffect(() => {
+    Promise.all([
+      api.get('/courses', { params: { limit: 50 } }).then(response => setCourses(response.data.data.courses)),
+      loadBatches(),
+    ])
+      .catch(() => toast.error('Failed to load courses'))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const runPreview = async () => {
+    if (!courseId) {
+      toast.error('Choose a course first');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await api.post('/promotions/preview', {
+        course: courseId,
+        academicYear: academicYear || undefined,
+        excludedUsers: excluded,
+      });
+      setPreview(response.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to preview promotion');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const toggleExcluded = (userId) => {
+    setExcluded(excluded.includes(userId)
+      ? excluded.filter(id => id !== userId)
+      : [...excluded, userId]);
+  };
+
+  const handleApply = async () => {
+    if (!window.confirm('Apply this promotion to every listed student?')) return;
+
+    setSubmitting(true);
+    try {
+      const response = await api.post(`/promotions/${preview._id}/apply`);
+      toast.success(response.data.message);
+      setPreview(null);
+      setExcluded([]);
+      loadBatches();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to apply promotion');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRollback = async (batch) => {
+    if (!window.confirm(`Roll back the ${batch.course?.code} promotion?`)) return;
+
+    try {
+      const response = await api.post(`/promotions/${batch._id}/rollback`);
+      toast.success(response.data.message);
+      loadBatches();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to roll back promotion');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner text="Loading promotions..." />;
+  }
+
+  // Ticking a student only takes effect once the preview is regenerated
+  const exclusionsChanged = preview && (
+    excluded.length !== preview.excludedUsers.length
+    || excluded.some(id => !preview.excludedUsers.some(user => user._id === id))
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="card p-6 space-y-4">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Semester rollover</h2>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            className="input"
+            value={courseId}
+            onChange={(e) => {
+              setCourseId(e.target.value);
+              setExcluded([]);
+              setPreview(null);
+            }}
+          >
+            <option value="">Select a course</option>
+            {courses.map(course => (
+              <option key={course._id} value={course._id}>{course.code} - {course.name}</option>
+            ))}
+          </select>
+          <input
+            className="input"
+            placeholder="Academic year (e.g. 2026-27)"
+            value={academicYear}
+            onChange={(e) => setAcademicYear(e.target.value)}
+          />
+          <button
+            type="button"
+            className="btn-secondary"
+            disabled={submitting}
+            onClick={runPreview}
+          >
+            {preview ? 'Update preview' : 'Preview'}
+          </button>
+        </div>
+
+        {preview && (
+          <div className="space-y-3">
+            <p className="text-sm text-gray-700 dark:text-gray-300">
+              {preview.summary.promoted} to promote, {preview.summary.graduated} graduating,
+              {' '}{preview.summary.excluded} excluded
+            </p>
+
+            <div className="max-h-96 overflow-y-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 dark:text-gray-400">
+                    <th className="px-3 py-2">Exclude</th>
+                    <th className="px-3 py-2">Student</th>
+                    <th className="px-3 py-2">Change</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                  {preview.changes.map(change => (
+                    <tr key={change.user._id}>
+                      <td className="px-3 py-2">
+                        <input
+                          type="checkbox"
+                          className="h-4 w-4 text-primary-600 rounded"
+                          checked={excluded.includes(change.user._id)}
+                          onChange={() => toggleExcluded(change.user._id)}
+                        />
+                      </td>
+                      <td className="px-3 py-2 text-gray-900 dark:text-white">
+                        {change.user.firstName} {change.user.lastName}
+                        <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">{change.user.studentId}</span>
+                      </td>
+                      <td className="px-3 py-2 text-gray-600 dark:text-gray-400">
+                        Semester {change.fromSemester} → {change.graduates ? 'Alumni' : `Semester ${change.toSemester}`}
+                      </td>
+                    </tr>
+                  ))}
+                  {preview.excludedUsers.map(user => (
+                    <tr key={user._id} className="opacity-60">
+                      <td className="px-3 py-2">
+                        <input
+                          type="checkbox"
+                          className="h-4 w-4 text-primary-600 rounded"
+                          checked={excluded.includes(user._id)}
+                          onChange={() => toggleExcluded(user._id)}
+                        />
+                      </td>
+                      <td className="px-3 py-2 text-gray-900 dark:text-white">{user.firstName} {user.lastName}</td>
+                      <td className="px-3 py-2 text-gray-600 dark:text-gray-400">Held back</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <button
+              type="button"
+              className="btn-primary"
+              disabled={submitting || exclusionsChanged}
+              onClick={handleApply}
+            >
+              Apply promotion
+            </button>
+            {exclusionsChanged && (
+              <p className="text-xs text-gray-500 dark:text-gray-400">Update the preview to apply your exclusions.</p>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="card p-6 space-y-4">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">History</h2>
+
+        {batches.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">No promotions yet.</p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 dark:text-gray-400">
+                <th className="px-3 py-2">Course</th>
+                <th className="px-3 py-2">Academic year</th>
+                <th className="px-3 py-2">Status</th>
+                <th className="px-3 py-2">Students</th>
+                <th className="px-3 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {batches.map(batch => (
+                <tr key={batch._id}>
+                  <td className="px-3 py-2 text-gray-900 dark:text-white">{batch.course?.code}</td>
+                  <td className="px-3 py-2 text-gray-600 dark:text-gray-400">{batch.academicYear || '-'}</td>
+                  <td className="px-3 py-2 text-gray-600 dark:text-gray-400">
+                    {STATUS_LABELS[batch.status]}
+                    {batch.appliedAt && ` ${new Date(batch.appliedAt).toLocaleDateString()}`}
+                  </td>
+                  <td className="px-3 py-2 text-gray-600 dark:text-gray-400">
+                    {batch.summary.promoted} promoted, {batch.summary.graduated} graduated
+                  </td>
+                  <td className="px-3 py-2 text-right">
+                    {batch.status === 'applied' && (
+                      <button
+                        type="button"
+                        className="btn-secondary py-1"
+                        onClick={() => handleRollback(batch)}
+                      >
+                        Roll back
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PromotionsPanel;
@@ -0,0 +1,151 @@
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../UI/LoadingSpinner';
+
+// Scope suffixes a permission can be granted with, narrowest last
+const SCOPES = ['department', 'own'];
+
+const SCOPE_LABELS = { own: 'Own', department: 'Department' };
+
+// Access level of one role for one permission: '', 'own', 'department' or 'any'
+const getLevel = (permissions, name) => {
+  if (permissions.includes(name)) return 'any';
+  return SCOPES.find(scope => permissions.includes(`${name}:${scope}`)) || '';
+};
+
+const setLevel = (permissions, name, level) => {
+  const rest = permissions.filter(p => p !== name && !SCOPES.some(scope => p === `${name}:${scope}`));
+  if (level === 'any') return [...rest, name];
+  if (SCOPES.includes(level)) return [...rest, `${name}:${level}`];
+  return rest;
+};
+
+const RolePermissionsEditor = () => {
+  const { api } = useAuth();
+  const [catalog, setCatalog] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [savedRoles, setSavedRoles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    api.get('/permissions')
+      .then((response) => {
+        setCatalog(response.data.data.permissions);
+        setRoles(response.data.data.roles);
+        setSavedRoles(response.data.data.roles);
+      })
+      .catch((error) => {
+        toast.error(error.response?.data?.message || 'Failed to load permissions');
+      })
+      .finally(() => setLoading(false));
+  }, [api]);
+
+  const handleChange = (role, name, level) => {
+    setRoles(prev => prev.map(entry => (
+      entry.role === role
+        ? { ...entry, permissions: setLevel(entry.permissions, name, level) }
+        : entry
+    )));
+  };
+
+  const changedRoles = roles.filter((entry) => {
+    const saved = savedRoles.find(s => s.role === entry.role);
+    return [...entry.permissions].sort().join() !== [...saved.permissions].sort().join();
+  });
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      for (const entry of changedRoles) {
+        await api.put(`/permissions/roles/${entry.role}`, { permissions: entry.permissions });
+      }
+      setSavedRoles(roles);
+      toast.success('Role permissions updated');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update permissions');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner text="Loading permissions..." />;
+  }
+
+  return (
+    <div className="card p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Role permissions</h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Changes apply to every user with the role within a minute.
+          </p>
+        </div>
+        <button
+          type="button"
+          className="btn-primary"
+          disabled={saving || changedRoles.length === 0}
+          onClick={handleSave}
+        >
+          {saving ? <LoadingSpinner size="sm" color="white" /> : 'Save changes'}
+        </button>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+          <thead>
+            <tr>
+              <th className="px-3 py-2 text-left font-medium text-gray-700 dark:text-gray-300">Permission</th>
+              {roles.map(entry => (
+                <th key={entry.role} className="px-3 py-2 text-center font-medium text-gray-700 dark:text-gray-300 capitalize">
+                  {entry.role}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 dark:divide-gray-800">
+            {catalog.map(permission => (
+              <tr key={permission.name}>
+                <td className="px-3 py-2">
+                  <div className="font-mono text-gray-900 dark:text-white">{permission.name}</div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">{permission.description}</div>
+                </td>
+                {roles.map(entry => {
+                  const level = getLevel(entry.permissions, permission.name);
+                  return (
+                    <td key={entry.role} className="px-3 py-2 text-center">
+                      {permission.scopes.length > 0 ? (
+                        <select
+                          className="input py-1"
+                          value={level}
+                          onChange={(e) => handleChange(entry.role, permission.name, e.target.value)}
+                        >
+                          <option value="">None</option>
+                          {['own', 'department'].filter(scope => permission.scopes.includes(scope)).map(scope => (
+                            <option key={scope} value={scope}>{SCOPE_LABELS[scope]}</option>
+                          ))}
+                          <option value="any">All</option>
+                        </select>
+                      ) : (
+                        <input
+                          type="checkbox"
+                          className="h-4 w-4 text-primary-600 rounded"
+                          checked={level === 'any'}
+                          onChange={(e) => handleChange(entry.role, permission.name, e.target.checked ? 'any' : '')}
+                        />
+                      )}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default RolePermissionsEditor;
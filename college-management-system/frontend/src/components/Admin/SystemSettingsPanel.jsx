@@ -0,0 +1,90 @@
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../UI/LoadingSpinner';
+
+const ROLES = ['student', 'teacher', 'hod', 'department_coordinator', 'admin', 'alumni', 'guardian'];
+
+const SystemSettingsPanel = () => {
+  const { api } = useAuth();
+  const [settings, setSettings] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    api.get('/settings')
+      .then((response) => setSettings(response.data.data))
+      .catch((error) => {
+        toast.error(error.response?.data?.message || 'Failed to load settings');
+      });
+  }, [api]);
+
+  const toggleTwoFactorRole = (role) => {
+    setSettings(prev => ({
+      ...prev,
+      twoFactorRequiredRoles: prev.twoFactorRequiredRoles.includes(role)
+        ? prev.twoFactorRequiredRoles.filter(r => r !== role)
+        : [...prev.twoFactorRequiredRoles, role],
+    }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await api.put('/settings', {
+        twoFactorRequiredRoles: settings.twoFactorRequiredRoles,
+        magicLinkEnabled: settings.magicLinkEnabled,
+      });
+      setSettings(response.data.data);
+      toast.success('Settings saved');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!settings) {
+    return <LoadingSpinner text="Loading settings..." />;
+  }
+
+  return (
+    <div className="card p-6 space-y-6">
+      <h2 className="text-lg font-semibold text-gray-900 dark:text-white">System settings</h2>
+
+      <div>
+        <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300">Require two-factor authentication for</h3>
+        <div className="mt-2 flex flex-wrap gap-4">
+          {ROLES.map(role => (
+            <label key={role} className="flex items-center text-sm text-gray-700 dark:text-gray-300 capitalize">
+              <input
+                type="checkbox"
+                className="h-4 w-4 text-primary-600 rounded mr-2"
+                checked={settings.twoFactorRequiredRoles.includes(role)}
+                onChange={() => toggleTwoFactorRole(role)}
+              />
+              {role.replace('_', ' ')}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <label className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+        <input
+          type="checkbox"
+          className="h-4 w-4 text-primary-600 rounded mr-2"
+          checked={settings.magicLinkEnabled}
+          onChange={(e) => setSettings(prev => ({ ...prev, magicLinkEnabled: e.target.checked }))}
+        />
+        Allow passwordless sign-in with emailed links
+      </label>
+
+      <div>
+        <button type="button" className="btn-primary" disabled={saving} onClick={handleSave}>
+          {saving ? <LoadingSpinner size="sm" color="white" /> : 'Save settings'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SystemSettingsPanel;
@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { ArrowUpTrayIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+
+const STATUS_STYLES = {
+  created: 'text-green-600 dark:text-green-400',
+  reinvited: 'text-blue-600 dark:text-blue-400',
+  exists: 'text-gray-500 dark:text-gray-400',
+  invalid: 'text-red-600 dark:text-red-400',
+};
+
+const UserImportPanel = ({ onImported }) => {
+  const { api } = useAuth();
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const runImport = async (dryRun) => {
+    if (!file) {
+      toast.error('Choose a CSV file first');
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append('file', file);
+
+    setSubmitting(true);
+    try {
+      const response = await api.post('/users/import', formData, { params: { dryRun } });
+      setReport(response.data.data);
+      toast.success(response.data.message);
+      if (!dryRun) {
+        onImported?.();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Import failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="border border-gray-200 dark:border-gray-700 rounded-lg p-4 space-y-4">
+      <div>
+        <h3 className="text-sm font-medium text-gray-900 dark:text-white">Import users from CSV</h3>
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Columns: firstName, lastName, email, role, studentId, course code, semester, department.
+          Imported users receive an invitation email to choose their password.
+        </p>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="file"
+          accept=".csv,text/csv"
+          className="text-sm text-gray-700 dark:text-gray-300"
+          onChange={(e) => {
+            setFile(e.target.files[0] || null);
+            setReport(null);
+          }}
+        />
+        <button
+          type="button"
+          className="btn-secondary"
+          disabled={submitting}
+          onClick={() => runImport(true)}
+        >
+          Validate (dry run)
+        </button>
+        <button
+          type="button"
+          className="btn-primary flex items-center"
+          disabled={submitting || !report || !report.dryRun}
+          onClick={() => runImport(false)}
+        >
+          <ArrowUpTrayIcon className="h-4 w-4 mr-1" />
+          Import
+        </button>
+      </div>
+
+      {report && (
+        <div className="space-y-2">
+          <p className="text-sm text-gray-700 dark:text-gray-300">
+            {report.dryRun ? 'Dry run: ' : ''}
+            {report.summary.created} new, {report.summary.reinvited} re-invited,
+            {' '}{report.summary.exists} already registered, {report.summary.invalid} with errors
+            {' '}({report.summary.total} rows)
+          </p>
+
+          <div className="max-h-64 overflow-y-auto">
+            <table className="min-w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-500 dark:text-gray-400">
+                  <th className="px-2 py-1">Row</th>
+                  <th className="px-2 py-1">Email</th>
+                  <th className="px-2 py-1">Status</th>
+                  <th className="px-2 py-1">Errors</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.rows.map(row => (
+                  <tr key={row.row}>
+                    <td className="px-2 py-1 text-gray-700 dark:text-gray-300">{row.row}</td>
+                    <td className="px-2 py-1 text-gray-700 dark:text-gray-300">{row.email}</td>
+                    <td className={`px-2 py-1 capitalize ${STATUS_STYLES[row.status]}`}>{row.status}</td>
+                    <td className="px-2 py-1 text-red-600 dark:text-red-400">{row.errors.join('; ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UserImportPanel;
@@ -0,0 +1,177 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { ArrowDownTrayIcon, ArrowUpTrayIcon, EyeIcon, MagnifyingGlassIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../UI/LoadingSpinner';
+import UserImportPanel from './UserImportPanel';
+import { saveResponseAsFile } from '../../utils/download';
+
+const UserManagementPanel = () => {
+  const { api, user: currentUser, startImpersonation } = useAuth();
+  const navigate = useNavigate();
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [showImport, setShowImport] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const loadUsers = async () => {
+      setLoading(true);
+      try {
+        const response = await api.get('/users', { params: { page, search: search || undefined } });
+        setUsers(response.data.data.users);
+        setPagination(response.data.data.pagination);
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to load users');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadUsers();
+  }, [api, page, search, reloadKey]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setSearch(new FormData(e.target).get('search').trim());
+  };
+
+  // Export every user matching the current search, not just this page
+  const handleExport = async (format) => {
+    try {
+      const response = await api.get('/users/export', {
+        params: { format, search: search || undefined },
+        responseType: 'blob',
+      });
+      saveResponseAsFile(response, `users.${format}`);
+    } catch (error) {
+      toast.error('Failed to export users');
+    }
+  };
+
+  const handleViewAs = async (userId) => {
+    const result = await startImpersonation(userId);
+    if (result.success) {
+      navigate('/dashboard');
+    }
+  };
+
+  return (
+    <div className="card p-6 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Users</h2>
+
+        <form onSubmit={handleSearch} className="flex flex-wrap items-center gap-2">
+          <input
+            name="search"
+            type="search"
+            className="input"
+            placeholder="Name, email or student ID"
+            defaultValue={search}
+          />
+          <button type="submit" className="btn-secondary flex items-center">
+            <MagnifyingGlassIcon className="h-4 w-4 mr-1" />
+            Search
+          </button>
+          <button
+            type="button"
+            className="btn-secondary flex items-center"
+            onClick={() => setShowImport(!showImport)}
+          >
+            <ArrowUpTrayIcon className="h-4 w-4 mr-1" />
+            Import CSV
+          </button>
+          {['csv', 'xlsx'].map(format => (
+            <button
+              key={format}
+              type="button"
+              className="btn-secondary flex items-center"
+              onClick={() => handleExport(format)}
+            >
+              <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+              Export {format.toUpperCase()}
+            </button>
+          ))}
+        </form>
+      </div>
+
+      {showImport && <UserImportPanel onImported={() => setReloadKey(reloadKey + 1)} />}
+
+      {loading ? (
+        <LoadingSpinner text="Loading users..." />
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 dark:text-gray-400">
+                <th className="px-3 py-2">Name</th>
+                <th className="px-3 py-2">Email</th>
+                <th className="px-3 py-2">Role</th>
+                <th className="px-3 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {users.map(entry => (
+                <tr key={entry._id}>
+                  <td className="px-3 py-2 text-gray-900 dark:text-white">{entry.firstName} {entry.lastName}</td>
+                  <td className="px-3 py-2 text-gray-600 dark:text-gray-400">{entry.email}</td>
+                  <td className="px-3 py-2 capitalize text-gray-600 dark:text-gray-400">{entry.role.replace('_', ' ')}</td>
+                  <td className="px-3 py-2 text-right">
+                    {entry.role !== 'admin' && entry._id !== currentUser?._id && (
+                      <button
+                        type="button"
+                        className="btn-secondary inline-flex items-center py-1"
+                        onClick={() => handleViewAs(entry._id)}
+                      >
+                        <EyeIcon className="h-4 w-4 mr-1" />
+                        View as
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+              {users.length === 0 && (
+                <tr>
+                  <td colSpan={4} className="px-3 py-6 text-center text-gray-500 dark:text-gray-400">
+                    No users found.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pagination && pagination.pages > 1 && (
+        <div className="flex items-center justify-between text-sm text-gray-600 dark:text-gray-400">
+          <span>Page {pagination.current} of {pagination.pages}</span>
+          <div className="space-x-2">
+            <button
+              type="button"
+              className="btn-secondary"
+              disabled={!pagination.hasPrev}
+              onClick={() => setPage(page - 1)}
+            >
+              Previous
+            </button>
+            <button
+              type="button"
+              className="btn-secondary"
+              disabled={!pagination.hasNext}
+              onClick={() => setPage(page + 1)}
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UserManagementPanel;
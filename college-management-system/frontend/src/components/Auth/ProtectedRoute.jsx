@@ -4,7 +4,7 @@ import { useAuth } from '../../contexts/AuthContext';
 import LoadingSpinner from '../UI/LoadingSpinner';
 
 const ProtectedRoute = ({ children, roles = [] }) => {
-  const { isAuthenticated, user, loading } = useAuth();
+  const { isAuthenticated, user, loading, twoFactorSetupRequired } = useAuth();
   const location = useLocation();
 
   // Show loading spinner while checking authentication
@@ -22,6 +22,11 @@ const ProtectedRoute = ({ children, roles = [] }) => {
     return <Navigate to="/verify-email" replace />;
   }
 
+  // Users whose role requires 2FA can't use anything else until they have enrolled
+  if (twoFactorSetupRequired && location.pathname !== '/two-factor-setup') {
+    return <Navigate to="/two-factor-setup" replace />;
+  }
+
   // Check role-based access
   if (roles.length > 0 && user && !roles.includes(user.role)) {
     return (
@@ -1,4 +1,5 @@
 import React from 'react';
+import { EyeIcon } from '@heroicons/react/24/outline';
 import Navbar from './Navbar';
 import Sidebar from './Sidebar';
 import { useTheme } from '../../contexts/ThemeContext';
@@ -6,10 +7,30 @@ import { useAuth } from '../../contexts/AuthContext';
 
 const Layout = ({ children }) => {
   const { sidebarOpen, closeSidebar } = useTheme();
-  const { isAuthenticated } = useAuth();
+  const { isAuthenticated, user, impersonation, stopImpersonation } = useAuth();
 
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      {/* Read-only "view as user" banner */}
+      {isAuthenticated && impersonation && (
+        <div className="sticky top-0 z-50 bg-yellow-400 text-yellow-900 text-sm">
+          <div className="max-w-7xl mx-auto px-4 py-2 flex items-center justify-between">
+            <span className="flex items-center">
+              <EyeIcon className="h-5 w-5 mr-2" />
+              Viewing as {user ? `${user.firstName} ${user.lastName}` : impersonation.userName} (read-only)
+              until {new Date(impersonation.expiresAt).toLocaleTimeString()}
+            </span>
+            <button
+              type="button"
+              className="font-semibold underline"
+              onClick={stopImpersonation}
+            >
+              Stop viewing
+            </button>
+          </div>
+        </div>
+      )}
+
       <Navbar />
       
       <div className="flex">
@@ -8,14 +8,18 @@ import {
   SunIcon,
   MoonIcon,
   UserIcon,
+  UserCircleIcon,
   Cog6ToothIcon,
+  ArrowDownTrayIcon,
   ArrowRightOnRectangleIcon
 } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
 import { useAuth } from '../../contexts/AuthContext';
 import { useTheme } from '../../contexts/ThemeContext';
+import { saveResponseAsFile } from '../../utils/download';
 
 const Navbar = () => {
-  const { isAuthenticated, user, logout } = useAuth();
+  const { isAuthenticated, user, logout, impersonation, api } = useAuth();
   const { theme, toggleTheme, toggleSidebar } = useTheme();
   const navigate = useNavigate();
   const location = useLocation();
@@ -25,8 +29,19 @@ const Navbar = () => {
     navigate('/');
   };
 
+  // Download everything stored about the signed-in user
+  const handleExportData = async () => {
+    try {
+      const response = await api.get('/users/me/export', { responseType: 'blob' });
+      saveResponseAsFile(response, 'personal-data.json');
+    } catch (error) {
+      toast.error('Failed to export your data');
+    }
+  };
+
   const userNavigation = [
     { name: 'Profile', href: '/profile', icon: UserIcon },
+    { name: 'Public profile', href: `/users/${user?._id || user?.id}`, icon: UserCircleIcon },
     { name: 'Settings', href: '/settings', icon: Cog6ToothIcon },
   ];
 
@@ -175,6 +190,21 @@ const Navbar = () => {
                           )}
                         </Menu.Item>
                       ))}
+                      {!impersonation && (
+                        <Menu.Item>
+                          {({ active }) => (
+                            <button
+                              onClick={handleExportData}
+                              className={`${
+                                active ? 'bg-gray-100 dark:bg-gray-700' : ''
+                              } flex items-center w-full text-left px-4 py-2 text-sm text-gray-700 dark:text-gray-200`}
+                            >
+                              <ArrowDownTrayIcon className="mr-3 h-5 w-5 text-gray-400" />
+                              Download my data
+                            </button>
+                          )}
+                        </Menu.Item>
+                      )}
                       <Menu.Item>
                         {({ active }) => (
                           <button
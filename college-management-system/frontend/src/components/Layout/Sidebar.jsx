@@ -9,6 +9,14 @@ import {
   Cog6ToothIcon,
   ChartBarIcon,
   UsersIcon,
+  UserGroupIcon,
+  UserPlusIcon,
+  IdentificationIcon,
+  ShieldCheckIcon,
+  ArrowTrendingUpIcon,
+  CreditCardIcon,
+  QrCodeIcon,
+  BuildingOfficeIcon,
   XMarkIcon
 } from '@heroicons/react/24/outline';
 import { useAuth } from '../../contexts/AuthContext';
@@ -20,17 +28,26 @@ const Sidebar = () => {
   const location = useLocation();
 
   const navigation = [
-    { name: 'Dashboard', href: '/dashboard', icon: HomeIcon, roles: ['student', 'teacher', 'admin'] },
-    { name: 'Events', href: '/events', icon: CalendarDaysIcon, roles: ['student', 'teacher', 'admin'] },
-    { name: 'Notes', href: '/notes', icon: DocumentTextIcon, roles: ['student', 'teacher', 'admin'] },
-    { name: 'Courses', href: '/courses', icon: AcademicCapIcon, roles: ['student', 'teacher', 'admin'] },
-    { name: 'Profile', href: '/profile', icon: UserIcon, roles: ['student', 'teacher', 'admin'] },
+    { name: 'Dashboard', href: '/dashboard', icon: HomeIcon, roles: ['student', 'teacher', 'hod', 'department_coordinator', 'admin', 'alumni', 'guardian'] },
+    { name: 'Events', href: '/events', icon: CalendarDaysIcon, roles: ['student', 'teacher', 'hod', 'department_coordinator', 'admin', 'alumni', 'guardian'] },
+    { name: 'Notes', href: '/notes', icon: DocumentTextIcon, roles: ['student', 'teacher', 'hod', 'department_coordinator', 'admin', 'alumni'] },
+    { name: 'Courses', href: '/courses', icon: AcademicCapIcon, roles: ['student', 'teacher', 'hod', 'department_coordinator', 'admin', 'alumni'] },
+    { name: 'Teachers', href: '/teachers', icon: IdentificationIcon, roles: ['student', 'teacher', 'hod', 'department_coordinator', 'admin', 'alumni', 'guardian'] },
+    { name: 'Alumni', href: '/alumni', icon: UserGroupIcon, roles: ['student', 'teacher', 'hod', 'department_coordinator', 'admin', 'alumni'] },
+    { name: 'Guardians', href: '/guardians', icon: UserPlusIcon, roles: ['student'] },
+    { name: 'My Students', href: '/guardians', icon: UserPlusIcon, roles: ['guardian'] },
+    { name: 'ID Card', href: '/id-card', icon: CreditCardIcon, roles: ['student'] },
+    { name: 'Verify ID', href: '/id-cards/verify', icon: QrCodeIcon, roles: ['teacher', 'hod', 'department_coordinator', 'admin'] },
+    { name: 'Venues', href: '/venues', icon: BuildingOfficeIcon, roles: ['teacher', 'hod', 'department_coordinator', 'admin'] },
+    { name: 'Profile', href: '/profile', icon: UserIcon, roles: ['student', 'teacher', 'hod', 'department_coordinator', 'admin', 'alumni', 'guardian'] },
   ];
 
   const adminNavigation = [
     { name: 'Analytics', href: '/admin/analytics', icon: ChartBarIcon, roles: ['admin'] },
     { name: 'User Management', href: '/admin/users', icon: UsersIcon, roles: ['admin'] },
+    { name: 'Promotions', href: '/admin/promotions', icon: ArrowTrendingUpIcon, roles: ['admin'] },
     { name: 'System Settings', href: '/admin/settings', icon: Cog6ToothIcon, roles: ['admin'] },
+    { name: 'Permissions', href: '/admin/permissions', icon: ShieldCheckIcon, roles: ['admin'] },
   ];
 
   const filteredNavigation = navigation.filter(item => 
@@ -0,0 +1,103 @@
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+
+// The feed URL is only returned when it is created, so it is shown once and then forgotten
+const CalendarFeedSettings = () => {
+  const { api } = useAuth();
+  const [feed, setFeed] = useState(null);
+  const [urls, setUrls] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    api.get('/calendar/feed')
+      .then((response) => setFeed(response.data.data))
+      .catch(() => setFeed({ enabled: false }));
+  }, [api]);
+
+  const handleCreate = async () => {
+    if (feed.enabled && !window.confirm('Calendars subscribed to the current URL will stop updating. Continue?')) {
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await api.post('/calendar/feed');
+      setUrls(response.data.data);
+      setFeed({ enabled: true, createdAt: new Date().toISOString() });
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create calendar feed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDisable = async () => {
+    setSubmitting(true);
+    try {
+      const response = await api.delete('/calendar/feed');
+      toast.success(response.data.message);
+      setUrls(null);
+      setFeed({ enabled: false });
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to turn off calendar feed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(urls.url);
+      toast.success('Feed URL copied');
+    } catch (error) {
+      toast.error('Could not copy the URL');
+    }
+  };
+
+  if (!feed) return null;
+
+  return (
+    <div className="card p-6 space-y-4">
+      <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Calendar feed</h2>
+      <p className="text-sm text-gray-600 dark:text-gray-400">
+        Subscribe to your events from Google Calendar, Outlook or Apple Calendar. Anyone with the URL can see
+        your events, so keep it private.
+      </p>
+
+      {urls && (
+        <div className="space-y-2">
+          <input className="input font-mono text-xs" readOnly value={urls.url} onFocus={(e) => e.target.select()} />
+          <div className="flex flex-wrap gap-2">
+            <button type="button" className="btn-secondary" onClick={handleCopy}>
+              Copy URL
+            </button>
+            <a href={urls.webcalUrl} className="btn-secondary">
+              Open in calendar app
+            </a>
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400">This URL will not be shown again.</p>
+        </div>
+      )}
+
+      {feed.enabled && !urls && (
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Feed enabled{feed.createdAt && ` since ${new Date(feed.createdAt).toLocaleDateString()}`}.
+        </p>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        <button type="button" className="btn-primary" disabled={submitting} onClick={handleCreate}>
+          {feed.enabled ? 'Generate new URL' : 'Create feed URL'}
+        </button>
+        {feed.enabled && (
+          <button type="button" className="btn-secondary" disabled={submitting} onClick={handleDisable}>
+            Turn off
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CalendarFeedSettings;
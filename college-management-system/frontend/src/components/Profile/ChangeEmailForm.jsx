@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Two steps: password and new address, then the code emailed to that address. Accounts that
+// only sign in through SSO or were invited without a password leave the password empty
+const ChangeEmailForm = ({ onChanged }) => {
+  const { api, updateUser } = useAuth();
+  const [form, setForm] = useState({ newEmail: '', password: '' });
+  const [otp, setOtp] = useState('');
+  const [codeSent, setCodeSent] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleRequest = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = await api.post('/users/email-change', form);
+      toast.success(response.data.message);
+      setCodeSent(true);
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to start email change');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = await api.post('/users/email-change/confirm', { otp });
+      toast.success(response.data.message);
+      updateUser(response.data.data);
+      onChanged();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to change email');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    try {
+      await api.delete('/users/email-change');
+    } catch (error) {
+      // Nothing to undo if the request failed; the code simply expires
+    }
+    setCodeSent(false);
+    setOtp('');
+    setForm({ newEmail: '', password: '' });
+  };
+
+  return (
+    <div className="card p-6 space-y-4">
+      <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Change email</h2>
+
+      {codeSent ? (
+        <form className="space-y-4" onSubmit={handleConfirm}>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Enter the 6-digit code sent to <strong>{form.newEmail}</strong>. Other devices will be signed out.
+          </p>
+          <input
+            className="input w-40 tracking-widest"
+            inputMode="numeric"
+            maxLength={6}
+            placeholder="000000"
+            required
+            value={otp}
+            onChange={(e) => setOtp(e.target.value.replace(/\D/g, ''))}
+          />
+          <div className="flex items-center gap-2">
+            <button type="submit" className="btn-primary" disabled={submitting || otp.length !== 6}>
+              Confirm
+            </button>
+            <button type="button" className="btn-secondary" onClick={handleCancel}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <form className="space-y-4" onSubmit={handleRequest}>
+          <input
+            type="email"
+            className="input"
+            placeholder="New email address"
+            required
+            value={form.newEmail}
+            onChange={(e) => setForm({ ...form, newEmail: e.target.value })}
+          />
+          <input
+            type="password"
+            className="input"
+            placeholder="Current password (if your account has one)"
+            autoComplete="current-password"
+            value={form.password}
+            onChange={(e) => setForm({ ...form, password: e.target.value })}
+          />
+          <button type="submit" className="btn-primary" disabled={submitting}>
+            {submitting ? 'Sending...' : 'Send verification code'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ChangeEmailForm;
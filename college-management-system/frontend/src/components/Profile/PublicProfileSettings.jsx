@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const STAFF_ROLES = ['teacher', 'hod', 'department_coordinator'];
+
+const PRIVACY_SWITCHES = [
+  { field: 'showEmail', label: 'Show my email address' },
+  { field: 'showCourse', label: 'Show my course' },
+  { field: 'showNotes', label: 'List the notes I contributed' },
+  { field: 'showEvents', label: 'List the events I organize' },
+];
+
+// Edit the bio, office hours and privacy settings behind the current user's public profile
+const PublicProfileSettings = ({ profile, onSaved }) => {
+  const { api } = useAuth();
+  const [bio, setBio] = useState(profile.bio || '');
+  const [officeHours, setOfficeHours] = useState(
+    (profile.officeHours || []).map(({ day, startTime, endTime, location }) => ({ day, startTime, endTime, location: location || '' }))
+  );
+  const [privacy, setPrivacy] = useState(profile.privacySettings);
+  const [saving, setSaving] = useState(false);
+  const isStaff = STAFF_ROLES.includes(profile.role);
+
+  const updateSlot = (index, field, value) => {
+    setOfficeHours(officeHours.map((slot, i) => (i === index ? { ...slot, [field]: value } : slot)));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const payload = { bio, privacySettings: privacy };
+      if (isStaff) payload.officeHours = officeHours;
+
+      await api.put('/users/profile', payload);
+      toast.success('Profile updated');
+      onSaved();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to update profile');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="card p-6 space-y-4" onSubmit={handleSubmit}>
+      <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Edit public profile</h2>
+
+      <div>
+        <label htmlFor="bio" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+          Bio
+        </label>
+        <textarea
+          id="bio"
+          rows={3}
+          maxLength={500}
+          className="input"
+          value={bio}
+          onChange={(e) => setBio(e.target.value)}
+        />
+      </div>
+
+      {isStaff && (
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Office hours</span>
+            <button
+              type="button"
+              className="btn-secondary py-1 flex items-center"
+              onClick={() => setOfficeHours([...officeHours, { day: 'monday', startTime: '10:00', endTime: '11:00', location: '' }])}
+            >
+              <PlusIcon className="h-4 w-4 mr-1" />
+              Add slot
+            </button>
+          </div>
+          {officeHours.map((slot, index) => (
+            <div key={index} className="flex flex-wrap items-center gap-2">
+              <select
+                className="input w-36 capitalize"
+                value={slot.day}
+                onChange={(e) => updateSlot(index, 'day', e.target.value)}
+              >
+                {DAYS.map(day => <option key={day} value={day}>{day}</option>)}
+              </select>
+              <input
+                type="time"
+                className="input w-32"
+                value={slot.startTime}
+                onChange={(e) => updateSlot(index, 'startTime', e.target.value)}
+              />
+              <input
+                type="time"
+                className="input w-32"
+                value={slot.endTime}
+                onChange={(e) => updateSlot(index, 'endTime', e.target.value)}
+              />
+              <input
+                className="input flex-1"
+                placeholder="Location"
+                maxLength={100}
+                value={slot.location}
+                onChange={(e) => updateSlot(index, 'location', e.target.value)}
+              />
+              <button
+                type="button"
+                className="p-2 text-gray-400 hover:text-red-600"
+                onClick={() => setOfficeHours(officeHours.filter((_, i) => i !== index))}
+              >
+                <TrashIcon className="h-5 w-5" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Privacy</span>
+        <label className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            className="h-4 w-4 text-primary-600 rounded mr-2"
+            checked={privacy.profileVisibility === 'private'}
+            onChange={(e) => setPrivacy({ ...privacy, profileVisibility: e.target.checked ? 'private' : 'members' })}
+          />
+          Make my profile private (only my name, avatar and role are shown)
+        </label>
+        {PRIVACY_SWITCHES.map(({ field, label }) => (
+          <label key={field} className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              className="h-4 w-4 text-primary-600 rounded mr-2"
+              checked={privacy[field]}
+              disabled={privacy.profileVisibility === 'private'}
+              onChange={(e) => setPrivacy({ ...privacy, [field]: e.target.checked })}
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      <button type="submit" className="btn-primary" disabled={saving}>
+        {saving ? 'Saving...' : 'Save profile'}
+      </button>
+    </form>
+  );
+};
+
+export default PublicProfileSettings;
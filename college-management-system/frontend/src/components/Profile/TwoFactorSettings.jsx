@@ -0,0 +1,197 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { ShieldCheckIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Recovery codes are only returned when they are generated, so they are shown once
+const RecoveryCodes = ({ codes, onDone }) => (
+  <div className="space-y-2">
+    <p className="text-sm text-gray-600 dark:text-gray-400">
+      Store these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator.
+      They will not be shown again.
+    </p>
+    <ul className="grid grid-cols-2 gap-1 font-mono text-sm text-gray-900 dark:text-white">
+      {codes.map(code => <li key={code}>{code}</li>)}
+    </ul>
+    <button type="button" className="btn-primary" onClick={onDone}>
+      I have saved them
+    </button>
+  </div>
+);
+
+// Enroll in, manage and turn off two-factor authentication; onEnabled runs once enrollment is confirmed
+const TwoFactorSettings = ({ onEnabled }) => {
+  const { api } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [disableForm, setDisableForm] = useState({ password: '', code: '' });
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadStatus = useCallback(() => api.get('/auth/2fa/status')
+    .then((response) => setStatus(response.data.data))
+    .catch((error) => toast.error(error.response?.data?.message || 'Failed to load two-factor status')), [api]);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const run = async (request, fallback) => {
+    setSubmitting(true);
+    try {
+      return await request();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || fallback);
+      return null;
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleStart = () => run(async () => {
+    const response = await api.post('/auth/2fa/setup');
+    setSetup(response.data.data);
+    setCode('');
+  }, 'Failed to start two-factor setup');
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    return run(async () => {
+      const response = await api.post('/auth/2fa/enable', { code: code.trim() });
+      toast.success(response.data.message);
+      setSetup(null);
+      setCode('');
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      await loadStatus();
+      if (onEnabled) onEnabled();
+    }, 'Failed to enable two-factor authentication');
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    return run(async () => {
+      const response = await api.post('/auth/2fa/recovery-codes', { code: code.trim() });
+      toast.success(response.data.message);
+      setCode('');
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      await loadStatus();
+    }, 'Failed to regenerate recovery codes');
+  };
+
+  // The second field takes an authenticator code or, failing that, a recovery code
+  const handleDisable = (e) => {
+    e.preventDefault();
+    const secondFactor = disableForm.code.trim();
+    return run(async () => {
+      const response = await api.post('/auth/2fa/disable', {
+        password: disableForm.password,
+        ...(/^\d{6}$/.test(secondFactor) ? { code: secondFactor } : { recoveryCode: secondFactor }),
+      });
+      toast.success(response.data.message);
+      setDisableForm({ password: '', code: '' });
+      await loadStatus();
+    }, 'Failed to disable two-factor authentication');
+  };
+
+  if (!status) return null;
+
+  return (
+    <div className="card p-6 space-y-4">
+      <div className="flex items-center">
+        <ShieldCheckIcon className={`h-6 w-6 mr-2 ${status.enabled ? 'text-green-500' : 'text-gray-400'}`} />
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Two-factor authentication</h2>
+      </div>
+
+      {recoveryCodes ? (
+        <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+      ) : status.enabled ? (
+        <>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Enabled{status.enabledAt && ` since ${new Date(status.enabledAt).toLocaleDateString()}`}.
+            {' '}{status.recoveryCodesRemaining} recovery code(s) left.
+          </p>
+
+          <form className="flex flex-wrap gap-2" onSubmit={handleRegenerate}>
+            <input
+              className="input w-40"
+              inputMode="numeric"
+              placeholder="6-digit code"
+              required
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+            />
+            <button type="submit" className="btn-secondary" disabled={submitting}>
+              New recovery codes
+            </button>
+          </form>
+
+          {status.required ? (
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Your role requires two-factor authentication, so it cannot be turned off.
+            </p>
+          ) : (
+            <form className="flex flex-wrap gap-2" onSubmit={handleDisable}>
+              <input
+                type="password"
+                className="input w-48"
+                placeholder="Password"
+                autoComplete="current-password"
+                required
+                value={disableForm.password}
+                onChange={(e) => setDisableForm({ ...disableForm, password: e.target.value })}
+              />
+              <input
+                className="input w-48"
+                placeholder="Code or recovery code"
+                required
+                value={disableForm.code}
+                onChange={(e) => setDisableForm({ ...disableForm, code: e.target.value })}
+              />
+              <button type="submit" className="btn-secondary" disabled={submitting}>
+                Turn off
+              </button>
+            </form>
+          )}
+        </>
+      ) : setup ? (
+        <form className="space-y-3" onSubmit={handleEnable}>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Scan the QR code with an authenticator app, then enter the 6-digit code it shows.
+          </p>
+          <img src={setup.qrCode} alt="Authenticator QR code" className="h-48 w-48" />
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Can&apos;t scan it? Enter this key instead: <span className="font-mono break-all">{setup.secret}</span>
+          </p>
+          <div className="flex flex-wrap gap-2">
+            <input
+              className="input w-40"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              placeholder="6-digit code"
+              required
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+            />
+            <button type="submit" className="btn-primary" disabled={submitting}>
+              Confirm
+            </button>
+          </div>
+        </form>
+      ) : (
+        <>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            {status.required
+              ? 'Your role requires two-factor authentication. Set it up to continue using the app.'
+              : 'Protect your account with a code from an authenticator app when you sign in.'}
+          </p>
+          <button type="button" className="btn-primary" disabled={submitting} onClick={handleStart}>
+            Set up
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
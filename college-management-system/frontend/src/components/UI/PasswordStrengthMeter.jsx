@@ -0,0 +1,117 @@
+import React, { useEffect, useState } from 'react';
+import { CheckCircleIcon, XCircleIcon } from '@heroicons/react/24/solid';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Defaults mirror the backend policy (GET /api/auth/password-policy)
+const DEFAULT_POLICY = {
+  minLength: 8,
+  requiredCharacterClasses: 3,
+};
+
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /\d/, /[^a-zA-Z\d]/];
+
+const STRENGTH_LEVELS = [
+  { label: 'Very weak', color: 'bg-red-500' },
+  { label: 'Weak', color: 'bg-orange-500' },
+  { label: 'Fair', color: 'bg-yellow-500' },
+  { label: 'Good', color: 'bg-lime-500' },
+  { label: 'Strong', color: 'bg-green-500' },
+];
+
+// The server's password policy, or undefined (the built-in defaults) until it has loaded
+export const usePasswordPolicy = () => {
+  const { api } = useAuth();
+  const [policy, setPolicy] = useState(undefined);
+
+  useEffect(() => {
+    api.get('/auth/password-policy')
+      .then((response) => setPolicy(response.data.data))
+      .catch(() => {
+        // Fall back to the meter's built-in defaults
+      });
+  }, [api]);
+
+  return policy;
+};
+
+// Evaluate a password against the policy; the server remains the source of truth
+export const evaluatePassword = (password, policy = DEFAULT_POLICY, personalInfo = []) => {
+  const classCount = CHARACTER_CLASSES.filter((pattern) => pattern.test(password)).length;
+  const lowered = password.toLowerCase();
+  const containsPersonalInfo = personalInfo
+    .filter((value) => value && value.length >= 3)
+    .some((value) => lowered.includes(value.toLowerCase()));
+
+  const checks = [
+    {
+      label: `At least ${policy.minLength} characters`,
+      passed: password.length >= policy.minLength,
+    },
+    {
+      label: `At least ${policy.requiredCharacterClasses} of: lowercase, uppercase, number, symbol`,
+      passed: classCount >= policy.requiredCharacterClasses,
+    },
+    {
+      label: 'Does not contain your name or email',
+      passed: password.length > 0 && !containsPersonalInfo,
+    },
+  ];
+
+  // Score 0-4: length and variety earn points, personal info caps it
+  let score = 0;
+  if (password.length >= policy.minLength) score += 1;
+  if (password.length >= policy.minLength + 4) score += 1;
+  if (classCount >= policy.requiredCharacterClasses) score += 1;
+  if (classCount === CHARACTER_CLASSES.length) score += 1;
+  if (containsPersonalInfo) score = Math.min(score, 1);
+
+  return {
+    checks,
+    score,
+    isValid: checks.every((check) => check.passed),
+  };
+};
+
+const PasswordStrengthMeter = ({ password, policy = DEFAULT_POLICY, personalInfo = [] }) => {
+  if (!password) {
+    return null;
+  }
+
+  const { checks, score } = evaluatePassword(password, policy, personalInfo);
+  const level = STRENGTH_LEVELS[score];
+
+  return (
+    <div className="mt-2 space-y-2">
+      <div className="flex items-center space-x-2">
+        <div className="flex-1 grid grid-cols-4 gap-1">
+          {[0, 1, 2, 3].map((index) => (
+            <div
+              key={index}
+              className={`h-1.5 rounded-full transition-colors ${
+                index < score ? level.color : 'bg-gray-200 dark:bg-gray-600'
+              }`}
+            />
+          ))}
+        </div>
+        <span className="text-xs font-medium text-gray-600 dark:text-gray-400 w-16 text-right">
+          {level.label}
+        </span>
+      </div>
+
+      <ul className="space-y-1">
+        {checks.map((check) => (
+          <li key={check.label} className="flex items-center text-xs text-gray-600 dark:text-gray-400">
+            {check.passed ? (
+              <CheckCircleIcon className="h-4 w-4 mr-1.5 text-green-500" />
+            ) : (
+              <XCircleIcon className="h-4 w-4 mr-1.5 text-gray-400" />
+            )}
+            {check.label}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default PasswordStrengthMeter;
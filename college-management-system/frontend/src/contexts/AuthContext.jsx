@@ -2,10 +2,22 @@ import React, { createContext, useContext, useReducer, useEffect } from 'react';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 
+// Impersonation details saved while an admin views the app as another user
+const loadImpersonation = () => {
+  try {
+    return JSON.parse(localStorage.getItem('impersonation'));
+  } catch (error) {
+    return null;
+  }
+};
+
 // Initial state
 const initialState = {
   user: null,
   token: localStorage.getItem('token'),
+  impersonation: loadImpersonation(),
+  // Set when the user's role requires 2FA they have not enrolled in; the API refuses everything else until then
+  twoFactorSetupRequired: false,
   isAuthenticated: false,
   loading: true,
   error: null,
@@ -20,6 +32,9 @@ const AUTH_ACTIONS = {
   SET_LOADING: 'SET_LOADING',
   CLEAR_ERROR: 'CLEAR_ERROR',
   UPDATE_USER: 'UPDATE_USER',
+  UPDATE_TOKEN: 'UPDATE_TOKEN',
+  SET_IMPERSONATION: 'SET_IMPERSONATION',
+  SET_TWO_FACTOR_SETUP_REQUIRED: 'SET_TWO_FACTOR_SETUP_REQUIRED',
 };
 
 // Reducer
@@ -54,6 +69,8 @@ const authReducer = (state, action) => {
         ...state,
         user: null,
         token: null,
+        impersonation: null,
+        twoFactorSetupRequired: false,
         isAuthenticated: false,
         loading: false,
         error: null,
@@ -73,6 +90,21 @@ const authReducer = (state, action) => {
         ...state,
         user: { ...state.user, ...action.payload },
       };
+    case AUTH_ACTIONS.UPDATE_TOKEN:
+      return {
+        ...state,
+        token: action.payload,
+      };
+    case AUTH_ACTIONS.SET_IMPERSONATION:
+      return {
+        ...state,
+        impersonation: action.payload,
+      };
+    case AUTH_ACTIONS.SET_TWO_FACTOR_SETUP_REQUIRED:
+      return {
+        ...state,
+        twoFactorSetupRequired: action.payload,
+      };
     default:
       return state;
   }
@@ -89,6 +121,53 @@ const api = axios.create({
   baseURL: API_BASE_URL,
 });
 
+// Token storage helpers
+const storeTokens = (token, refreshToken) => {
+  localStorage.setItem('token', token);
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
+};
+
+const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('impersonation');
+};
+
+// Put the admin's own tokens back after an impersonation session; returns the restored token
+const restoreImpersonatorTokens = () => {
+  const impersonation = loadImpersonation();
+  localStorage.removeItem('impersonation');
+  if (!impersonation) return null;
+
+  storeTokens(impersonation.adminToken, impersonation.adminRefreshToken);
+  return impersonation.adminToken;
+};
+
+// Shared in-flight refresh so concurrent 401s only rotate the refresh token once
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken })
+      : Promise.reject(new Error('No refresh token')))
+      .then((response) => {
+        const { token, refreshToken: newRefreshToken } = response.data.data;
+        storeTokens(token, newRefreshToken);
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
 // Auth provider component
 export const AuthProvider = ({ children }) => {
   const [state, dispatch] = useReducer(authReducer, initialState);
@@ -107,13 +186,41 @@ export const AuthProvider = ({ children }) => {
       (error) => Promise.reject(error)
     );
 
-    // Response interceptor to handle token expiration
+    // Response interceptor to refresh expired access tokens and retry once
     const responseInterceptor = api.interceptors.response.use(
       (response) => response,
-      (error) => {
-        if (error.response?.status === 401 && state.token) {
-          logout();
-          toast.error('Session expired. Please login again.');
+      async (error) => {
+        const originalRequest = error.config;
+
+        // ProtectedRoute sends the user to the enrollment screen
+        if (error.response?.status === 403 && error.response.data?.code === 'TWO_FACTOR_SETUP_REQUIRED') {
+          dispatch({ type: AUTH_ACTIONS.SET_TWO_FACTOR_SETUP_REQUIRED, payload: true });
+          return Promise.reject(error);
+        }
+
+        if (error.response?.status === 401 && state.token && originalRequest && !originalRequest._retry) {
+          originalRequest._retry = true;
+
+          // Impersonation tokens can't be refreshed: drop back to the admin's own session
+          if (state.impersonation) {
+            const token = restoreImpersonatorTokens();
+            dispatch({ type: AUTH_ACTIONS.SET_IMPERSONATION, payload: null });
+            dispatch({ type: AUTH_ACTIONS.UPDATE_TOKEN, payload: token });
+            toast('Impersonation session ended.');
+            loadUser();
+            return Promise.reject(error);
+          }
+
+          try {
+            const token = await refreshAccessToken();
+            dispatch({ type: AUTH_ACTIONS.UPDATE_TOKEN, payload: token });
+            originalRequest.headers.Authorization = `Bearer ${token}`;
+            return api(originalRequest);
+          } catch (refreshError) {
+            clearTokens();
+            dispatch({ type: AUTH_ACTIONS.LOGOUT });
+            toast.error('Session expired. Please login again.');
+          }
         }
         return Promise.reject(error);
       }
@@ -124,7 +231,7 @@ export const AuthProvider = ({ children }) => {
       api.interceptors.request.eject(requestInterceptor);
       api.interceptors.response.eject(responseInterceptor);
     };
-  }, [state.token]);
+  }, [state.token, state.impersonation]);
 
   // Load user on app start
   useEffect(() => {
@@ -143,35 +250,73 @@ export const AuthProvider = ({ children }) => {
         type: AUTH_ACTIONS.LOGIN_SUCCESS,
         payload: {
           user: response.data.data,
-          token: state.token,
+          token: localStorage.getItem('token'),
         },
       });
     } catch (error) {
       console.error('Load user error:', error);
-      localStorage.removeItem('token');
+      clearTokens();
       dispatch({ type: AUTH_ACTIONS.LOGOUT });
     }
   };
 
+  // Store tokens and user once login has fully succeeded
+  const completeLogin = ({ token, refreshToken, user, twoFactorSetupRequired }) => {
+    storeTokens(token, refreshToken);
+
+    dispatch({
+      type: AUTH_ACTIONS.LOGIN_SUCCESS,
+      payload: { user, token },
+    });
+
+    toast.success('Login successful!');
+    if (twoFactorSetupRequired) {
+      dispatch({ type: AUTH_ACTIONS.SET_TWO_FACTOR_SETUP_REQUIRED, payload: true });
+    }
+  };
+
+  // Enforced 2FA enrollment is done; the rest of the app opens up again
+  const completeTwoFactorSetup = () => {
+    dispatch({ type: AUTH_ACTIONS.SET_TWO_FACTOR_SETUP_REQUIRED, payload: false });
+  };
+
   // Login function
   const login = async (email, password) => {
     try {
       dispatch({ type: AUTH_ACTIONS.LOGIN_START });
       
       const response = await api.post('/auth/login', { email, password });
-      const { token, user } = response.data.data;
+      const data = response.data.data;
 
-      localStorage.setItem('token', token);
-      
+      // Password was correct but a second factor is needed
+      if (data.twoFactorRequired) {
+        dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
+        return { success: true, twoFactorRequired: true, challengeToken: data.challengeToken };
+      }
+
+      completeLogin(data);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Login failed';
       dispatch({
-        type: AUTH_ACTIONS.LOGIN_SUCCESS,
-        payload: { user, token },
+        type: AUTH_ACTIONS.LOGIN_FAILURE,
+        payload: message,
       });
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  // Complete a 2FA login with an authenticator code or a recovery code
+  const verifyTwoFactor = async (challengeToken, { code, recoveryCode }) => {
+    try {
+      dispatch({ type: AUTH_ACTIONS.LOGIN_START });
 
-      toast.success('Login successful!');
+      const response = await api.post('/auth/2fa/verify', { challengeToken, code, recoveryCode });
+      completeLogin(response.data.data);
       return { success: true };
     } catch (error) {
-      const message = error.response?.data?.message || 'Login failed';
+      const message = error.response?.data?.message || 'Verification failed';
       dispatch({
         type: AUTH_ACTIONS.LOGIN_FAILURE,
         payload: message,
@@ -181,6 +326,115 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Set a password for an invited (imported) account and sign in
+  const acceptInvitation = async (token, password) => {
+    try {
+      dispatch({ type: AUTH_ACTIONS.LOGIN_START });
+
+      const response = await api.post('/auth/accept-invitation', { token, password });
+      completeLogin(response.data.data);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to accept invitation';
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_FAILURE,
+        payload: message,
+      });
+      toast.error(message);
+      return { success: false, error: message, errors: error.response?.data?.errors };
+    }
+  };
+
+  // Accept a guardian invitation; new guardians pass their details and are signed in,
+  // existing ones are only linked and sign in as usual
+  const acceptGuardianInvitation = async (token, details = {}) => {
+    try {
+      dispatch({ type: AUTH_ACTIONS.LOGIN_START });
+
+      const response = await api.post('/auth/accept-guardian-invitation', { token, ...details });
+      if (response.data.data.linked) {
+        dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
+        toast.success(response.data.message);
+        return { success: true, linked: true };
+      }
+
+      completeLogin(response.data.data);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to accept invitation';
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_FAILURE,
+        payload: message,
+      });
+      toast.error(message);
+      return { success: false, error: message, errors: error.response?.data?.errors };
+    }
+  };
+
+  // Request a passwordless sign-in link
+  const requestMagicLink = async (email) => {
+    try {
+      const response = await api.post('/auth/magic-link', { email });
+      toast.success(response.data.message);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to send sign-in link';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  // Log in with the token from a passwordless sign-in link
+  const loginWithMagicLink = async (token) => {
+    try {
+      dispatch({ type: AUTH_ACTIONS.LOGIN_START });
+
+      const response = await api.get(`/auth/magic-link/${token}`);
+      const data = response.data.data;
+
+      if (data.twoFactorRequired) {
+        dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
+        return { success: true, twoFactorRequired: true, challengeToken: data.challengeToken };
+      }
+
+      completeLogin(data);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Sign-in link is invalid or has expired';
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_FAILURE,
+        payload: message,
+      });
+      return { success: false, error: message };
+    }
+  };
+
+  // Finish a single sign-on login by exchanging the one-time code from the SSO callback
+  const exchangeSsoCode = async (code) => {
+    try {
+      dispatch({ type: AUTH_ACTIONS.LOGIN_START });
+
+      // The exchange only succeeds with the cookie set when this browser started the login
+      const response = await api.post('/auth/sso/exchange', { code }, { withCredentials: true });
+      const data = response.data.data;
+
+      if (data.twoFactorRequired) {
+        dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
+        return { success: true, twoFactorRequired: true, challengeToken: data.challengeToken };
+      }
+
+      completeLogin(data);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Single sign-on failed';
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_FAILURE,
+        payload: message,
+      });
+      return { success: false, error: message };
+    }
+  };
+
   // Register function
   const register = async (userData) => {
     try {
@@ -211,9 +465,9 @@ export const AuthProvider = ({ children }) => {
       dispatch({ type: AUTH_ACTIONS.LOGIN_START });
       
       const response = await api.post('/auth/verify-email', { email, otp });
-      const { token, user } = response.data.data;
+      const { token, refreshToken, user } = response.data.data;
 
-      localStorage.setItem('token', token);
+      storeTokens(token, refreshToken);
       
       dispatch({
         type: AUTH_ACTIONS.LOGIN_SUCCESS,
@@ -272,9 +526,93 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Unlock account function
+  const unlockAccount = async (token) => {
+    try {
+      await api.post('/auth/unlock', { token });
+      toast.success('Account unlocked. You can now sign in.');
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to unlock account';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  // Switch the account back to its previous email from the link sent there
+  const revertEmailChange = async (token) => {
+    try {
+      const response = await api.post('/auth/revert-email-change', { token });
+      toast.success('Email address restored');
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to restore email address';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  // View the app as another user with a read-only token (admins only)
+  const startImpersonation = async (userId) => {
+    try {
+      const response = await api.post(`/users/${userId}/impersonate`);
+      const { token, expiresAt, user } = response.data.data;
+
+      const impersonation = {
+        userName: `${user.firstName} ${user.lastName}`,
+        expiresAt,
+        adminToken: localStorage.getItem('token'),
+        adminRefreshToken: localStorage.getItem('refreshToken'),
+      };
+      localStorage.setItem('impersonation', JSON.stringify(impersonation));
+      localStorage.setItem('token', token);
+      localStorage.removeItem('refreshToken');
+
+      dispatch({ type: AUTH_ACTIONS.SET_IMPERSONATION, payload: impersonation });
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_SUCCESS,
+        payload: { user, token },
+      });
+
+      toast.success(response.data.message);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to start impersonation';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  // Leave an impersonation session and return to the admin's own account
+  const stopImpersonation = async () => {
+    try {
+      await api.post('/users/impersonate/stop');
+    } catch (error) {
+      console.error('Stop impersonation error:', error);
+    }
+
+    const token = restoreImpersonatorTokens();
+    dispatch({ type: AUTH_ACTIONS.SET_IMPERSONATION, payload: null });
+    dispatch({ type: AUTH_ACTIONS.UPDATE_TOKEN, payload: token });
+    await loadUser();
+    toast.success('Returned to your account');
+  };
+
   // Logout function
-  const logout = () => {
-    localStorage.removeItem('token');
+  const logout = async () => {
+    // Logging out of an impersonation session returns to the admin's account
+    if (state.impersonation) {
+      return stopImpersonation();
+    }
+
+    try {
+      // Revoke the session server-side; local logout proceeds regardless
+      await api.post('/auth/logout');
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+
+    clearTokens();
     dispatch({ type: AUTH_ACTIONS.LOGOUT });
     toast.success('Logged out successfully!');
   };
@@ -295,12 +633,23 @@ export const AuthProvider = ({ children }) => {
   const value = {
     ...state,
     login,
+    verifyTwoFactor,
+    exchangeSsoCode,
+    requestMagicLink,
+    loginWithMagicLink,
+    acceptInvitation,
+    acceptGuardianInvitation,
     register,
     verifyEmail,
     resendOTP,
     forgotPassword,
     resetPassword,
+    unlockAccount,
+    revertEmailChange,
     logout,
+    startImpersonation,
+    stopImpersonation,
+    completeTwoFactorSetup,
     updateUser,
     clearError,
     api, // Expose api instance for other components
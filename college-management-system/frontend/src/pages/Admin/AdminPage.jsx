@@ -0,0 +1,47 @@
+import React from 'react';
+import { Routes, Route, Navigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import RolePermissionsEditor from '../../components/Admin/RolePermissionsEditor';
+import SystemSettingsPanel from '../../components/Admin/SystemSettingsPanel';
+import UserManagementPanel from '../../components/Admin/UserManagementPanel';
+import DeletionRequestsPanel from '../../components/Admin/DeletionRequestsPanel';
+import PromotionsPanel from '../../components/Admin/PromotionsPanel';
+
+const AdminPage = () => {
+  return (
+    <motion.div
+      className="space-y-6"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+    >
+      <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Administration</h1>
+
+      <Routes>
+        <Route index element={<Navigate to="settings" replace />} />
+        <Route path="settings" element={<SystemSettingsPanel />} />
+        <Route path="permissions" element={<RolePermissionsEditor />} />
+        <Route
+          path="users"
+          element={
+            <>
+              <UserManagementPanel />
+              <DeletionRequestsPanel />
+            </>
+          }
+        />
+        <Route path="promotions" element={<PromotionsPanel />} />
+        <Route
+          path="*"
+          element={
+            <div className="card p-6 text-sm text-gray-600 dark:text-gray-400">
+              This section is not available yet.
+            </div>
+          }
+        />
+      </Routes>
+    </motion.div>
+  );
+};
+
+export default AdminPage;
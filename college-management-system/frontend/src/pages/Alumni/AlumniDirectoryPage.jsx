@@ -0,0 +1,168 @@
+import React, { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { MagnifyingGlassIcon, UserCircleIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+
+const AlumniDirectoryPage = () => {
+  const { api, user, updateUser } = useAuth();
+  const [alumni, setAlumni] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [courses, setCourses] = useState([]);
+  const [filters, setFilters] = useState({ search: '', course: '', graduationYear: '' });
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    api.get('/courses', { params: { limit: 50 } })
+      .then(response => setCourses(response.data.data.courses))
+      .catch(() => {});
+  }, [api]);
+
+  useEffect(() => {
+    const loadAlumni = async () => {
+      setLoading(true);
+      try {
+        const params = { page };
+        Object.entries(filters).forEach(([key, value]) => {
+          if (value) params[key] = value;
+        });
+
+        const response = await api.get('/users/alumni', { params });
+        setAlumni(response.data.data.alumni);
+        setPagination(response.data.data.pagination);
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to load alumni directory');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadAlumni();
+  }, [api, page, filters, reloadKey]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    const form = new FormData(e.target);
+    setPage(1);
+    setFilters({
+      search: form.get('search').trim(),
+      course: form.get('course'),
+      graduationYear: form.get('graduationYear').trim(),
+    });
+  };
+
+  const handleToggleListing = async () => {
+    try {
+      const response = await api.put('/users/profile', { alumniDirectoryOptIn: !user.alumniDirectoryOptIn });
+      updateUser({ alumniDirectoryOptIn: response.data.data.alumniDirectoryOptIn });
+      toast.success(response.data.data.alumniDirectoryOptIn ? 'You are now listed in the directory' : 'You are no longer listed');
+      setReloadKey(reloadKey + 1);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update directory listing');
+    }
+  };
+
+  return (
+    <motion.div
+      className="space-y-6"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+    >
+      <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Alumni Directory</h1>
+
+      {user?.role === 'alumni' && (
+        <div className="card p-4 flex flex-wrap items-center justify-between gap-4">
+          <p className="text-sm text-gray-700 dark:text-gray-300">
+            {user.alumniDirectoryOptIn
+              ? 'Your name, course and graduation year are listed in the directory.'
+              : 'You are not listed. Other members only see your name, course and graduation year if you join.'}
+          </p>
+          <button type="button" className="btn-secondary" onClick={handleToggleListing}>
+            {user.alumniDirectoryOptIn ? 'Leave directory' : 'Join directory'}
+          </button>
+        </div>
+      )}
+
+      <form onSubmit={handleSearch} className="card p-4 flex flex-wrap items-center gap-2">
+        <input
+          name="search"
+          type="search"
+          className="input"
+          placeholder="Name"
+          defaultValue={filters.search}
+        />
+        <select name="course" className="input" defaultValue={filters.course}>
+          <option value="">All courses</option>
+          {courses.map(course => (
+            <option key={course._id} value={course._id}>{course.code} - {course.name}</option>
+          ))}
+        </select>
+        <input
+          name="graduationYear"
+          type="number"
+          className="input w-40"
+          placeholder="Graduation year"
+          defaultValue={filters.graduationYear}
+        />
+        <button type="submit" className="btn-secondary flex items-center">
+          <MagnifyingGlassIcon className="h-4 w-4 mr-1" />
+          Search
+        </button>
+      </form>
+
+      {loading ? (
+        <LoadingSpinner text="Loading alumni..." />
+      ) : alumni.length === 0 ? (
+        <div className="card p-6 text-sm text-gray-600 dark:text-gray-400">No alumni found.</div>
+      ) : (
+        <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+          {alumni.map(member => (
+            <div key={member._id} className="card p-4 flex items-center space-x-3">
+              {member.avatar ? (
+                <img src={member.avatar} alt="" className="h-12 w-12 rounded-full object-cover" />
+              ) : (
+                <UserCircleIcon className="h-12 w-12 text-gray-400" />
+              )}
+              <div>
+                <div className="font-medium text-gray-900 dark:text-white">{member.firstName} {member.lastName}</div>
+                <div className="text-sm text-gray-500 dark:text-gray-400">
+                  {member.course?.name}{member.graduationYear && `, class of ${member.graduationYear}`}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {pagination && pagination.pages > 1 && (
+        <div className="flex items-center justify-between text-sm text-gray-600 dark:text-gray-400">
+          <span>Page {pagination.current} of {pagination.pages}</span>
+          <div className="space-x-2">
+            <button
+              type="button"
+              className="btn-secondary py-1"
+              disabled={!pagination.hasPrev}
+              onClick={() => setPage(page - 1)}
+            >
+              Previous
+            </button>
+            <button
+              type="button"
+              className="btn-secondary py-1"
+              disabled={!pagination.hasNext}
+              onClick={() => setPage(page + 1)}
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default AlumniDirectoryPage;
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { AcademicCapIcon, EyeIcon, EyeSlashIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+import PasswordStrengthMeter, { evaluatePassword, usePasswordPolicy } from '../../components/UI/PasswordStrengthMeter';
+
+const AcceptInvitationPage = () => {
+  const { token } = useParams();
+  const { acceptInvitation, loading } = useAuth();
+  const navigate = useNavigate();
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const passwordPolicy = usePasswordPolicy();
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!evaluatePassword(password, passwordPolicy).isValid) {
+      toast.error('Password does not meet the requirements');
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    const result = await acceptInvitation(token, password);
+    if (result.success) {
+      navigate('/dashboard', { replace: true });
+    } else {
+      setError(result.errors ? result.errors.map(item => item.message).join(' ') : result.error);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 py-12 px-4 sm:px-6 lg:px-8">
+      <motion.div
+        className="max-w-md w-full space-y-8"
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+      >
+        <div className="text-center">
+          <AcademicCapIcon className="mx-auto h-12 w-12 text-primary-600" />
+          <h2 className="mt-6 text-3xl font-extrabold text-gray-900 dark:text-white">
+            Accept your invitation
+          </h2>
+          <p className="mt-2 text-sm text-gray-600 dark:text-gray-400">
+            Choose a password to finish setting up your account
+          </p>
+        </div>
+
+        {error && (
+          <div className="alert-error">
+            {error}
+          </div>
+        )}
+
+        <form className="card p-6 space-y-6" onSubmit={handleSubmit}>
+          <div>
+            <label htmlFor="password" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Password
+            </label>
+            <div className="relative">
+              <input
+                id="password"
+                type={showPassword ? 'text' : 'password'}
+                required
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="input pr-10"
+                placeholder="Create a strong password"
+              />
+              <button
+                type="button"
+                className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                onClick={() => setShowPassword(!showPassword)}
+              >
+                {showPassword ? (
+                  <EyeSlashIcon className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+                ) : (
+                  <EyeIcon className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+                )}
+              </button>
+            </div>
+            <PasswordStrengthMeter password={password} policy={passwordPolicy} />
+          </div>
+
+          <div>
+            <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Confirm password
+            </label>
+            <input
+              id="confirmPassword"
+              type={showPassword ? 'text' : 'password'}
+              required
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              className="input"
+              placeholder="Repeat your password"
+            />
+          </div>
+
+          <button type="submit" className="btn-primary w-full" disabled={loading}>
+            {loading ? 'Setting up...' : 'Set password and sign in'}
+          </button>
+        </form>
+
+        <p className="text-center text-sm text-gray-600 dark:text-gray-400">
+          Already set a password?{' '}
+          <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+            Sign in
+          </Link>
+        </p>
+      </motion.div>
+    </div>
+  );
+};
+
+export default AcceptInvitationPage;
@@ -0,0 +1,185 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { EyeIcon, EyeSlashIcon, UserGroupIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+import PasswordStrengthMeter, { evaluatePassword, usePasswordPolicy } from '../../components/UI/PasswordStrengthMeter';
+
+const GuardianInvitationPage = () => {
+  const { token } = useParams();
+  const { acceptGuardianInvitation, loading, api } = useAuth();
+  const navigate = useNavigate();
+  const [invitation, setInvitation] = useState(null);
+  const [formData, setFormData] = useState({ firstName: '', lastName: '', password: '', confirmPassword: '' });
+  const [showPassword, setShowPassword] = useState(false);
+  const passwordPolicy = usePasswordPolicy();
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    api.get(`/guardians/invitations/${token}`)
+      .then((response) => setInvitation(response.data.data))
+      .catch((err) => setError(err.response?.data?.message || 'Failed to load invitation'));
+  }, [api, token]);
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    let details = {};
+    if (!invitation.hasAccount) {
+      if (!evaluatePassword(formData.password, passwordPolicy).isValid) {
+        toast.error('Password does not meet the requirements');
+        return;
+      }
+
+      if (formData.password !== formData.confirmPassword) {
+        toast.error('Passwords do not match');
+        return;
+      }
+
+      details = { firstName: formData.firstName, lastName: formData.lastName, password: formData.password };
+    }
+
+    const result = await acceptGuardianInvitation(token, details);
+    if (result.success) {
+      navigate(result.linked ? '/login' : '/guardians', { replace: true });
+    } else {
+      setError(result.errors ? result.errors.map(item => item.message).join(' ') : result.error);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 py-12 px-4 sm:px-6 lg:px-8">
+      <motion.div
+        className="max-w-md w-full space-y-8"
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+      >
+        <div className="text-center">
+          <UserGroupIcon className="mx-auto h-12 w-12 text-primary-600" />
+          <h2 className="mt-6 text-3xl font-extrabold text-gray-900 dark:text-white">
+            Guardian invitation
+          </h2>
+          {invitation && (
+            <p className="mt-2 text-sm text-gray-600 dark:text-gray-400">
+              {invitation.studentName} invited {invitation.email} to follow their exams, holidays and events
+            </p>
+          )}
+        </div>
+
+        {error && (
+          <div className="alert-error">
+            {error}
+          </div>
+        )}
+
+        {!invitation && !error && <LoadingSpinner text="Loading invitation..." />}
+
+        {invitation && (
+          <form className="card p-6 space-y-6" onSubmit={handleSubmit}>
+            {invitation.hasAccount ? (
+              <p className="text-sm text-gray-700 dark:text-gray-300">
+                You already have a guardian account. Accept to add {invitation.studentName} to it.
+              </p>
+            ) : (
+              <>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label htmlFor="firstName" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                      First name
+                    </label>
+                    <input
+                      id="firstName"
+                      name="firstName"
+                      required
+                      value={formData.firstName}
+                      onChange={handleChange}
+                      className="input"
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="lastName" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                      Last name
+                    </label>
+                    <input
+                      id="lastName"
+                      name="lastName"
+                      required
+                      value={formData.lastName}
+                      onChange={handleChange}
+                      className="input"
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label htmlFor="password" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Password
+                  </label>
+                  <div className="relative">
+                    <input
+                      id="password"
+                      name="password"
+                      type={showPassword ? 'text' : 'password'}
+                      required
+                      value={formData.password}
+                      onChange={handleChange}
+                      className="input pr-10"
+                      placeholder="Create a strong password"
+                    />
+                    <button
+                      type="button"
+                      className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                      onClick={() => setShowPassword(!showPassword)}
+                    >
+                      {showPassword ? (
+                        <EyeSlashIcon className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+                      ) : (
+                        <EyeIcon className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+                      )}
+                    </button>
+                  </div>
+                  <PasswordStrengthMeter password={formData.password} policy={passwordPolicy} />
+                </div>
+
+                <div>
+                  <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Confirm password
+                  </label>
+                  <input
+                    id="confirmPassword"
+                    name="confirmPassword"
+                    type={showPassword ? 'text' : 'password'}
+                    required
+                    value={formData.confirmPassword}
+                    onChange={handleChange}
+                    className="input"
+                    placeholder="Repeat your password"
+                  />
+                </div>
+              </>
+            )}
+
+            <button type="submit" className="btn-primary w-full" disabled={loading}>
+              {loading ? 'Accepting...' : invitation.hasAccount ? 'Accept invitation' : 'Create account and accept'}
+            </button>
+          </form>
+        )}
+
+        <p className="text-center text-sm text-gray-600 dark:text-gray-400">
+          <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+            Back to sign in
+          </Link>
+        </p>
+      </motion.div>
+    </div>
+  );
+};
+
+export default GuardianInvitationPage;
@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { EyeIcon, EyeSlashIcon } from '@heroicons/react/24/outline';
+import { EyeIcon, EyeSlashIcon, ShieldCheckIcon, BuildingLibraryIcon } from '@heroicons/react/24/outline';
 import { useAuth } from '../../contexts/AuthContext';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
 
@@ -12,11 +12,20 @@ const LoginPage = () => {
   });
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [ssoProviders, setSsoProviders] = useState([]);
+  const [magicLinkEnabled, setMagicLinkEnabled] = useState(false);
+  const [magicLinkMode, setMagicLinkMode] = useState(false);
+  const [magicLinkSent, setMagicLinkSent] = useState(false);
 
-  const { login, isAuthenticated, error, clearError } = useAuth();
+  const { login, verifyTwoFactor, requestMagicLink, isAuthenticated, error, clearError, api } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
 
+  // SSO logins for accounts with 2FA arrive here with a challenge already issued
+  const [challengeToken, setChallengeToken] = useState(location.state?.challengeToken || null);
+
   const from = location.state?.from?.pathname || '/dashboard';
 
   useEffect(() => {
@@ -29,6 +38,21 @@ const LoginPage = () => {
     clearError();
   }, [clearError]);
 
+  useEffect(() => {
+    api.get('/auth/sso/providers')
+      .then((response) => setSsoProviders(response.data.data))
+      .catch(() => setSsoProviders([]));
+
+    api.get('/auth/magic-link')
+      .then((response) => setMagicLinkEnabled(response.data.data.enabled))
+      .catch(() => setMagicLinkEnabled(false));
+  }, [api]);
+
+  const handleSsoLogin = (provider) => {
+    const params = new URLSearchParams({ returnTo: from });
+    window.location.href = `${api.defaults.baseURL}/auth/sso/${provider.id}?${params.toString()}`;
+  };
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -41,15 +65,141 @@ const LoginPage = () => {
     e.preventDefault();
     setIsLoading(true);
 
+    if (magicLinkMode) {
+      const result = await requestMagicLink(formData.email);
+      setMagicLinkSent(result.success);
+      setIsLoading(false);
+      return;
+    }
+
     const result = await login(formData.email, formData.password);
     
-    if (result.success) {
+    if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+    } else if (result.success) {
       navigate(from, { replace: true });
     }
     
     setIsLoading(false);
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+
+    const result = await verifyTwoFactor(
+      challengeToken,
+      useRecoveryCode ? { recoveryCode: twoFactorCode } : { code: twoFactorCode }
+    );
+
+    if (result.success) {
+      navigate(from, { replace: true });
+    }
+
+    setIsLoading(false);
+  };
+
+  const handleBackToLogin = () => {
+    setChallengeToken(null);
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+    clearError();
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 py-12 px-4 sm:px-6 lg:px-8">
+        <motion.div 
+          className="max-w-md w-full space-y-8"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5 }}
+        >
+          <div>
+            <div className="mx-auto h-12 w-12 bg-gradient-to-r from-primary-600 to-purple-600 rounded-lg flex items-center justify-center">
+              <ShieldCheckIcon className="h-7 w-7 text-white" />
+            </div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900 dark:text-white">
+              Two-factor authentication
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600 dark:text-gray-400">
+              {useRecoveryCode
+                ? 'Enter one of your recovery codes'
+                : 'Enter the 6-digit code from your authenticator app'}
+            </p>
+          </div>
+
+          <form className="mt-8 space-y-6" onSubmit={handleTwoFactorSubmit}>
+            {error && (
+              <motion.div 
+                className="alert-error"
+                initial={{ opacity: 0, scale: 0.95 }}
+                animate={{ opacity: 1, scale: 1 }}
+                transition={{ duration: 0.2 }}
+              >
+                {error}
+              </motion.div>
+            )}
+
+            <div>
+              <label htmlFor="twoFactorCode" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                {useRecoveryCode ? 'Recovery code' : 'Verification code'}
+              </label>
+              <input
+                id="twoFactorCode"
+                name="twoFactorCode"
+                type="text"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                maxLength={useRecoveryCode ? 11 : 6}
+                required
+                autoFocus
+                className="input mt-1 text-center tracking-widest"
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                value={twoFactorCode}
+                onChange={(e) => setTwoFactorCode(e.target.value)}
+              />
+            </div>
+
+            <div className="flex items-center justify-between text-sm">
+              <button
+                type="button"
+                className="font-medium text-primary-600 hover:text-primary-500 dark:text-primary-400"
+                onClick={() => {
+                  setUseRecoveryCode(!useRecoveryCode);
+                  setTwoFactorCode('');
+                }}
+              >
+                {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+              </button>
+              <button
+                type="button"
+                className="font-medium text-gray-600 hover:text-gray-500 dark:text-gray-400"
+                onClick={handleBackToLogin}
+              >
+                Back to sign in
+              </button>
+            </div>
+
+            <div>
+              <button
+                type="submit"
+                disabled={isLoading}
+                className="btn-primary w-full flex justify-center items-center"
+              >
+                {isLoading ? (
+                  <LoadingSpinner size="sm" color="white" />
+                ) : (
+                  'Verify'
+                )}
+              </button>
+            </div>
+          </form>
+        </motion.div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 py-12 px-4 sm:px-6 lg:px-8">
       <motion.div 
@@ -106,37 +256,45 @@ const LoginPage = () => {
               />
             </div>
 
-            <div>
-              <label htmlFor="password" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
-                Password
-              </label>
-              <div className="mt-1 relative">
-                <input
-                  id="password"
-                  name="password"
-                  type={showPassword ? 'text' : 'password'}
-                  autoComplete="current-password"
-                  required
-                  className="input pr-10"
-                  placeholder="Enter your password"
-                  value={formData.password}
-                  onChange={handleChange}
-                />
-                <button
-                  type="button"
-                  className="absolute inset-y-0 right-0 pr-3 flex items-center"
-                  onClick={() => setShowPassword(!showPassword)}
-                >
-                  {showPassword ? (
-                    <EyeSlashIcon className="h-5 w-5 text-gray-400" />
-                  ) : (
-                    <EyeIcon className="h-5 w-5 text-gray-400" />
-                  )}
-                </button>
+            {!magicLinkMode && (
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Password
+                </label>
+                <div className="mt-1 relative">
+                  <input
+                    id="password"
+                    name="password"
+                    type={showPassword ? 'text' : 'password'}
+                    autoComplete="current-password"
+                    required
+                    className="input pr-10"
+                    placeholder="Enter your password"
+                    value={formData.password}
+                    onChange={handleChange}
+                  />
+                  <button
+                    type="button"
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                    onClick={() => setShowPassword(!showPassword)}
+                  >
+                    {showPassword ? (
+                      <EyeSlashIcon className="h-5 w-5 text-gray-400" />
+                    ) : (
+                      <EyeIcon className="h-5 w-5 text-gray-400" />
+                    )}
+                  </button>
+                </div>
               </div>
-            </div>
+            )}
           </div>
 
+          {magicLinkSent && (
+            <div className="alert-success">
+              Check your inbox for a sign-in link. It can only be used once.
+            </div>
+          )}
+
           <div className="flex items-center justify-between">
             <div className="text-sm">
               <Link
@@ -146,6 +304,20 @@ const LoginPage = () => {
                 Forgot your password?
               </Link>
             </div>
+            {magicLinkEnabled && (
+              <div className="text-sm">
+                <button
+                  type="button"
+                  className="font-medium text-primary-600 hover:text-primary-500 dark:text-primary-400"
+                  onClick={() => {
+                    setMagicLinkMode(!magicLinkMode);
+                    setMagicLinkSent(false);
+                  }}
+                >
+                  {magicLinkMode ? 'Sign in with password' : 'Email me a sign-in link'}
+                </button>
+              </div>
+            )}
           </div>
 
           <div>
@@ -157,11 +329,38 @@ const LoginPage = () => {
               {isLoading ? (
                 <LoadingSpinner size="sm" color="white" />
               ) : (
-                'Sign in'
+                magicLinkMode ? 'Send sign-in link' : 'Sign in'
               )}
             </button>
           </div>
         </form>
+
+        {ssoProviders.length > 0 && (
+          <div className="space-y-4">
+            <div className="relative">
+              <div className="absolute inset-0 flex items-center">
+                <div className="w-full border-t border-gray-300 dark:border-gray-700" />
+              </div>
+              <div className="relative flex justify-center text-sm">
+                <span className="px-2 bg-gray-50 dark:bg-gray-900 text-gray-500 dark:text-gray-400">
+                  Or continue with
+                </span>
+              </div>
+            </div>
+
+            {ssoProviders.map((provider) => (
+              <button
+                key={provider.id}
+                type="button"
+                className="btn-secondary w-full flex justify-center items-center"
+                onClick={() => handleSsoLogin(provider)}
+              >
+                <BuildingLibraryIcon className="h-5 w-5 mr-2" />
+                {provider.name}
+              </button>
+            ))}
+          </div>
+        )}
       </motion.div>
     </div>
   );
@@ -0,0 +1,60 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { XCircleIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+
+const MagicLinkPage = () => {
+  const { token } = useParams();
+  const { loginWithMagicLink } = useAuth();
+  const navigate = useNavigate();
+  const [error, setError] = useState(null);
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Sign-in links are single-use; guard against StrictMode double effects
+    if (requested.current) return;
+    requested.current = true;
+
+    loginWithMagicLink(token).then((result) => {
+      if (result.twoFactorRequired) {
+        navigate('/login', { replace: true, state: { challengeToken: result.challengeToken } });
+      } else if (result.success) {
+        navigate('/dashboard', { replace: true });
+      } else {
+        setError(result.error);
+      }
+    });
+  }, [token, loginWithMagicLink, navigate]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 py-12 px-4 sm:px-6 lg:px-8">
+      <motion.div
+        className="max-w-md w-full space-y-6 text-center"
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+      >
+        {error ? (
+          <>
+            <XCircleIcon className="mx-auto h-12 w-12 text-red-500" />
+            <h2 className="text-3xl font-extrabold text-gray-900 dark:text-white">
+              Unable to sign in
+            </h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              {error}
+            </p>
+            <Link to="/login" className="btn-primary">
+              Back to sign in
+            </Link>
+          </>
+        ) : (
+          <LoadingSpinner size="lg" text="Signing you in..." />
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+export default MagicLinkPage;
@@ -13,10 +13,12 @@ import {
   ClipboardDocumentListIcon
 } from '@heroicons/react/24/outline';
 import { useAuth } from '../../contexts/AuthContext';
+import PasswordStrengthMeter, { evaluatePassword, usePasswordPolicy } from '../../components/UI/PasswordStrengthMeter';
 
 const RegisterPage = () => {
   const navigate = useNavigate();
   const { register, loading } = useAuth();
+  const passwordPolicy = usePasswordPolicy();
   const [currentStep, setCurrentStep] = useState(1);
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
@@ -54,6 +56,8 @@ const RegisterPage = () => {
 
   const semesters = ['1', '2', '3', '4', '5', '6', '7', '8'];
 
+  const personalInfo = [...formData.name.split(/\s+/), formData.email.split('@')[0]];
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -91,8 +95,8 @@ const RegisterPage = () => {
       setError('Password is required');
       return false;
     }
-    if (formData.password.length < 6) {
-      setError('Password must be at least 6 characters long');
+    if (!evaluatePassword(formData.password, passwordPolicy, personalInfo).isValid) {
+      setError('Password does not meet the requirements below');
       return false;
     }
     if (formData.password !== formData.confirmPassword) {
@@ -277,9 +281,11 @@ const RegisterPage = () => {
             )}
           </button>
         </div>
-        <p className="mt-2 text-sm text-gray-600 dark:text-gray-400">
-          Password must be at least 6 characters long
-        </p>
+        <PasswordStrengthMeter
+          password={formData.password}
+          policy={passwordPolicy}
+          personalInfo={personalInfo}
+        />
       </div>
 
       <div>
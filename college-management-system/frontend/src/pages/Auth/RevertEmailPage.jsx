@@ -0,0 +1,78 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { EnvelopeIcon, XCircleIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+
+const RevertEmailPage = () => {
+  const { token } = useParams();
+  const { revertEmailChange } = useAuth();
+  const [status, setStatus] = useState('loading');
+  const [message, setMessage] = useState('');
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Revert links are single-use; guard against StrictMode double effects
+    if (requested.current) return;
+    requested.current = true;
+
+    revertEmailChange(token).then((result) => {
+      setStatus(result.success ? 'success' : 'error');
+      setMessage(result.message || result.error || '');
+    });
+  }, [token, revertEmailChange]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 py-12 px-4 sm:px-6 lg:px-8">
+      <motion.div
+        className="max-w-md w-full space-y-6 text-center"
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+      >
+        {status === 'loading' && (
+          <LoadingSpinner size="lg" text="Restoring your email address..." />
+        )}
+
+        {status === 'success' && (
+          <>
+            <EnvelopeIcon className="mx-auto h-12 w-12 text-green-500" />
+            <h2 className="text-3xl font-extrabold text-gray-900 dark:text-white">
+              Email address restored
+            </h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              {message}
+            </p>
+          </>
+        )}
+
+        {status === 'error' && (
+          <>
+            <XCircleIcon className="mx-auto h-12 w-12 text-red-500" />
+            <h2 className="text-3xl font-extrabold text-gray-900 dark:text-white">
+              Unable to restore email
+            </h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              {message}
+            </p>
+          </>
+        )}
+
+        {status === 'success' && (
+          <Link to="/forgot-password" className="btn-primary">
+            Reset your password
+          </Link>
+        )}
+
+        {status === 'error' && (
+          <Link to="/login" className="btn-primary">
+            Go to sign in
+          </Link>
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+export default RevertEmailPage;
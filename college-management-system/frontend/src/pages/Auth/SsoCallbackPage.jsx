@@ -0,0 +1,71 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { XCircleIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+
+const SsoCallbackPage = () => {
+  const [searchParams] = useSearchParams();
+  const { exchangeSsoCode } = useAuth();
+  const navigate = useNavigate();
+  const [error, setError] = useState(searchParams.get('error'));
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Login codes are single-use; guard against StrictMode double effects
+    if (requested.current || error) return;
+    requested.current = true;
+
+    const code = searchParams.get('code');
+    const returnTo = searchParams.get('returnTo') || '/dashboard';
+
+    if (!code) {
+      setError('Sign-in response is missing its login code');
+      return;
+    }
+
+    exchangeSsoCode(code).then((result) => {
+      if (result.twoFactorRequired) {
+        navigate('/login', {
+          replace: true,
+          state: { challengeToken: result.challengeToken, from: { pathname: returnTo } },
+        });
+      } else if (result.success) {
+        navigate(returnTo, { replace: true });
+      } else {
+        setError(result.error);
+      }
+    });
+  }, [searchParams, error, exchangeSsoCode, navigate]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 py-12 px-4 sm:px-6 lg:px-8">
+      <motion.div
+        className="max-w-md w-full space-y-6 text-center"
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+      >
+        {error ? (
+          <>
+            <XCircleIcon className="mx-auto h-12 w-12 text-red-500" />
+            <h2 className="text-3xl font-extrabold text-gray-900 dark:text-white">
+              Single sign-on failed
+            </h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              {error}
+            </p>
+            <Link to="/login" className="btn-primary">
+              Back to sign in
+            </Link>
+          </>
+        ) : (
+          <LoadingSpinner size="lg" text="Signing you in..." />
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+export default SsoCallbackPage;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { ShieldExclamationIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+import TwoFactorSettings from '../../components/Profile/TwoFactorSettings';
+
+// Where ProtectedRoute sends users whose role requires 2FA until they have enrolled
+const TwoFactorSetupPage = () => {
+  const { twoFactorSetupRequired, completeTwoFactorSetup, logout } = useAuth();
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 py-12 px-4 sm:px-6 lg:px-8">
+      <motion.div
+        className="max-w-md w-full space-y-6"
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+      >
+        <div className="text-center space-y-2">
+          <ShieldExclamationIcon className="mx-auto h-12 w-12 text-primary-600" />
+          <h2 className="text-3xl font-extrabold text-gray-900 dark:text-white">
+            Set up two-factor authentication
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Your role requires a code from an authenticator app at sign-in.
+          </p>
+        </div>
+
+        <TwoFactorSettings onEnabled={completeTwoFactorSetup} />
+
+        <div className="flex justify-center gap-2">
+          {!twoFactorSetupRequired && (
+            <Link to="/dashboard" className="btn-primary">
+              Continue
+            </Link>
+          )}
+          <button type="button" className="btn-secondary" onClick={logout}>
+            Sign out
+          </button>
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default TwoFactorSetupPage;
@@ -0,0 +1,135 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { MagnifyingGlassIcon, UserCircleIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+
+const TeacherDirectoryPage = () => {
+  const { api } = useAuth();
+  const [teachers, setTeachers] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [filters, setFilters] = useState({ search: '', department: '' });
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const loadTeachers = async () => {
+      setLoading(true);
+      try {
+        const response = await api.get('/users/teachers', {
+          params: {
+            page,
+            search: filters.search || undefined,
+            department: filters.department || undefined,
+          },
+        });
+        setTeachers(response.data.data.teachers);
+        setDepartments(response.data.data.departments);
+        setPagination(response.data.data.pagination);
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to load teacher directory');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadTeachers();
+  }, [api, page, filters]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    const form = new FormData(e.target);
+    setPage(1);
+    setFilters({ search: form.get('search').trim(), department: form.get('department') });
+  };
+
+  return (
+    <motion.div
+      className="space-y-6"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+    >
+      <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Teachers</h1>
+
+      <form onSubmit={handleSearch} className="card p-4 flex flex-wrap items-center gap-2">
+        <input
+          name="search"
+          type="search"
+          className="input"
+          placeholder="Name or subject area"
+          defaultValue={filters.search}
+        />
+        <select name="department" className="input" defaultValue={filters.department}>
+          <option value="">All departments</option>
+          {departments.map(department => (
+            <option key={department} value={department}>{department}</option>
+          ))}
+        </select>
+        <button type="submit" className="btn-secondary flex items-center">
+          <MagnifyingGlassIcon className="h-4 w-4 mr-1" />
+          Search
+        </button>
+      </form>
+
+      {loading ? (
+        <LoadingSpinner text="Loading teachers..." />
+      ) : teachers.length === 0 ? (
+        <div className="card p-6 text-sm text-gray-600 dark:text-gray-400">No teachers found.</div>
+      ) : (
+        <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+          {teachers.map(teacher => (
+            <Link key={teacher._id} to={`/users/${teacher._id}`} className="card p-4 flex items-start space-x-3 hover:shadow-md">
+              {teacher.avatar ? (
+                <img src={teacher.avatar} alt="" className="h-12 w-12 rounded-full object-cover" />
+              ) : (
+                <UserCircleIcon className="h-12 w-12 text-gray-400" />
+              )}
+              <div className="min-w-0">
+                <div className="font-medium text-gray-900 dark:text-white">{teacher.firstName} {teacher.lastName}</div>
+                <div className="text-sm text-gray-500 dark:text-gray-400 capitalize">
+                  {teacher.role.replace('_', ' ')} · {teacher.department}
+                </div>
+                {teacher.officeHours?.length > 0 && (
+                  <div className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                    Office hours: {teacher.officeHours.map(slot => `${slot.day.slice(0, 3)} ${slot.startTime}-${slot.endTime}`).join(', ')}
+                  </div>
+                )}
+                {teacher.email && <div className="mt-1 text-xs text-primary-600 truncate">{teacher.email}</div>}
+              </div>
+            </Link>
+          ))}
+        </div>
+      )}
+
+      {pagination && pagination.pages > 1 && (
+        <div className="flex items-center justify-between text-sm text-gray-600 dark:text-gray-400">
+          <span>Page {pagination.current} of {pagination.pages}</span>
+          <div className="space-x-2">
+            <button
+              type="button"
+              className="btn-secondary py-1"
+              disabled={!pagination.hasPrev}
+              onClick={() => setPage(page - 1)}
+            >
+              Previous
+            </button>
+            <button
+              type="button"
+              className="btn-secondary py-1"
+              disabled={!pagination.hasNext}
+              onClick={() => setPage(page + 1)}
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default TeacherDirectoryPage;
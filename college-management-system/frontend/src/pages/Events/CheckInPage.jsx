@@ -0,0 +1,207 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { ArrowDownTrayIcon, CheckCircleIcon, ExclamationTriangleIcon, XCircleIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+import { saveResponseAsFile } from '../../utils/download';
+
+const StatCard = ({ label, value }) => (
+  <div className="card p-4">
+    <div className="text-sm text-gray-600 dark:text-gray-400">{label}</div>
+    <div className="text-2xl font-bold text-gray-900 dark:text-white">{value ?? '—'}</div>
+  </div>
+);
+
+// Handheld QR scanners type the ticket like a keyboard and press Enter, so the field keeps focus
+const CheckInPage = () => {
+  const { id } = useParams();
+  const { api } = useAuth();
+  const [attendance, setAttendance] = useState(null);
+  const [error, setError] = useState('');
+  const [token, setToken] = useState('');
+  const [search, setSearch] = useState('');
+  const [result, setResult] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadAttendance = useCallback(() => {
+    api.get(`/events/${id}/attendance`)
+      .then((response) => {
+        setAttendance(response.data.data);
+        setError('');
+      })
+      .catch((requestError) => setError(requestError.response?.data?.message || 'Failed to load attendance'));
+  }, [api, id]);
+
+  useEffect(() => {
+    loadAttendance();
+  }, [loadAttendance]);
+
+  const checkIn = async (payload) => {
+    setSubmitting(true);
+    try {
+      const response = await api.post(`/events/${id}/check-in`, payload);
+      setResult({ ok: true, ...response.data.data });
+      loadAttendance();
+    } catch (error) {
+      setResult({ ok: false, message: error.response?.data?.message || 'Check-in failed' });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleScan = async (e) => {
+    e.preventDefault();
+    await checkIn({ token: token.trim() });
+    setToken('');
+  };
+
+  const handleUndo = async (attendee) => {
+    try {
+      await api.delete(`/events/${id}/check-in/${attendee.id}`);
+      toast.success(`Check-in of ${attendee.name} undone`);
+      loadAttendance();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to undo check-in');
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const response = await api.get(`/events/${id}/attendance/export`, { responseType: 'blob' });
+      saveResponseAsFile(response, 'attendance.csv');
+    } catch (error) {
+      toast.error('Failed to export attendance');
+    }
+  };
+
+  // A recurring series is refused here; its occurrences are checked in once detached
+  if (!attendance) {
+    return error ? (
+      <div className="space-y-2">
+        <div className="alert-error">{error}</div>
+        <Link to={`/events/${id}`} className="text-sm text-primary-600 hover:underline">Back to event</Link>
+      </div>
+    ) : (
+      <LoadingSpinner text="Loading attendance..." />
+    );
+  }
+
+  const term = search.trim().toLowerCase();
+  const attendees = attendance.attendees.filter(attendee => !term
+    || attendee.name.toLowerCase().includes(term)
+    || attendee.email.toLowerCase().includes(term)
+    || (attendee.studentId || '').toLowerCase().includes(term));
+
+  return (
+    <motion.div
+      className="space-y-6"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+    >
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Check-in</h1>
+          <Link to={`/events/${id}`} className="text-sm text-primary-600 hover:underline">Back to event</Link>
+        </div>
+        <button type="button" className="btn-secondary flex items-center" onClick={handleExport}>
+          <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+          Export CSV
+        </button>
+      </div>
+
+      {error && <div className="alert-error">{error}</div>}
+
+      <form onSubmit={handleScan} className="card p-4 space-y-2">
+        <label htmlFor="token" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+          Scan a ticket or paste its contents
+        </label>
+        <div className="flex gap-2">
+          <input
+            id="token"
+            className="input font-mono text-xs"
+            autoFocus
+            autoComplete="off"
+            value={token}
+            onChange={(e) => setToken(e.target.value)}
+          />
+          <button type="submit" className="btn-primary" disabled={submitting || !token.trim()}>
+            Check in
+          </button>
+        </div>
+      </form>
+
+      {result && (
+        <div className={`card p-4 border-l-4 flex items-center ${!result.ok ? 'border-red-500' : result.alreadyCheckedIn ? 'border-yellow-500' : 'border-green-500'}`}>
+          {!result.ok ? (
+            <XCircleIcon className="h-8 w-8 text-red-500 mr-2" />
+          ) : result.alreadyCheckedIn ? (
+            <ExclamationTriangleIcon className="h-8 w-8 text-yellow-500 mr-2" />
+          ) : (
+            <CheckCircleIcon className="h-8 w-8 text-green-500 mr-2" />
+          )}
+          <div className="text-sm text-gray-700 dark:text-gray-300">
+            {result.ok ? (
+              <>
+                <div className="font-semibold text-gray-900 dark:text-white">
+                  {result.attendee.name}{result.attendee.studentId && ` (${result.attendee.studentId})`}
+                </div>
+                {result.alreadyCheckedIn
+                  ? `Already checked in at ${new Date(result.attendee.checkedInAt).toLocaleTimeString()}`
+                  : 'Checked in'}
+              </>
+            ) : result.message}
+          </div>
+        </div>
+      )}
+
+      <div className="grid gap-4 grid-cols-2 md:grid-cols-4">
+        <StatCard label="Registered" value={attendance.registered} />
+        <StatCard label="Checked in" value={attendance.checkedIn} />
+        <StatCard label={attendance.eventEnded ? 'No-shows' : 'Not yet arrived'} value={attendance.eventEnded ? attendance.noShows : attendance.notCheckedIn} />
+        <StatCard label="Attendance" value={attendance.attendanceRate !== null ? `${attendance.attendanceRate}%` : null} />
+      </div>
+
+      <div className="card p-6 space-y-4">
+        <input
+          className="input"
+          placeholder="Search by name, email or student ID"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        {attendees.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">No registrations match.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {attendees.map(attendee => (
+              <li key={attendee.id} className="py-2 flex items-center justify-between text-sm">
+                <div>
+                  <span className="font-medium text-gray-900 dark:text-white">{attendee.name}</span>
+                  <span className="text-gray-500 dark:text-gray-400"> · {attendee.studentId || attendee.email}</span>
+                  {attendee.checkedInAt && (
+                    <div className="text-xs text-green-600 dark:text-green-400">
+                      Checked in {new Date(attendee.checkedInAt).toLocaleString()} ({attendee.checkInMethod === 'qr' ? 'ticket' : 'manual'})
+                    </div>
+                  )}
+                </div>
+                {attendee.checkedInAt ? (
+                  <button type="button" className="btn-secondary" onClick={() => handleUndo(attendee)}>
+                    Undo
+                  </button>
+                ) : (
+                  <button type="button" className="btn-primary" disabled={submitting} onClick={() => checkIn({ userId: attendee.id })}>
+                    Check in
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+export default CheckInPage;
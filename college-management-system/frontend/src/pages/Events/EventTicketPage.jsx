@@ -0,0 +1,65 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { CheckCircleIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+
+const EventTicketPage = () => {
+  const { id } = useParams();
+  const { api } = useAuth();
+  const [ticket, setTicket] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    api.get(`/events/${id}/ticket`)
+      .then((response) => setTicket(response.data.data))
+      .catch((requestError) => setError(requestError.response?.data?.message || 'Failed to load your ticket'));
+  }, [api, id]);
+
+  return (
+    <motion.div
+      className="space-y-6"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+    >
+      <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Event Ticket</h1>
+
+      {error ? (
+        <div className="alert-error">{error}</div>
+      ) : !ticket ? (
+        <LoadingSpinner text="Loading your ticket..." />
+      ) : (
+        <div className="card p-6 max-w-md space-y-4">
+          <div>
+            <Link to={`/events/${ticket.event.id}`} className="text-lg font-semibold text-gray-900 dark:text-white hover:underline">
+              {ticket.event.title}
+            </Link>
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              {new Date(ticket.event.startDate).toLocaleDateString()}
+              {ticket.event.startTime && `, ${ticket.event.startTime}–${ticket.event.endTime}`}
+              {ticket.event.venue && ` · ${ticket.event.venue}`}
+            </p>
+          </div>
+
+          {ticket.checkedInAt ? (
+            <div className="flex items-center text-green-600 dark:text-green-400">
+              <CheckCircleIcon className="h-6 w-6 mr-2" />
+              Checked in at {new Date(ticket.checkedInAt).toLocaleString()}
+            </div>
+          ) : (
+            <>
+              <img src={ticket.qrCode} alt="Ticket QR code" className="w-64 h-64 mx-auto" />
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                Show this code at the entrance. It stops working if you unregister.
+              </p>
+            </>
+          )}
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default EventTicketPage;
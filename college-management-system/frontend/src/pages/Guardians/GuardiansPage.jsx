@@ -0,0 +1,235 @@
+import React, { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { UserPlusIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+
+const formatEventDate = (event) => `${new Date(event.startDate).toLocaleDateString()} ${event.startTime || ''}`;
+
+// A linked student's registered events and their course's upcoming exams and holidays
+const StudentSchedule = ({ studentId }) => {
+  const { api } = useAuth();
+  const [registered, setRegistered] = useState(null);
+  const [keyDates, setKeyDates] = useState(null);
+
+  useEffect(() => {
+    Promise.all([
+      api.get('/events/user/registered', { params: { student: studentId } }),
+      api.get(`/guardians/students/${studentId}/key-dates`),
+    ])
+      .then(([registeredResponse, keyDatesResponse]) => {
+        const now = new Date();
+        setRegistered(registeredResponse.data.data.filter(event => new Date(event.endDate) >= now));
+        setKeyDates(keyDatesResponse.data.data);
+      })
+      .catch((error) => toast.error(error.response?.data?.message || 'Failed to load schedule'));
+  }, [api, studentId]);
+
+  if (!registered || !keyDates) {
+    return <LoadingSpinner text="Loading schedule..." />;
+  }
+
+  const sections = [
+    { title: 'Upcoming exams and holidays', events: keyDates, empty: 'Nothing scheduled.' },
+    { title: 'Registered events', events: registered, empty: 'Not registered for any upcoming events.' },
+  ];
+
+  return (
+    <div className="grid gap-4 md:grid-cols-2">
+      {sections.map(section => (
+        <div key={section.title}>
+          <h4 className="text-sm font-medium text-gray-900 dark:text-white mb-2">{section.title}</h4>
+          {section.events.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">{section.empty}</p>
+          ) : (
+            <ul className="space-y-2">
+              {section.events.map(event => (
+                <li key={event._id} className="text-sm">
+                  <div className="text-gray-900 dark:text-white">{event.title}</div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400 capitalize">
+                    {event.eventType} · {formatEventDate(event)} · {event.venue}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const GuardiansPage = () => {
+  const { api, user } = useAuth();
+  const [links, setLinks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [invite, setInvite] = useState({ email: '', relationship: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const isGuardian = user?.role === 'guardian';
+
+  const loadLinks = async () => {
+    try {
+      const response = await api.get('/guardians');
+      setLinks(response.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load guardians');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadLinks();
+  }, []);
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = await api.post('/guardians/invitations', {
+        email: invite.email,
+        relationship: invite.relationship || undefined,
+      });
+      toast.success(response.data.message);
+      setInvite({ email: '', relationship: '' });
+      loadLinks();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send invitation');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRemove = async (link) => {
+    if (!window.confirm(isGuardian ? 'Stop following this student?' : 'Remove this guardian\'s access?')) return;
+
+    try {
+      const response = await api.delete(`/guardians/${link._id}`);
+      toast.success(response.data.message);
+      loadLinks();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove access');
+    }
+  };
+
+  const handleToggleDigest = async (link) => {
+    try {
+      const response = await api.put(`/guardians/${link._id}`, { digestEnabled: !link.digestEnabled });
+      toast.success(response.data.message);
+      setLinks(links.map(entry => (entry._id === link._id ? { ...entry, digestEnabled: !link.digestEnabled } : entry)));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update digest');
+    }
+  };
+
+  return (
+    <motion.div
+      className="space-y-6"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+    >
+      <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+        {isGuardian ? 'My Students' : 'Guardians'}
+      </h1>
+
+      {!isGuardian && (
+        <form onSubmit={handleInvite} className="card p-4 flex flex-wrap items-center gap-2">
+          <input
+            type="email"
+            className="input"
+            placeholder="Guardian's email"
+            required
+            value={invite.email}
+            onChange={(e) => setInvite({ ...invite, email: e.target.value })}
+          />
+          <input
+            className="input"
+            placeholder="Relationship (e.g. Mother)"
+            maxLength={30}
+            value={invite.relationship}
+            onChange={(e) => setInvite({ ...invite, relationship: e.target.value })}
+          />
+          <button type="submit" className="btn-primary flex items-center" disabled={submitting}>
+            <UserPlusIcon className="h-4 w-4 mr-1" />
+            Invite
+          </button>
+        </form>
+      )}
+
+      {loading ? (
+        <LoadingSpinner text="Loading..." />
+      ) : links.length === 0 ? (
+        <div className="card p-6 text-sm text-gray-600 dark:text-gray-400">
+          {isGuardian ? 'No students are linked to your account.' : 'You have not invited any guardians yet.'}
+        </div>
+      ) : isGuardian ? (
+        links.map(link => (
+          <div key={link._id} className="card p-6 space-y-4">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                  {link.student.firstName} {link.student.lastName}
+                </h2>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  {link.student.studentId}{link.student.semester && ` · Semester ${link.student.semester}`}
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                <label className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    className="h-4 w-4 text-primary-600 rounded mr-2"
+                    checked={link.digestEnabled}
+                    onChange={() => handleToggleDigest(link)}
+                  />
+                  Email digest
+                </label>
+                <button type="button" className="btn-secondary py-1" onClick={() => handleRemove(link)}>
+                  Unlink
+                </button>
+              </div>
+            </div>
+            <StudentSchedule studentId={link.student._id} />
+          </div>
+        ))
+      ) : (
+        <div className="card p-6">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 dark:text-gray-400">
+                <th className="px-3 py-2">Guardian</th>
+                <th className="px-3 py-2">Relationship</th>
+                <th className="px-3 py-2">Status</th>
+                <th className="px-3 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {links.map(link => (
+                <tr key={link._id}>
+                  <td className="px-3 py-2 text-gray-900 dark:text-white">
+                    {link.guardian ? `${link.guardian.firstName} ${link.guardian.lastName}` : link.email}
+                  </td>
+                  <td className="px-3 py-2 text-gray-600 dark:text-gray-400">{link.relationship || '-'}</td>
+                  <td className="px-3 py-2 text-gray-600 dark:text-gray-400">
+                    {link.status === 'active'
+                      ? 'Active'
+                      : new Date(link.invitationExpires) > new Date() ? 'Invited' : 'Invitation expired'}
+                  </td>
+                  <td className="px-3 py-2 text-right">
+                    <button type="button" className="btn-secondary py-1" onClick={() => handleRemove(link)}>
+                      {link.status === 'active' ? 'Remove' : 'Cancel'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default GuardiansPage;
@@ -0,0 +1,84 @@
+import React, { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { ArrowDownTrayIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+import { saveResponseAsFile } from '../../utils/download';
+
+// Read the JSON error out of a failed blob request
+const blobErrorMessage = async (error, fallback) => {
+  try {
+    return JSON.parse(await error.response.data.text()).message || fallback;
+  } catch (parseError) {
+    return fallback;
+  }
+};
+
+const IdCardPage = () => {
+  const { api } = useAuth();
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let objectUrl;
+
+    api.get('/users/me/id-card', { params: { format: 'png' }, responseType: 'blob' })
+      .then((response) => {
+        objectUrl = URL.createObjectURL(response.data);
+        setPreviewUrl(objectUrl);
+      })
+      .catch(async (requestError) => {
+        setError(await blobErrorMessage(requestError, 'Failed to load your ID card'));
+      });
+
+    return () => {
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [api]);
+
+  const handleDownload = async (format) => {
+    try {
+      const response = await api.get('/users/me/id-card', { params: { format }, responseType: 'blob' });
+      saveResponseAsFile(response, `id-card.${format}`);
+    } catch (requestError) {
+      toast.error(await blobErrorMessage(requestError, 'Failed to download your ID card'));
+    }
+  };
+
+  return (
+    <motion.div
+      className="space-y-6"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+    >
+      <h1 className="text-2xl font-bold text-gray-900 dark:text-white">ID Card</h1>
+
+      {error ? (
+        <div className="alert-error">{error}</div>
+      ) : !previewUrl ? (
+        <LoadingSpinner text="Generating your ID card..." />
+      ) : (
+        <div className="card p-6 space-y-4">
+          <img src={previewUrl} alt="Student ID card" className="w-full max-w-md rounded-lg shadow" />
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Print the PDF at 100% for a wallet-sized card. Staff can scan the QR code to check it.
+          </p>
+          <div className="flex flex-wrap gap-2">
+            <button type="button" className="btn-primary flex items-center" onClick={() => handleDownload('pdf')}>
+              <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+              Download PDF
+            </button>
+            <button type="button" className="btn-secondary flex items-center" onClick={() => handleDownload('png')}>
+              <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+              Download PNG
+            </button>
+          </div>
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default IdCardPage;
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { CheckCircleIcon, UserCircleIcon, XCircleIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+
+const REASONS = {
+  malformed: 'This is not a student ID card code.',
+  'invalid-signature': 'The card was not issued by this system or has been altered.',
+  expired: 'The card has expired.',
+  'account-inactive': 'The student\'s account has been deactivated.',
+  'not-enrolled': 'The holder is no longer an enrolled student.',
+  'student-id-changed': 'The student ID on the card is out of date.',
+};
+
+// Handheld QR scanners type the code like a keyboard, so a text field is enough
+const VerifyIdCardPage = () => {
+  const { api } = useAuth();
+  const [token, setToken] = useState('');
+  const [result, setResult] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setVerifying(true);
+    try {
+      const response = await api.post('/id-cards/verify', { token: token.trim() });
+      setResult(response.data.data);
+      setToken('');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to verify ID card');
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  return (
+    <motion.div
+      className="space-y-6"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+    >
+      <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Verify ID Card</h1>
+
+      <form onSubmit={handleSubmit} className="card p-4 space-y-2">
+        <label htmlFor="token" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+          Scan the QR code or paste its contents
+        </label>
+        <textarea
+          id="token"
+          rows={3}
+          className="input font-mono text-xs"
+          autoFocus
+          required
+          value={token}
+          onChange={(e) => setToken(e.target.value)}
+        />
+        <button type="submit" className="btn-primary" disabled={verifying || !token.trim()}>
+          {verifying ? 'Verifying...' : 'Verify'}
+        </button>
+      </form>
+
+      {result && (
+        <div className={`card p-6 border-l-4 ${result.valid ? 'border-green-500' : 'border-red-500'}`}>
+          <div className="flex items-center mb-4">
+            {result.valid ? (
+              <CheckCircleIcon className="h-8 w-8 text-green-500 mr-2" />
+            ) : (
+              <XCircleIcon className="h-8 w-8 text-red-500 mr-2" />
+            )}
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                {result.valid ? 'Valid ID card' : 'Not valid'}
+              </h2>
+              {!result.valid && (
+                <p className="text-sm text-gray-600 dark:text-gray-400">{REASONS[result.reason] || result.reason}</p>
+              )}
+            </div>
+          </div>
+
+          {result.card && (
+            <div className="flex items-start space-x-4">
+              {result.avatar ? (
+                <img src={result.avatar} alt="" className="h-24 w-20 rounded object-cover" />
+              ) : (
+                <UserCircleIcon className="h-20 w-20 text-gray-400" />
+              )}
+              <dl className="text-sm text-gray-700 dark:text-gray-300 space-y-1">
+                <div><dt className="inline font-medium">Name: </dt><dd className="inline">{result.card.name}</dd></div>
+                <div><dt className="inline font-medium">Student ID: </dt><dd className="inline">{result.card.studentId}</dd></div>
+                <div>
+                  <dt className="inline font-medium">Course: </dt>
+                  <dd className="inline">{result.card.course}{result.card.semester && `, semester ${result.card.semester}`}</dd>
+                </div>
+                <div>
+                  <dt className="inline font-medium">Valid until: </dt>
+                  <dd className="inline">{new Date(result.card.validUntil).toLocaleDateString()}</dd>
+                </div>
+              </dl>
+            </div>
+          )}
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default VerifyIdCardPage;
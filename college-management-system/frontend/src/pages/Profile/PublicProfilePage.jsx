@@ -0,0 +1,150 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { EnvelopeIcon, LockClosedIcon, UserCircleIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+import PublicProfileSettings from '../../components/Profile/PublicProfileSettings';
+import ChangeEmailForm from '../../components/Profile/ChangeEmailForm';
+import CalendarFeedSettings from '../../components/Profile/CalendarFeedSettings';
+import TwoFactorSettings from '../../components/Profile/TwoFactorSettings';
+
+const PublicProfilePage = () => {
+  const { id } = useParams();
+  const { api, user } = useAuth();
+  const [profile, setProfile] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+  const isOwnProfile = user?._id === id || user?.id === id;
+
+  useEffect(() => {
+    api.get(`/users/${id}/profile`)
+      .then(response => setProfile(response.data.data))
+      .catch(error => toast.error(error.response?.data?.message || 'Failed to load profile'));
+  }, [api, id, reloadKey]);
+
+  if (!profile) {
+    return <LoadingSpinner text="Loading profile..." />;
+  }
+
+  return (
+    <motion.div
+      className="space-y-6"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+    >
+      <div className="card p-6 flex flex-wrap items-center gap-4">
+        {profile.avatar ? (
+          <img src={profile.avatar} alt="" className="h-20 w-20 rounded-full object-cover" />
+        ) : (
+          <UserCircleIcon className="h-20 w-20 text-gray-400" />
+        )}
+        <div className="flex-1">
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">{profile.firstName} {profile.lastName}</h1>
+          <p className="text-sm text-gray-500 dark:text-gray-400 capitalize">
+            {profile.role.replace('_', ' ')}
+            {profile.department && ` · ${profile.department}`}
+            {profile.course && ` · ${profile.course.name}`}
+            {profile.semester && ` · Semester ${profile.semester}`}
+          </p>
+          {profile.email && (
+            <a href={`mailto:${profile.email}`} className="mt-1 inline-flex items-center text-sm text-primary-600 hover:text-primary-500">
+              <EnvelopeIcon className="h-4 w-4 mr-1" />
+              {profile.email}
+            </a>
+          )}
+        </div>
+        {isOwnProfile && (
+          <button type="button" className="btn-secondary" onClick={() => setEditing(!editing)}>
+            {editing ? 'Close' : 'Edit profile'}
+          </button>
+        )}
+      </div>
+
+      {editing && (
+        <>
+          <PublicProfileSettings
+            profile={profile}
+            onSaved={() => {
+              setEditing(false);
+              setReloadKey(reloadKey + 1);
+            }}
+          />
+          <ChangeEmailForm
+            onChanged={() => {
+              setEditing(false);
+              setReloadKey(reloadKey + 1);
+            }}
+          />
+          <TwoFactorSettings />
+          <CalendarFeedSettings />
+        </>
+      )}
+
+      {profile.isPrivate ? (
+        <div className="card p-6 flex items-center text-sm text-gray-600 dark:text-gray-400">
+          <LockClosedIcon className="h-5 w-5 mr-2" />
+          This profile is private.
+        </div>
+      ) : (
+        <>
+          {profile.bio && (
+            <div className="card p-6">
+              <p className="text-gray-700 dark:text-gray-300 whitespace-pre-line">{profile.bio}</p>
+            </div>
+          )}
+
+          {profile.officeHours?.length > 0 && (
+            <div className="card p-6">
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">Office hours</h2>
+              <ul className="space-y-1 text-sm text-gray-700 dark:text-gray-300">
+                {profile.officeHours.map(slot => (
+                  <li key={slot._id}>
+                    <span className="capitalize">{slot.day}</span> {slot.startTime} - {slot.endTime}
+                    {slot.location && ` · ${slot.location}`}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {profile.notes?.length > 0 && (
+            <div className="card p-6">
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">Contributed notes</h2>
+              <ul className="space-y-2">
+                {profile.notes.map(note => (
+                  <li key={note._id} className="text-sm">
+                    <Link to={`/notes/${note._id}`} className="text-primary-600 hover:text-primary-500">{note.title}</Link>
+                    <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                      {note.course?.code} · {note.subject?.name}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {profile.events?.length > 0 && (
+            <div className="card p-6">
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">Organized events</h2>
+              <ul className="space-y-2">
+                {profile.events.map(event => (
+                  <li key={event._id} className="text-sm">
+                    <Link to={`/events/${event._id}`} className="text-primary-600 hover:text-primary-500">{event.title}</Link>
+                    <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                      {new Date(event.startDate).toLocaleDateString()} · {event.venue}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </motion.div>
+  );
+};
+
+export default PublicProfilePage;
@@ -0,0 +1,290 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { ChevronLeftIcon, ChevronRightIcon, MagnifyingGlassIcon, PlusIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Event days are UTC calendar days, so the week grid is laid out in UTC too
+const startOfWeek = (date) => {
+  const day = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+};
+
+const toDateInput = (date) => date.toISOString().slice(0, 10);
+
+const formatDay = (date) => date.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+
+const formatTimes = (booking) => (booking.startTime && booking.endTime ? `${booking.startTime}–${booking.endTime}` : 'All day');
+
+// Bookings of one venue, a week at a time
+const VenueCalendar = ({ venue }) => {
+  const { api } = useAuth();
+  const [weekStart, setWeekStart] = useState(() => startOfWeek(new Date()));
+  const [bookings, setBookings] = useState(null);
+
+  useEffect(() => {
+    setBookings(null);
+    api.get(`/venues/${venue._id}/bookings`, {
+      params: { from: weekStart.toISOString(), to: new Date(weekStart.getTime() + 7 * DAY_MS).toISOString() },
+    })
+      .then((response) => setBookings(response.data.data.bookings))
+      .catch((error) => toast.error(error.response?.data?.message || 'Failed to load bookings'));
+  }, [api, venue._id, weekStart]);
+
+  const days = Array.from({ length: 7 }, (_, index) => new Date(weekStart.getTime() + index * DAY_MS));
+
+  // A multi-day booking shows on every day it covers
+  const bookingsOn = (day) => (bookings || []).filter((booking) => {
+    const start = new Date(booking.startDate).setUTCHours(0, 0, 0, 0);
+    const end = new Date(booking.endDate).setUTCHours(0, 0, 0, 0);
+    return start <= day.getTime() && day.getTime() <= end;
+  });
+
+  return (
+    <div className="card p-6 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">{venue.name}</h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            {venue.building}{venue.floor && `, floor ${venue.floor}`} · {venue.capacity} seats
+            {venue.facilities.length > 0 && ` · ${venue.facilities.join(', ')}`}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button type="button" className="btn-secondary" onClick={() => setWeekStart(new Date(weekStart.getTime() - 7 * DAY_MS))}>
+            <ChevronLeftIcon className="h-4 w-4" />
+          </button>
+          <button type="button" className="btn-secondary" onClick={() => setWeekStart(startOfWeek(new Date()))}>
+            This week
+          </button>
+          <button type="button" className="btn-secondary" onClick={() => setWeekStart(new Date(weekStart.getTime() + 7 * DAY_MS))}>
+            <ChevronRightIcon className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+
+      {!bookings ? (
+        <LoadingSpinner text="Loading bookings..." />
+      ) : (
+        <div className="grid gap-2 md:grid-cols-7">
+          {days.map((day) => (
+            <div key={day.toISOString()} className="rounded-lg border border-gray-200 dark:border-gray-700 p-2 min-h-[6rem]">
+              <div className="text-xs font-medium text-gray-500 dark:text-gray-400 mb-2">{formatDay(day)}</div>
+              <ul className="space-y-1">
+                {bookingsOn(day).map((booking) => (
+                  <li
+                    key={`${booking.event}-${booking.occurrenceDate || ''}`}
+                    className={`rounded px-2 py-1 text-xs ${booking.status === 'published'
+                      ? 'bg-primary-100 text-primary-800 dark:bg-primary-900 dark:text-primary-100'
+                      : 'bg-gray-100 text-gray-700 dark:bg-gray-800 dark:text-gray-300'}`}
+                  >
+                    <div className="font-medium">{formatTimes(booking)}</div>
+                    <div className="truncate" title={booking.title}>{booking.title}</div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Which rooms are free for a slot
+const FindRoomForm = ({ onSelect }) => {
+  const { api } = useAuth();
+  const [form, setForm] = useState({
+    startDate: toDateInput(new Date()),
+    startTime: '10:00',
+    endTime: '11:00',
+    minCapacity: '',
+    facilities: '',
+  });
+  const [results, setResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSearching(true);
+    try {
+      const params = Object.fromEntries(Object.entries(form).filter(([, value]) => value !== ''));
+      const response = await api.get('/venues/availability', { params });
+      setResults(response.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to check availability');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const update = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  return (
+    <div className="card p-6 space-y-4">
+      <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Find a free room</h2>
+      <form className="grid gap-2 md:grid-cols-6" onSubmit={handleSubmit}>
+        <input type="date" className="input md:col-span-2" required value={form.startDate} onChange={update('startDate')} />
+        <input type="time" className="input" required value={form.startTime} onChange={update('startTime')} />
+        <input type="time" className="input" required value={form.endTime} onChange={update('endTime')} />
+        <input type="number" min="1" className="input" placeholder="Seats" value={form.minCapacity} onChange={update('minCapacity')} />
+        <button type="submit" className="btn-primary flex items-center justify-center" disabled={searching}>
+          <MagnifyingGlassIcon className="h-4 w-4 mr-1" />
+          Search
+        </button>
+        <input
+          className="input md:col-span-6"
+          placeholder="Facilities, comma separated (e.g. projector, whiteboard)"
+          value={form.facilities}
+          onChange={update('facilities')}
+        />
+      </form>
+
+      {results && (
+        results.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">No venues match.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {results.map(({ venue, available, conflicts }) => (
+              <li key={venue._id} className="py-2 flex items-center justify-between text-sm">
+                <div>
+                  <span className="font-medium text-gray-900 dark:text-white">{venue.name}</span>
+                  <span className="text-gray-500 dark:text-gray-400"> · {venue.building} · {venue.capacity} seats</span>
+                  {!available && (
+                    <div className="text-xs text-red-600 dark:text-red-400">
+                      Booked: {conflicts.map(conflict => `${conflict.title} (${formatTimes(conflict)})`).join(', ')}
+                    </div>
+                  )}
+                </div>
+                <div className="flex items-center gap-2">
+                  <span className={available ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}>
+                    {available ? 'Free' : 'Taken'}
+                  </span>
+                  <button type="button" className="btn-secondary" onClick={() => onSelect(venue)}>
+                    Calendar
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )
+      )}
+    </div>
+  );
+};
+
+// Add a venue (venues:manage)
+const AddVenueForm = ({ onCreated }) => {
+  const { api } = useAuth();
+  const emptyForm = { name: '', code: '', building: '', floor: '', capacity: '', facilities: '' };
+  const [form, setForm] = useState(emptyForm);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = await api.post('/venues', {
+        ...form,
+        capacity: Number(form.capacity),
+        facilities: form.facilities.split(',').map(facility => facility.trim()).filter(Boolean),
+      });
+      toast.success(response.data.message);
+      setForm(emptyForm);
+      onCreated(response.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to create venue');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const update = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  return (
+    <form className="card p-6 grid gap-2 md:grid-cols-3" onSubmit={handleSubmit}>
+      <h2 className="md:col-span-3 text-lg font-semibold text-gray-900 dark:text-white">Add venue</h2>
+      <input className="input" placeholder="Name" required value={form.name} onChange={update('name')} />
+      <input className="input" placeholder="Code (e.g. LH-101)" required value={form.code} onChange={update('code')} />
+      <input className="input" placeholder="Building" required value={form.building} onChange={update('building')} />
+      <input className="input" placeholder="Floor" value={form.floor} onChange={update('floor')} />
+      <input type="number" min="1" className="input" placeholder="Capacity" required value={form.capacity} onChange={update('capacity')} />
+      <input className="input" placeholder="Facilities, comma separated" value={form.facilities} onChange={update('facilities')} />
+      <div className="md:col-span-3">
+        <button type="submit" className="btn-primary flex items-center" disabled={submitting}>
+          <PlusIcon className="h-4 w-4 mr-1" />
+          Add venue
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const VenuesPage = () => {
+  const { api, user } = useAuth();
+  const [venues, setVenues] = useState(null);
+  const [selected, setSelected] = useState(null);
+
+  const loadVenues = useCallback(() => {
+    api.get('/venues', { params: { limit: 100 } })
+      .then((response) => {
+        setVenues(response.data.data.venues);
+        setSelected((current) => current || response.data.data.venues[0] || null);
+      })
+      .catch((error) => toast.error(error.response?.data?.message || 'Failed to load venues'));
+  }, [api]);
+
+  useEffect(() => {
+    loadVenues();
+  }, [loadVenues]);
+
+  if (!venues) {
+    return <LoadingSpinner text="Loading venues..." />;
+  }
+
+  return (
+    <motion.div
+      className="space-y-6"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+    >
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Venues</h1>
+        {venues.length > 0 && (
+          <select
+            className="input w-auto"
+            value={selected?._id || ''}
+            onChange={(e) => setSelected(venues.find(venue => venue._id === e.target.value))}
+          >
+            {venues.map(venue => (
+              <option key={venue._id} value={venue._id}>{venue.name} ({venue.building})</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {selected ? (
+        <VenueCalendar venue={selected} />
+      ) : (
+        <div className="card p-6 text-sm text-gray-600 dark:text-gray-400">No venues have been added yet.</div>
+      )}
+
+      <FindRoomForm onSelect={setSelected} />
+
+      {user?.role === 'admin' && (
+        <AddVenueForm
+          onCreated={(venue) => {
+            setSelected(venue);
+            loadVenues();
+          }}
+        />
+      )}
+    </motion.div>
+  );
+};
+
+export default VenuesPage;